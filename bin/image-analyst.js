@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/**
+ * image-analyst - 画像分析のコマンドラインツール
+ *
+ * 使い方は image-analyst --help を、実装は lib/cli.js を参照してください。
+ */
+
+import 'dotenv/config';
+import { runCli } from '../lib/cli.js';
+
+const code = await runCli(process.argv.slice(2));
+
+// Live API の接続などが残っていても終わるよう、標準出力を書き切ってから終了する
+process.stdout.write('', () => process.exit(code));
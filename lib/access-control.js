@@ -0,0 +1,134 @@
+/**
+ * access-control.js - APIトークンの認証とリクエスト数の制限
+ *
+ * API_TOKENS を設定すると、API に Authorization: Bearer <トークン> を求めます（未設定なら認証しない）。
+ * Gemini を呼ぶリクエストは、トークンごと・IPアドレスごとに1分あたりの回数と1日の回数を制限します。
+ * 1日の回数はローカル時刻の0時に、1分あたりの回数は毎分0秒に0へ戻ります。
+ * 回数はメモリに数えるため、サーバーを再起動しても0に戻ります。
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * API_TOKENS（"名前:トークン" のカンマ区切り。名前を省略すると token1, token2, ...）
+ * @returns {{ tokens: { name: string, digest: Buffer }[] } | { error: string }} 空なら tokens も空（認証しない）
+ */
+export function parseApiTokens(text) {
+    const tokens = [];
+
+    for (const [index, item] of String(text ?? '').split(',').map(value => value.trim()).filter(Boolean).entries()) {
+        const separator = item.indexOf(':');
+        const name = separator > 0 ? item.slice(0, separator).trim() : `token${index + 1}`;
+        const token = separator > 0 ? item.slice(separator + 1).trim() : item;
+
+        if (token.length < 16) {
+            return { error: `API_TOKENS のトークン（${name}）は16文字以上にしてください` };
+        }
+        if (tokens.some(entry => entry.name === name)) {
+            return { error: `API_TOKENS の名前が重複しています: ${name}` };
+        }
+        tokens.push({ name, digest: digestOf(token) });
+    }
+
+    return { tokens };
+}
+
+/**
+ * Authorization ヘッダーのトークンを確かめる
+ * @returns {{ client: { name: string } } | { error: string }}
+ */
+export function authenticate(tokens, header) {
+    const match = String(header ?? '').match(/^Bearer\s+(\S+)\s*$/i);
+    if (!match) {
+        return { error: 'APIトークンが必要です（Authorization: Bearer <トークン>）' };
+    }
+
+    // 長さや一致した位置で所要時間が変わらないよう、ハッシュどうしを比べ、途中で打ち切らない
+    const digest = digestOf(match[1]);
+    let client = null;
+    for (const entry of tokens) {
+        if (timingSafeEqual(entry.digest, digest)) client ??= { name: entry.name };
+    }
+
+    return client ? { client } : { error: 'APIトークンが正しくありません' };
+}
+
+/**
+ * キー（トークンの名前・IPアドレス）ごとの回数の制限
+ * @param {{ perMinute?: number, perDay?: number }} limits 0 は無制限
+ */
+export function createRateLimiter({ perMinute = 0, perDay = 0 } = {}) {
+    // key → { day, minute, minuteCount, dayCount }
+    const counters = new Map();
+    let prunedMinute = null;
+
+    // 1分に1回、前日以前の回数と、1日の制限がない場合の過ぎた分の回数を捨てる（キーが増え続けないように）
+    function prune(day, minute) {
+        if (minute === prunedMinute) return;
+        prunedMinute = minute;
+        for (const [key, counter] of counters) {
+            if (counter.day !== day || (perDay <= 0 && counter.minute !== minute)) counters.delete(key);
+        }
+    }
+
+    function counterFor(key, now) {
+        const day = localDateKey(now);
+        const minute = Math.floor(now.getTime() / 60000);
+        prune(day, minute);
+
+        const current = counters.get(key);
+        const counter = current?.day === day ? current : { day, minute, minuteCount: 0, dayCount: 0 };
+        if (counter.minute !== minute) {
+            counter.minute = minute;
+            counter.minuteCount = 0;
+        }
+        return counter;
+    }
+
+    return {
+        enabled: perMinute > 0 || perDay > 0,
+
+        /**
+         * cost 回分を使えるか（数えない）
+         * cost だけで上限を超える場合は、待っても使えないため oversized を付ける（retryAfterSeconds はない）
+         * @returns {{ allowed: true }
+         *          | { allowed: false, window: 'minute'|'day', limit: number, retryAfterSeconds: number }
+         *          | { allowed: false, window: 'minute'|'day', limit: number, oversized: true }}
+         */
+        check(key, cost = 1, now = new Date()) {
+            if (perMinute > 0 && cost > perMinute) return { allowed: false, window: 'minute', limit: perMinute, oversized: true };
+            if (perDay > 0 && cost > perDay) return { allowed: false, window: 'day', limit: perDay, oversized: true };
+
+            const counter = counterFor(key, now);
+            if (perMinute > 0 && counter.minuteCount + cost > perMinute) {
+                return { allowed: false, window: 'minute', limit: perMinute, retryAfterSeconds: 60 - now.getSeconds() };
+            }
+            if (perDay > 0 && counter.dayCount + cost > perDay) {
+                return { allowed: false, window: 'day', limit: perDay, retryAfterSeconds: secondsUntilMidnight(now) };
+            }
+            return { allowed: true };
+        },
+
+        // cost 回分を数える
+        consume(key, cost = 1, now = new Date()) {
+            const counter = counterFor(key, now);
+            counter.minuteCount += cost;
+            counter.dayCount += cost;
+            counters.set(key, counter);
+        }
+    };
+}
+
+function digestOf(token) {
+    return createHash('sha256').update(token).digest();
+}
+
+function localDateKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+function secondsUntilMidnight(now) {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return Math.ceil((midnight - now) / 1000);
+}
@@ -0,0 +1,151 @@
+/**
+ * agentic.js - Agentic Vision の応答
+ *
+ * Gemini の応答（テキスト・コード実行）を分析結果の形にまとめ、スキーマ検証と修復の再プロンプトを行います。
+ * チャットは startChat で作り、送信は sendMessageWithRetry で、順番待ちと再試行（lib/gemini-call.js）を通します。
+ * サーバーとコマンドラインツール（lib/cli.js）の両方から使用します。
+ */
+
+import { RESULT_SCHEMA_VERSION, extractJson, validateResult, buildRepairPrompt } from './result-schema.js';
+import { validateSequenceNumbers } from './sequences.js';
+import { callGemini } from './gemini-call.js';
+
+const SCHEMA_REPAIR_ATTEMPTS = Number(process.env.SCHEMA_REPAIR_ATTEMPTS || 1);
+
+/**
+ * スキーマ検証（複数ページ・フレームではその番号も）。失敗した場合は上限回数まで修復を再プロンプトする
+ * 修復の再プロンプトも lib/gemini-call.js の順番待ちと再試行を通す（呼び出し側は枠を持ったまま呼ばないこと）
+ * 結果は response の schemaVersion / schemaValid / validationErrors / repairAttempts に書き込む
+ */
+export async function validateWithRepair(chat, response, requestOptions = {}, { mode = 'analyze', outputSchema = null, pages = null, frames = null } = {}) {
+    const validate = (data) => [
+        ...validateResult(data, mode, outputSchema),
+        ...(pages ? validateSequenceNumbers(data, pages, { key: 'page', label: 'ページ' }) : []),
+        ...(frames ? validateSequenceNumbers(data, frames.map((_, i) => i + 1), { key: 'frame', label: 'フレーム' }) : [])
+    ];
+
+    let errors = response.parsedData ? validate(response.parsedData) : [];
+    let lastText = response.text;
+    response.repairAttempts = 0;
+
+    while ((!response.parsedData || errors.length > 0) && response.repairAttempts < SCHEMA_REPAIR_ATTEMPTS) {
+        response.repairAttempts++;
+
+        const repairResult = await sendMessageWithRetry(
+            chat,
+            [{ text: buildRepairPrompt(errors, lastText, mode, outputSchema) }],
+            requestOptions
+        );
+        const repaired = parseAgenticResponse(repairResult);
+        lastText = repaired.text;
+
+        if (repaired.parsedData) {
+            response.parsedData = repaired.parsedData;
+            errors = validate(repaired.parsedData);
+        }
+    }
+
+    response.schemaVersion = RESULT_SCHEMA_VERSION;
+    response.schemaValid = Boolean(response.parsedData) && errors.length === 0;
+    response.validationErrors = response.parsedData
+        ? errors
+        : ['応答からJSONオブジェクトを取り出せませんでした'];
+}
+
+/**
+ * 失敗しても続けて送れるチャットを開始する（ChatSession と同じ sendMessage・sendMessageStream・getHistory を持つ）
+ * ChatSession は sendMessage が一度失敗すると、以後の送信も履歴の取得も同じエラーで失敗し続けるため、
+ * 失敗したら最後に成功した時点の履歴で ChatSession を作り直す。再試行やフォローアップはそのまま続けられる
+ * @param {object} model GenerativeModel
+ * @param {{ history?: object[] }} [params] model.startChat と同じ
+ */
+export function startChat(model, params = {}) {
+    const start = (history) => model.startChat({ ...params, history: [...history] });
+    let chat = start(params?.history ?? []);
+
+    async function send(method, message, requestOptions) {
+        // 送る前の履歴（成功した送信だけが後から追加される）
+        const history = await chat.getHistory();
+        try {
+            return await chat[method](message, requestOptions);
+        } catch (error) {
+            chat = start(history);
+            throw error;
+        }
+    }
+
+    return {
+        sendMessage: (message, requestOptions) => send('sendMessage', message, requestOptions),
+        sendMessageStream: (message, requestOptions) => send('sendMessageStream', message, requestOptions),
+        getHistory: () => chat.getHistory()
+    };
+}
+
+/**
+ * チャットにメッセージを送る（lib/gemini-call.js の順番待ちと再試行を通す）
+ * chat は startChat で作ったもの（失敗しても同じチャットで再試行できる）
+ * @param {object} callOptions onQueue・onRetry（callGemini を参照）
+ */
+export function sendMessageWithRetry(chat, message, requestOptions = {}, callOptions = {}) {
+    return callGemini(() => chat.sendMessage(message, requestOptions), { signal: requestOptions.signal, ...callOptions });
+}
+
+// Gemini の応答から、テキスト・実行したコードと結果・JSONの結果を取り出す
+export function parseAgenticResponse(result) {
+    const response = {
+        success: true,
+        text: '',
+        code: [],
+        codeResults: [],
+        executions: [],
+        parsedData: null
+    };
+
+    try {
+        const candidates = result.response.candidates || [];
+
+        for (const candidate of candidates) {
+            const parts = candidate.content?.parts || [];
+
+            for (const part of parts) {
+                if (part.text) {
+                    response.text += part.text;
+                }
+                if (part.executableCode) {
+                    response.code.push(part.executableCode.code);
+                    response.executions.push({
+                        language: part.executableCode.language,
+                        code: part.executableCode.code,
+                        outcome: null,
+                        output: null
+                    });
+                }
+                if (part.codeExecutionResult) {
+                    response.codeResults.push(part.codeExecutionResult.output);
+
+                    // 直前のコードと実行結果を対応付ける
+                    const execution = response.executions.at(-1);
+                    if (execution && execution.outcome === null) {
+                        execution.outcome = part.codeExecutionResult.outcome;
+                        execution.output = part.codeExecutionResult.output;
+                    } else {
+                        response.executions.push({
+                            language: null,
+                            code: null,
+                            outcome: part.codeExecutionResult.outcome,
+                            output: part.codeExecutionResult.output
+                        });
+                    }
+                }
+            }
+        }
+
+        // JSON抽出（文章やコードフェンスに囲まれていても取り出す）
+        response.parsedData = extractJson(response.text);
+    } catch (error) {
+        response.success = false;
+        response.error = error.message;
+    }
+
+    return response;
+}
@@ -0,0 +1,279 @@
+/**
+ * analysis-store.js - 分析結果の保存
+ *
+ * リクエストとレスポンスを1件のレコードとしてIDを付けて保存します。
+ * 保存先は ANALYSIS_STORE で切り替えます。
+ *
+ *   json    1件1ファイルのJSON（既定）。一覧用の要約は別の索引ファイル（.index.json）に持つ
+ *   sqlite  SQLite データベース（better-sqlite3 を別途インストール）
+ *   none    保存しない
+ *
+ * どの保存先も save / list / get / remove の同じ非同期インターフェースを持ちます。
+ * レコードの owner（APIトークン）を指定すると、list / get / remove はその owner のレコードだけを扱います（省略時はすべて）。
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import { dirname, join } from 'path';
+
+export const ANALYSIS_STORE_DRIVERS = ['json', 'sqlite', 'none'];
+
+const DEFAULT_PATHS = {
+    json: 'data/analyses',
+    sqlite: 'data/analyses.db'
+};
+
+/**
+ * @param {{ driver?: string, path?: string }} options
+ * @returns {Promise<object|null>} driver が none の場合は null
+ */
+export async function createAnalysisStore({ driver = 'json', path } = {}) {
+    switch (driver) {
+        case 'json':
+            return createJsonStore(path || DEFAULT_PATHS.json);
+        case 'sqlite':
+            return createSqliteStore(path || DEFAULT_PATHS.sqlite);
+        case 'none':
+            return null;
+        default:
+            throw new Error(`未対応の ANALYSIS_STORE です: ${driver}（${ANALYSIS_STORE_DRIVERS.join(', ')}）`);
+    }
+}
+
+// 一覧用の要約（レスポンス本体は含めない。絞り込みに使う項目はすべて含める）
+export function toAnalysisSummary(record) {
+    const parsedData = record.response?.parsedData;
+
+    return {
+        id: record.id,
+        createdAt: record.createdAt,
+        source: record.source,
+        owner: record.owner ?? null,
+        mode: record.mode,
+        model: record.model,
+        thinkingLevel: record.thinkingLevel,
+        prompt: record.prompt,
+        summary: parsedData?.summary ?? null,
+        schemaValid: record.response?.schemaValid ?? null
+    };
+}
+
+// 保存するレコードにIDと作成日時を付ける
+function createRecord(data) {
+    return {
+        id: randomUUID(),
+        createdAt: new Date().toISOString(),
+        ...data
+    };
+}
+
+// IDはファイル名にも使うため英数字・ハイフン・アンダースコアのみ
+function isValidId(id) {
+    return typeof id === 'string' && /^[\w-]{1,64}$/.test(id);
+}
+
+// owner を指定しない場合は、すべてのレコードを扱う
+function isOwnedBy(record, owner) {
+    return !owner || record.owner === owner;
+}
+
+function matchesQuery(record, { from, to, q, model, mode, owner }) {
+    if (!isOwnedBy(record, owner)) return false;
+    if (from && record.createdAt < from) return false;
+    if (to && record.createdAt > to) return false;
+    if (model && record.model !== model) return false;
+    if (mode && record.mode !== mode) return false;
+    if (q && !(record.prompt || '').toLowerCase().includes(q.toLowerCase())) return false;
+    return true;
+}
+
+// ========================================
+// JSON ファイル
+// ========================================
+
+async function createJsonStore(dir) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileFor = (id) => join(dir, `${id}.json`);
+    // 一覧のたびに全レコード（処理済みの画像を含む）を読まないよう、要約だけを索引ファイルに持つ
+    // IDに "." は使えないため、レコードのファイルと重ならない
+    const indexFile = join(dir, '.index.json');
+
+    async function readRecord(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // 書き込み途中のファイルを読まないよう、一時ファイルから置き換える
+    async function writeAtomic(file, data) {
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(data));
+        await fs.rename(tmp, file);
+    }
+
+    // id → 要約。索引ファイルとレコードのファイルが食い違う場合（書き込み中の終了など）は、起動時にレコードに合わせる
+    const summaries = new Map();
+    {
+        const indexed = (await readRecord(indexFile))?.items ?? [];
+        const ids = new Set((await fs.readdir(dir))
+            .filter(name => name.endsWith('.json') && !name.startsWith('.'))
+            .map(name => name.slice(0, -'.json'.length)));
+
+        let changed = indexed.length !== ids.size;
+        for (const summary of indexed) {
+            if (ids.has(summary.id)) summaries.set(summary.id, summary);
+            else changed = true;
+        }
+        for (const id of ids) {
+            if (summaries.has(id)) continue;
+            const record = await readRecord(fileFor(id)).catch(() => null);
+            if (record) summaries.set(id, toAnalysisSummary(record));
+            changed = true;
+        }
+        if (changed) await writeAtomic(indexFile, { items: [...summaries.values()] });
+    }
+
+    // 索引の書き込みは順番に行う（同時に保存しても要約を取りこぼさない）
+    let indexWrite = Promise.resolve();
+    function saveIndex() {
+        indexWrite = indexWrite
+            .catch(() => {})
+            .then(() => writeAtomic(indexFile, { items: [...summaries.values()] }));
+        return indexWrite;
+    }
+
+    return {
+        async save(data) {
+            const record = createRecord(data);
+            await writeAtomic(fileFor(record.id), record);
+
+            summaries.set(record.id, toAnalysisSummary(record));
+            await saveIndex();
+
+            return record;
+        },
+
+        async list({ limit, offset, ...query }) {
+            const items = [...summaries.values()]
+                .filter(summary => matchesQuery(summary, query))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+            return {
+                total: items.length,
+                items: items.slice(offset, offset + limit)
+            };
+        },
+
+        async get(id, owner) {
+            const record = isValidId(id) ? await readRecord(fileFor(id)) : null;
+            return record && isOwnedBy(record, owner) ? record : null;
+        },
+
+        async remove(id, owner) {
+            if (!isValidId(id)) return false;
+            // 別の owner のレコードは、見つからない場合と同じく false
+            const summary = summaries.get(id);
+            if (summary && !isOwnedBy(summary, owner)) return false;
+            try {
+                await fs.unlink(fileFor(id));
+                summaries.delete(id);
+                await saveIndex();
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    if (summaries.delete(id)) await saveIndex();
+                    return false;
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+// ========================================
+// SQLite
+// ========================================
+
+async function createSqliteStore(file) {
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch {
+        throw new Error('ANALYSIS_STORE=sqlite には better-sqlite3 が必要です（npm install better-sqlite3）');
+    }
+
+    await fs.mkdir(dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS analyses (
+            id TEXT PRIMARY KEY,
+            created_at TEXT NOT NULL,
+            model TEXT,
+            mode TEXT,
+            prompt TEXT,
+            record TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS analyses_created_at ON analyses (created_at);
+    `);
+
+    const insert = db.prepare(
+        'INSERT INTO analyses (id, created_at, model, mode, prompt, record) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const selectOne = db.prepare('SELECT record FROM analyses WHERE id = ?');
+    const deleteOne = db.prepare('DELETE FROM analyses WHERE id = ?');
+
+    function buildWhere({ from, to, q, model, mode, owner }) {
+        const clauses = [];
+        const params = [];
+
+        // owner は列を増やさず、レコードのJSONから読む（既存のデータベースをそのまま使える）
+        if (owner) { clauses.push("json_extract(record, '$.owner') = ?"); params.push(owner); }
+        if (from) { clauses.push('created_at >= ?'); params.push(from); }
+        if (to) { clauses.push('created_at <= ?'); params.push(to); }
+        if (model) { clauses.push('model = ?'); params.push(model); }
+        if (mode) { clauses.push('mode = ?'); params.push(mode); }
+        if (q) { clauses.push('instr(lower(prompt), lower(?)) > 0'); params.push(q); }
+
+        return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+    }
+
+    return {
+        async save(data) {
+            const record = createRecord(data);
+            insert.run(record.id, record.createdAt, record.model, record.mode, record.prompt, JSON.stringify(record));
+            return record;
+        },
+
+        async list({ limit, offset, ...query }) {
+            const { where, params } = buildWhere(query);
+            const { total } = db.prepare(`SELECT COUNT(*) AS total FROM analyses ${where}`).get(...params);
+            const rows = db
+                .prepare(`SELECT record FROM analyses ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+                .all(...params, limit, offset);
+
+            return {
+                total,
+                items: rows.map(row => toAnalysisSummary(JSON.parse(row.record)))
+            };
+        },
+
+        async get(id, owner) {
+            const row = selectOne.get(id);
+            const record = row ? JSON.parse(row.record) : null;
+            return record && isOwnedBy(record, owner) ? record : null;
+        },
+
+        async remove(id, owner) {
+            const row = selectOne.get(id);
+            // 別の owner のレコードは、見つからない場合と同じく false
+            if (!row || !isOwnedBy(JSON.parse(row.record), owner)) return false;
+            return deleteOne.run(id).changes > 0;
+        }
+    };
+}
@@ -0,0 +1,453 @@
+/**
+ * capture.js - スクリーンキャプチャ
+ *
+ * コマンドラインツール（lib/cli.js）で使う画像の取得方法です。取得方法は CAPTURE_BACKEND で切り替えます。
+ *
+ *   auto                Windows は powershell、それ以外は screenshot-desktop（既定）
+ *   powershell          Windows の PowerShell（System.Drawing）
+ *   screenshot-desktop  screenshot-desktop パッケージ（Linux は X11 の xrandr と ImageMagick の import）
+ *   file                既存の画像ファイル
+ *   stdin               標準入力から渡された画像
+ *
+ * 画面を撮る取得方法では、モニターの指定・全モニターをまとめた1枚・ウィンドウや領域の切り出しができます。
+ * 取得した画像は、outputDir を指定すれば保存します（あとから saveCapture で保存することもできます）。
+ */
+
+import { execFile } from 'child_process';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const CAPTURE_BACKENDS = ['auto', 'powershell', 'screenshot-desktop', 'file', 'stdin'];
+
+// 先頭のバイト列で画像の形式を判定する
+const IMAGE_TYPES = [
+    { mimeType: 'image/png', extension: 'png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/jpeg', extension: 'jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { mimeType: 'image/webp', extension: 'webp', matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+    { mimeType: 'image/gif', extension: 'gif', matches: bytes => bytes.toString('latin1', 0, 4) === 'GIF8' }
+];
+
+// 画面全体の PNG は幅×高さのバイト数を超えることがある
+const MAX_OUTPUT_BUFFER = 256 * 1024 * 1024;
+
+// コマンドライン（lib/cli.js）のキャプチャのオプション（util.parseArgs の形式）
+//   --capture <名前>     取得方法（CAPTURE_BACKEND より優先）
+//   --monitor <番号|ID>  モニター（0から始まる番号か、ID）。省略時はプライマリモニター
+//   --all-monitors       全モニターをまとめた1枚
+//   --window <タイトル>  タイトルにこの文字列を含むウィンドウ
+//   --region x,y,幅,高さ  モニター（--window ではウィンドウ）の左上を原点とする領域
+export const CAPTURE_ARG_OPTIONS = {
+    capture: { type: 'string' },
+    monitor: { type: 'string' },
+    'all-monitors': { type: 'boolean' },
+    window: { type: 'string' },
+    region: { type: 'string' }
+};
+
+/**
+ * util.parseArgs で読み取った CAPTURE_ARG_OPTIONS の値を、captureScreen のオプションにする
+ * @returns {{ options: object } | { error: string }}
+ */
+export function readCaptureArgs(values) {
+    let region;
+    if (values.region !== undefined) {
+        region = parseRegion(values.region);
+        if (!region) return { error: '--region は x,y,幅,高さ（0以上の整数、幅と高さは1以上）で指定してください' };
+    }
+
+    return {
+        options: {
+            backend: values.capture,
+            monitor: values.monitor,
+            allMonitors: Boolean(values['all-monitors']),
+            window: values.window,
+            region
+        }
+    };
+}
+
+/**
+ * 画像を取得する（outputDir を指定した場合は保存する）
+ * @param {{ backend?: string, monitor?: number|string, allMonitors?: boolean, window?: string,
+ *           region?: { x: number, y: number, width: number, height: number }, file?: string,
+ *           outputDir?: string, prefix?: string }} options
+ * @returns {Promise<{ buffer: Buffer, path: string|null, mimeType: string, backend: string }>}
+ *          path は保存先（outputDir を指定しなければ null）
+ */
+export async function captureScreen({
+    backend = process.env.CAPTURE_BACKEND || 'auto',
+    monitor,
+    allMonitors = false,
+    window: windowTitle,
+    region,
+    file,
+    outputDir,
+    prefix = 'desktop'
+}) {
+    const name = resolveBackend(backend);
+    let buffer;
+
+    switch (name) {
+        case 'file':
+        case 'stdin':
+            if (monitor !== undefined || allMonitors || windowTitle || region) {
+                throw new Error(`${name} ではモニター・ウィンドウ・領域を指定できません`);
+            }
+            buffer = name === 'file' ? await readImageFile(file) : await readStdin();
+            break;
+        default: {
+            const screen = SCREEN_BACKENDS[name];
+            const target = await resolveTarget(screen, { monitor, allMonitors, windowTitle, region });
+            buffer = await screen.capture(target);
+        }
+    }
+
+    const type = IMAGE_TYPES.find(candidate => buffer.length >= 12 && candidate.matches(buffer));
+    if (!type) {
+        throw new Error('画像として読み込めませんでした（PNG / JPEG / WebP / GIF に対応）');
+    }
+
+    const image = { buffer, path: null, mimeType: type.mimeType, backend: name };
+    if (outputDir) image.path = await saveCapture(image, outputDir, prefix);
+
+    return image;
+}
+
+/**
+ * 取得した画像を outputDir に保存する（ファイル名は prefix と時刻）
+ * @param {{ buffer: Buffer, mimeType: string }} image captureScreen の結果
+ * @returns {Promise<string>} 保存先
+ */
+export async function saveCapture({ buffer, mimeType }, outputDir, prefix = 'desktop') {
+    const { extension } = IMAGE_TYPES.find(type => type.mimeType === mimeType);
+    await fs.mkdir(outputDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(outputDir, `${prefix}_${timestamp}.${extension}`);
+    await fs.writeFile(filePath, buffer);
+    return filePath;
+}
+
+function resolveBackend(backend) {
+    switch (backend) {
+        case 'auto':
+            return process.platform === 'win32' ? 'powershell' : 'screenshot-desktop';
+        case 'powershell':
+        case 'screenshot-desktop':
+        case 'file':
+        case 'stdin':
+            return backend;
+        default:
+            throw new Error(`未対応の CAPTURE_BACKEND です: ${backend}（${CAPTURE_BACKENDS.join(' / ')}）`);
+    }
+}
+
+/**
+ * 撮る範囲を決める
+ * 返す rect は仮想デスクトップ（全モニターを並べた座標系）の座標
+ * display はモニター全体をそのまま撮る場合だけ付ける
+ * @returns {Promise<{ rect: { x: number, y: number, width: number, height: number } | null, display?: object }>}
+ *          rect が null の場合は画面全体（モニターの一覧を取得できなかった場合）
+ */
+async function resolveTarget(screen, { monitor, allMonitors, windowTitle, region }) {
+    if (allMonitors && monitor !== undefined) {
+        throw new Error('monitor と allMonitors は同時に指定できません');
+    }
+
+    const displays = await screen.listDisplays();
+    const desktop = displays.length > 0 ? boundingRect(displays) : null;
+
+    let display;
+    let base = desktop;
+    if (!allMonitors) {
+        display = selectDisplay(displays, monitor);
+        base = display;
+    }
+    if (windowTitle) {
+        const found = await screen.findWindow(windowTitle);
+        if (!found) throw new Error(`タイトルに「${windowTitle}」を含むウィンドウが見つかりません`);
+        base = desktop ? intersectRect(found, desktop) : found;
+        if (!base) throw new Error(`ウィンドウ「${windowTitle}」が画面の外にあります`);
+    }
+
+    if (region) {
+        const requested = { x: (base?.x ?? 0) + region.x, y: (base?.y ?? 0) + region.y, width: region.width, height: region.height };
+        const rect = base ? intersectRect(requested, base) : requested;
+        if (!rect) throw new Error('領域が撮る範囲の外にあります');
+        return { rect };
+    }
+    if (windowTitle) return { rect: base };
+
+    return display ? { rect: toRect(display), display } : { rect: desktop };
+}
+
+// monitor は0から始まる番号か ID（省略時はプライマリモニター）
+function selectDisplay(displays, monitor) {
+    if (monitor === undefined || monitor === null || monitor === '') {
+        return displays.find(display => display.primary) || displays[0];
+    }
+    if (displays.length === 0) {
+        throw new Error('モニターの一覧を取得できないため、モニターは指定できません');
+    }
+
+    const index = /^\d+$/.test(String(monitor)) ? Number(monitor) : -1;
+    const display = displays[index] || displays.find(candidate => String(candidate.id) === String(monitor));
+    if (!display) {
+        const list = displays.map((candidate, i) => `${i}: ${candidate.id} ${candidate.width}x${candidate.height}`).join(', ');
+        throw new Error(`モニター ${monitor} が見つかりません（${list}）`);
+    }
+    return display;
+}
+
+// ====================================
+// 画面を撮る取得方法
+// ====================================
+// listDisplays: [{ id, x, y, width, height, primary }]
+// findWindow:   タイトルで探したウィンドウの { x, y, width, height }（見つからなければ null）
+// capture:      resolveTarget の結果を撮って画像の Buffer を返す
+
+const SCREEN_BACKENDS = {
+    powershell: {
+        async listDisplays() {
+            const output = await runPowerShell(`
+$screens = [System.Windows.Forms.Screen]::AllScreens | ForEach-Object {
+    [PSCustomObject]@{ id = $_.DeviceName; x = $_.Bounds.X; y = $_.Bounds.Y; width = $_.Bounds.Width; height = $_.Bounds.Height; primary = $_.Primary }
+}
+ConvertTo-Json -Compress -InputObject @($screens)
+`);
+            return JSON.parse(output);
+        },
+
+        async findWindow(title) {
+            // タイトルは環境変数で渡す（スクリプトに埋め込まない）
+            const output = await runPowerShell(`
+$process = Get-Process | Where-Object {
+    $_.MainWindowHandle -ne 0 -and $_.MainWindowTitle.IndexOf($env:CAPTURE_WINDOW_TITLE, [StringComparison]::OrdinalIgnoreCase) -ge 0
+} | Select-Object -First 1
+if ($process) {
+    $rect = New-Object CaptureNative+RECT
+    [CaptureNative]::GetWindowRect($process.MainWindowHandle, [ref]$rect) | Out-Null
+    ConvertTo-Json -Compress -InputObject ([PSCustomObject]@{ x = $rect.Left; y = $rect.Top; width = $rect.Right - $rect.Left; height = $rect.Bottom - $rect.Top })
+}
+`, { CAPTURE_WINDOW_TITLE: title });
+            const rect = output.trim() ? JSON.parse(output) : null;
+            return rect && rect.width > 0 && rect.height > 0 ? rect : null;
+        },
+
+        async capture({ rect }) {
+            const outputPath = path.join(tmpdir(), `capture-${randomUUID()}.png`);
+            try {
+                await runPowerShell(`
+$bitmap = New-Object System.Drawing.Bitmap([int]$env:CAPTURE_WIDTH, [int]$env:CAPTURE_HEIGHT)
+$graphics = [System.Drawing.Graphics]::FromImage($bitmap)
+$graphics.CopyFromScreen([int]$env:CAPTURE_X, [int]$env:CAPTURE_Y, 0, 0, $bitmap.Size)
+$bitmap.Save($env:CAPTURE_OUTPUT, [System.Drawing.Imaging.ImageFormat]::Png)
+$graphics.Dispose()
+$bitmap.Dispose()
+`, {
+                    CAPTURE_X: rect.x,
+                    CAPTURE_Y: rect.y,
+                    CAPTURE_WIDTH: rect.width,
+                    CAPTURE_HEIGHT: rect.height,
+                    CAPTURE_OUTPUT: outputPath
+                });
+                return await fs.readFile(outputPath);
+            } finally {
+                await fs.rm(outputPath, { force: true });
+            }
+        }
+    },
+
+    'screenshot-desktop': {
+        async listDisplays() {
+            const screenshot = await loadScreenshotDesktop();
+            try {
+                const displays = await screenshot.listDisplays();
+                // Linux は offsetX/offsetY、Windows は left/top で位置を返す
+                return displays.map((display, i) => ({
+                    id: display.id,
+                    x: display.offsetX ?? display.left ?? 0,
+                    y: display.offsetY ?? display.top ?? 0,
+                    width: display.width,
+                    height: display.height,
+                    primary: display.primary ?? i === 0
+                }));
+            } catch (error) {
+                // xrandr がない X サーバーでも、画面全体なら撮れる
+                if (process.platform === 'linux') return [];
+                throw error;
+            }
+        },
+
+        async findWindow(title) {
+            requireX11('ウィンドウの指定');
+            const { stdout } = await execX11('xwininfo', ['-root', '-tree']);
+            return findX11Window(stdout, title);
+        },
+
+        async capture({ rect, display }) {
+            if (display) {
+                const screenshot = await loadScreenshotDesktop();
+                return screenshot({ screen: display.id, format: 'png' });
+            }
+
+            // 領域・全モニターは ImageMagick でルートウィンドウから切り出す
+            requireX11('領域・ウィンドウ・全モニターのキャプチャ');
+            const crop = rect ? ['-crop', `${rect.width}x${rect.height}+${rect.x}+${rect.y}`, '+repage'] : [];
+            const { stdout } = await execX11('import', ['-silent', '-window', 'root', ...crop, 'png:-'], {
+                encoding: 'buffer',
+                maxBuffer: MAX_OUTPUT_BUFFER
+            });
+            return stdout;
+        }
+    }
+};
+
+// ====================================
+// PowerShell
+// ====================================
+
+// DPI スケーリング下でも実際のピクセル座標で扱う
+const POWERSHELL_PRELUDE = `
+Add-Type -AssemblyName System.Windows.Forms
+Add-Type -AssemblyName System.Drawing
+Add-Type @"
+using System;
+using System.Runtime.InteropServices;
+public static class CaptureNative {
+    [StructLayout(LayoutKind.Sequential)]
+    public struct RECT { public int Left; public int Top; public int Right; public int Bottom; }
+    [DllImport("user32.dll")] public static extern bool SetProcessDPIAware();
+    [DllImport("user32.dll")] public static extern bool GetWindowRect(IntPtr hWnd, out RECT rect);
+}
+"@
+[CaptureNative]::SetProcessDPIAware() | Out-Null
+`;
+
+// スクリプトは一時ファイルに書き出して実行する。値は環境変数で渡す
+async function runPowerShell(script, env = {}) {
+    const scriptPath = path.join(tmpdir(), `capture-${randomUUID()}.ps1`);
+
+    // BOM付きUTF-8で保存（日本語パス対応）
+    await fs.writeFile(scriptPath, '\ufeff' + POWERSHELL_PRELUDE + script, 'utf-8');
+    try {
+        const { stdout } = await execFileAsync('powershell', ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-File', scriptPath], {
+            env: { ...process.env, ...Object.fromEntries(Object.entries(env).map(([key, value]) => [key, String(value)])) },
+            encoding: 'utf-8',
+            maxBuffer: 10 * 1024 * 1024
+        });
+        return stdout;
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error('CAPTURE_BACKEND=powershell には Windows の PowerShell が必要です');
+        throw error;
+    } finally {
+        await fs.rm(scriptPath, { force: true });
+    }
+}
+
+// ====================================
+// X11（Linux）
+// ====================================
+
+function requireX11(feature) {
+    if (process.platform !== 'linux') {
+        throw new Error(`screenshot-desktop での ${feature} は Linux（X11）のみ対応しています`);
+    }
+}
+
+async function execX11(command, args, options = {}) {
+    try {
+        return await execFileAsync(command, args, options);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            const packages = { import: 'ImageMagick', xwininfo: 'x11-utils' };
+            throw new Error(`${command} が見つかりません（${packages[command]} をインストールしてください）`);
+        }
+        throw error;
+    }
+}
+
+// xwininfo -root -tree の行: 0x1a00003 "タイトル": ("class" "Class")  800x600+0+0  +10+20
+// 最後の +X+Y が画面上の位置。同じタイトルの枠と中身があれば大きい方を使う
+function findX11Window(tree, title) {
+    const needle = title.toLowerCase();
+    let found = null;
+
+    for (const line of tree.split('\n')) {
+        const match = line.match(/^\s*0x[0-9a-f]+ "(.*)":.*\s(\d+)x(\d+)[+-]-?\d+[+-]-?\d+\s+\+(-?\d+)\+(-?\d+)\s*$/i);
+        if (!match || !match[1].toLowerCase().includes(needle)) continue;
+
+        const [, , width, height, x, y] = match.map(Number);
+        if (width > 1 && height > 1 && (!found || width * height > found.width * found.height)) {
+            found = { x, y, width, height };
+        }
+    }
+
+    return found;
+}
+
+async function loadScreenshotDesktop() {
+    const { default: screenshot } = await import('screenshot-desktop');
+    return screenshot;
+}
+
+// ====================================
+// ファイル・標準入力
+// ====================================
+
+async function readImageFile(file) {
+    if (!file) throw new Error('CAPTURE_BACKEND=file では file に画像のパスを指定してください');
+
+    try {
+        return await fs.readFile(file);
+    } catch (error) {
+        throw new Error(`画像ファイルを読み込めません: ${file}（${error.code || error.message}）`);
+    }
+}
+
+async function readStdin() {
+    if (process.stdin.isTTY) {
+        throw new Error('標準入力から画像を読み込めません（パイプやリダイレクトで画像を渡してください）');
+    }
+
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// ====================================
+// 座標
+// ====================================
+
+function parseRegion(value) {
+    const numbers = value.split(',').map(part => part.trim());
+    if (numbers.length !== 4 || !numbers.every(part => /^\d+$/.test(part))) return null;
+
+    const [x, y, width, height] = numbers.map(Number);
+    return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
+
+function toRect({ x, y, width, height }) {
+    return { x, y, width, height };
+}
+
+function boundingRect(rects) {
+    const left = Math.min(...rects.map(rect => rect.x));
+    const top = Math.min(...rects.map(rect => rect.y));
+    const right = Math.max(...rects.map(rect => rect.x + rect.width));
+    const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// 重なる部分（重ならなければ null）
+function intersectRect(a, b) {
+    const left = Math.max(a.x, b.x);
+    const top = Math.max(a.y, b.y);
+    const right = Math.min(a.x + a.width, b.x + b.width);
+    const bottom = Math.min(a.y + a.height, b.y + b.height);
+    return right > left && bottom > top ? { x: left, y: top, width: right - left, height: bottom - top } : null;
+}
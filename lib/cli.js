@@ -0,0 +1,736 @@
+/**
+ * cli.js - コマンドラインツール（image-analyst）
+ *
+ * 画像ファイル・標準入力・デスクトップのキャプチャを Agentic Vision で分析し、
+ * Native Audio で感想を音声にします。bin/image-analyst.js から実行します。
+ *
+ *   analyze              分析して結果を出力する
+ *   speak                画像を見た感想を音声（WAV）にする
+ *   describe-and-speak   分析してから、結果の感想を音声にする
+ *   monitor              デスクトップを定期的に撮影し、変化があれば分析して記録する
+ *   digest               monitor の記録から1日のまとめ（ダイジェスト）を作る
+ *
+ * 結果は標準出力に、進み具合とエラーは標準エラー出力に書きます。
+ * 失敗の種類は終了コード（EXIT_CODES）で判定できます。
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import fs from 'fs/promises';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { parseArgs } from 'util';
+import { CAPTURE_ARG_OPTIONS, captureScreen, readCaptureArgs, saveCapture } from './capture.js';
+import { DEFAULT_MODEL, DEFAULT_THINKING_LEVEL, validateModelSelection, buildModelParams } from './models.js';
+import { buildSingleImagePrompt, buildDigestPrompt } from './prompts.js';
+import { parseAgenticResponse, validateWithRepair, sendMessageWithRetry, startChat } from './agentic.js';
+import { callGemini, describeGeminiError } from './gemini-call.js';
+import { createTemplateStore, fillTemplatePrompt } from './template-store.js';
+import { DEFAULT_AUDIO_MODEL, generateSpeech, playAudio } from './speech.js';
+import { formatResultText, formatResultMarkdown, formatDigestMarkdown } from './result-format.js';
+import { perceptualHash, hashDistance } from './image-hash.js';
+import { parseSchedule, nextRunTime, describeSchedule } from './schedule.js';
+import {
+    DIGEST_SCHEMA,
+    appendTimelineEntry,
+    readTimelineEntries,
+    toDigestObservations,
+    countTimelineEntries,
+    formatLocalDate
+} from './timeline-log.js';
+
+// シェルのパイプラインや cron から失敗の種類を判定できるようにする
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,          // API の呼び出しなど、実行中のエラー
+    usage: 2,          // 引数・テンプレートの指定の誤り
+    input: 3,          // 画像の読み込み・キャプチャの失敗
+    invalidResult: 4,  // 結果がスキーマを満たさない（結果は出力する）
+    config: 5,         // GEMINI_API_KEY が設定されていない
+    unavailable: 6,    // Gemini API の利用上限・一時的に利用できない（再試行しても失敗）
+    cancelled: 130     // Ctrl+C で中断
+};
+
+// 比較モードは複数の画像が必要なため、コマンドラインでは扱わない
+const CLI_MODES = ['analyze', 'ocr', 'table'];
+
+const OUTPUT_FORMATS = {
+    text: { extension: 'txt', format: response => formatResultText(response) },
+    json: { extension: 'json', format: (response, context) => JSON.stringify(toJsonOutput(response, context), null, 2) },
+    markdown: { extension: 'md', format: (response, context) => formatResultMarkdown(response, context) }
+};
+
+// --wait（以前の起動時スクリプトと同じ待ち時間）
+const WAIT_SECONDS = 5;
+
+// monitor の既定（--every・--threshold）
+const DEFAULT_MONITOR_MINUTES = 10;
+const DEFAULT_CHANGE_THRESHOLD = 4;
+const MAX_CHANGE_THRESHOLD = 256;
+
+// 撮影まで待つ間も、この間隔で時刻を確かめる（スリープからの復帰で予定の時刻を過ぎた場合に備える）
+const MAX_SLEEP_MS = 60 * 1000;
+
+const DEFAULT_PROMPT = 'この画像の内容を詳細に分析してください';
+
+const DESKTOP_PROMPT = `
+現在のデスクトップの状態を分析し、以下の情報を日本語で簡潔にまとめてください。
+- 開いているアプリケーションやウィンドウの一覧
+- 表示されている通知やアラートの有無
+- 作業状態の要約（何をしていたかの推測）
+個人情報やセンシティブな内容は伏せて記述してください。
+`.trim();
+
+const SPEAK_PROMPT = 'この画像を見て、感想を話してください。';
+
+const SPEAK_INSTRUCTION = `あなたは画像を見て感想を述べるAIです。
+日本語で自然に話してください。
+画像に映っているものを観察し、興味深い点や気づいたことを
+友達に話すように軽快に説明してください。30秒以内で簡潔に。`;
+
+const DESCRIBE_INSTRUCTION = `あなたは画像分析の結果を受け取り、その内容について感想を述べるメスガキAIです。
+与えられた分析結果を元に、日本語で自然に、友達（雑魚）に話すようにメスガキ口調で感想を述べてください。
+分析結果をそのまま読み上げるのではなく、あなた自身の言葉で感想や気づきをメスガキ口調で話してください。
+必ず”抑揚が強い”メスガキ口調で、30秒以内で。`;
+
+// input: image（画像・標準入力・--desktop のいずれか）/ desktop（デスクトップのみ）/ none（画像を使わない）
+const COMMANDS = {
+    analyze: { summary: '画像を Agentic Vision で分析し、結果を出力する', input: 'image', run: runAnalyze },
+    speak: { summary: '画像を見た感想を Native Audio で音声（WAV）にする', input: 'image', run: runSpeak },
+    'describe-and-speak': { summary: '画像を分析してから、結果の感想を音声にする', input: 'image', run: runDescribeAndSpeak },
+    monitor: { summary: 'デスクトップを定期的に撮影し、変化があれば分析して記録する', input: 'desktop', run: runMonitor },
+    digest: { summary: 'monitor の記録から1日のダイジェストを作る', input: 'none', run: runDigest }
+};
+
+const OPTIONS = {
+    desktop: { type: 'boolean' },
+    ...CAPTURE_ARG_OPTIONS,
+    prompt: { type: 'string', short: 'p' },
+    template: { type: 'string', short: 't' },
+    var: { type: 'string', multiple: true },
+    mode: { type: 'string' },
+    model: { type: 'string', short: 'm' },
+    'thinking-level': { type: 'string' },
+    'audio-model': { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    'output-dir': { type: 'string', short: 'o' },
+    'no-play': { type: 'boolean' },
+    delay: { type: 'string' },
+    wait: { type: 'boolean' },
+    every: { type: 'string' },
+    cron: { type: 'string' },
+    threshold: { type: 'string' },
+    log: { type: 'string' },
+    date: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `
+使い方: image-analyst <コマンド> <画像 | - | --desktop> [オプション]
+       image-analyst monitor [--every <分> | --cron <式>] [オプション]
+       image-analyst digest [--date <日付>] [オプション]
+
+コマンド:
+${Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(20)} ${summary}`).join('\n')}
+
+入力:
+  <画像>                    画像ファイル（PNG / JPEG / WebP / GIF）
+  -                         標準入力の画像
+  --desktop                 デスクトップのスクリーンショット
+    --monitor <番号|ID>     モニター（0から数える）。省略時はプライマリモニター
+    --all-monitors          全モニターをまとめた1枚
+    --window <タイトル>     タイトルにこの文字列を含むウィンドウ
+    --region x,y,幅,高さ     モニター（--window ではウィンドウ）の左上からの領域
+    --capture <名前>        撮影の方法（auto / powershell / screenshot-desktop）
+
+分析:
+  -p, --prompt <文>         分析の指示（speak では話しかける言葉）
+  -t, --template <ID|名前>  保存したテンプレートを使う
+      --var <名前=値>       テンプレートの変数（複数指定可）
+      --mode <モード>       analyze / ocr / table（既定: analyze またはテンプレートのモード）
+  -m, --model <ID>          モデル（既定: ${DEFAULT_MODEL}）
+      --thinking-level <L>  minimal / low / medium / high（既定: ${DEFAULT_THINKING_LEVEL}）
+      --audio-model <ID>    音声のモデル（既定: ${DEFAULT_AUDIO_MODEL}）
+
+出力:
+  -f, --format <形式>       text / json / markdown（既定: text）
+  -o, --output-dir <dir>    結果・撮影した画像・音声を保存する（音声は省略時カレントディレクトリ）
+      --no-play             音声を再生しない
+  -q, --quiet               進み具合を表示しない
+      --delay <秒>          撮影・読み込みの前に待つ（--wait は ${WAIT_SECONDS} 秒）
+
+監視（monitor・digest）:
+      --every <分>          撮影の間隔（既定: ${DEFAULT_MONITOR_MINUTES} 分）
+      --cron <式>           撮影の時刻を cron 式（分 時 日 月 曜日）で指定する
+      --threshold <n>       前回分析した画面との差がこれ以下なら分析しない（0〜${MAX_CHANGE_THRESHOLD}、既定: ${DEFAULT_CHANGE_THRESHOLD}）
+      --log <path>          記録（JSONL）のパス（既定: <output-dir>/timeline.jsonl）
+      --date <日付>         digest の日付（YYYY-MM-DD / today / yesterday、既定: today）
+
+終了コード:
+  0 成功 / 1 実行中のエラー / 2 引数の誤り / 3 画像を読み込めない /
+  4 結果がスキーマを満たさない / 5 GEMINI_API_KEY がない /
+  6 Gemini API の利用上限・一時的に利用できない / 130 中断
+`.trim();
+
+/**
+ * @param {string[]} argv コマンド以降の引数（process.argv.slice(2)）
+ * @returns {Promise<number>} 終了コード
+ */
+export async function runCli(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    const [command, ...args] = argv;
+
+    if (!command || command === 'help' || command === '--help' || command === '-h') {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.ok;
+    }
+    if (!Object.hasOwn(COMMANDS, command)) {
+        stderr.write(`❌ 未対応のコマンドです: ${command}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort(new Error('中断されました'));
+    process.once('SIGINT', onInterrupt);
+
+    let quiet = false;
+    const cli = {
+        signal: controller.signal,
+        print: (text) => stdout.write(`${text}\n`),
+        log: (message) => quiet || stderr.write(`${message}\n`),
+        progress: (mark) => quiet || stderr.write(mark)
+    };
+
+    try {
+        const { values, positionals } = parseCommandArgs(args);
+        if (values.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.ok;
+        }
+
+        quiet = Boolean(values.quiet);
+        const options = await resolveOptions(command, values, positionals);
+
+        if (!process.env.GEMINI_API_KEY) {
+            throw exitError('GEMINI_API_KEY が .env または環境変数に設定されていません', EXIT_CODES.config);
+        }
+
+        if (options.delay > 0) {
+            cli.log(`⏳ ${options.delay}秒待機中...`);
+            await sleep(options.delay * 1000, undefined, { signal: controller.signal });
+        }
+
+        return await COMMANDS[command].run(options, cli);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            stderr.write('\n⛔ 中断されました\n');
+            return EXIT_CODES.cancelled;
+        }
+
+        const upstream = describeGeminiError(error);
+        const exitCode = error.exitCode ?? (upstream ? EXIT_CODES.unavailable : EXIT_CODES.error);
+        stderr.write(`❌ ${upstream?.message ?? error.message}\n`);
+        if (exitCode === EXIT_CODES.usage) stderr.write('使い方は image-analyst --help で表示できます\n');
+        return exitCode;
+    } finally {
+        process.off('SIGINT', onInterrupt);
+    }
+}
+
+// ====================================
+// コマンド
+// ====================================
+
+async function runAnalyze(options, cli) {
+    const image = await readInput(options, cli);
+    const response = await analyzeImage(image, options, cli);
+    await writeAnalysis(response, image, options, cli);
+
+    return response.schemaValid ? EXIT_CODES.ok : EXIT_CODES.invalidResult;
+}
+
+async function runSpeak(options, cli) {
+    const image = await readInput(options, cli);
+
+    const audioPath = await speak({
+        text: options.prompt ?? SPEAK_PROMPT,
+        image: { data: image.buffer, mimeType: image.mimeType },
+        systemInstruction: SPEAK_INSTRUCTION
+    }, image, options, cli);
+    cli.print(audioPath);
+
+    return EXIT_CODES.ok;
+}
+
+async function runDescribeAndSpeak(options, cli) {
+    const image = await readInput(options, cli);
+    const response = await analyzeImage(image, options, cli);
+    await writeAnalysis(response, image, options, cli);
+
+    const audioPath = await speak({
+        text: `以下は画像の分析結果です。この内容について、あなたの感想を話してください：\n\n${formatResultText(response)}`,
+        systemInstruction: DESCRIBE_INSTRUCTION
+    }, image, options, cli);
+    cli.log(`🎵 音声: ${audioPath}`);
+
+    return response.schemaValid ? EXIT_CODES.ok : EXIT_CODES.invalidResult;
+}
+
+async function runMonitor(options, cli) {
+    const { schedule, threshold } = options.monitor;
+    const history = await readTimelineEntries(options.logPath);
+
+    // 再起動しても、前回分析した画面と比べて同じ画面の分析を繰り返さない
+    let baseline = history.findLast(entry => entry.status === 'analyzed')?.hash ?? null;
+    let day = history.length > 0 ? formatLocalDate(new Date(history.at(-1).time)) : null;
+    let lastRun = null;
+
+    cli.log(`👀 デスクトップの監視を開始します（${describeSchedule(schedule)}、しきい値 ${threshold}、記録: ${options.logPath}）`);
+    try {
+        for (;;) {
+            const next = nextRunTime(schedule, lastRun);
+            if (next > Date.now()) cli.log(`⏰ 次の撮影: ${next.toLocaleString()}`);
+            while (next > Date.now()) {
+                await sleep(Math.min(next - Date.now(), MAX_SLEEP_MS), undefined, { signal: cli.signal });
+            }
+            lastRun = new Date(Math.max(next, Date.now()));
+
+            // 日付が変わった最初の撮影で、前日のダイジェストを作る
+            const today = formatLocalDate(lastRun);
+            if (day && day !== today) await writeDailyDigest(day, options, cli);
+            day = today;
+
+            const entry = await monitorOnce(baseline, threshold, options, cli);
+            if (entry.status === 'analyzed') baseline = entry.hash;
+            await appendTimelineEntry(options.logPath, entry);
+        }
+    } catch (error) {
+        if (!cli.signal.aborted) throw error;
+    }
+
+    cli.log('\n⏹ 監視を終了しました');
+    return EXIT_CODES.ok;
+}
+
+async function runDigest(options, cli) {
+    const markdown = await createDigest(options.date, options, cli);
+    cli.print(markdown);
+
+    if (options.outputDir) {
+        const digestPath = path.join(options.outputDir, `digest_${options.date}.md`);
+        await fs.mkdir(options.outputDir, { recursive: true });
+        await fs.writeFile(digestPath, `${markdown}\n`, 'utf-8');
+        cli.log(`📄 ダイジェスト保存: ${digestPath}`);
+    }
+
+    return EXIT_CODES.ok;
+}
+
+// ====================================
+// 入力・分析・音声
+// ====================================
+
+/**
+ * 画像を読み込む（デスクトップと標準入力の画像は、--output-dir があれば保存する）
+ * name は結果のファイル名の元にする
+ */
+async function readInput({ source, outputDir }, cli) {
+    const label = { desktop: 'デスクトップ', stdin: '標準入力', file: source.file }[source.kind];
+    cli.log(source.kind === 'desktop' ? '📸 デスクトップをキャプチャ中...' : `📂 画像を読み込み中: ${label}`);
+
+    let image;
+    try {
+        image = source.kind === 'file'
+            ? await captureScreen({ backend: 'file', file: source.file })
+            : await captureScreen({ ...source.capture, outputDir, prefix: source.kind });
+    } catch (error) {
+        throw exitError(error.message, EXIT_CODES.input);
+    }
+    if (image.path) cli.log(`💾 保存完了: ${image.path}`);
+
+    const name = source.kind === 'file'
+        ? path.parse(source.file).name
+        : image.path ? path.parse(image.path).name : `${source.kind}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+    return { ...image, name, label };
+}
+
+async function analyzeImage(image, { mode, prompt, outputSchema, model: modelName, thinkingLevel, source }, cli) {
+    cli.log(`🤖 Gemini Agentic Vision で分析中...（${modelName} / ${thinkingLevel}）`);
+
+    const userPrompt = prompt ?? (mode === 'analyze' ? (source.kind === 'desktop' ? DESKTOP_PROMPT : DEFAULT_PROMPT) : '');
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const chat = startChat(genAI.getGenerativeModel(buildModelParams(modelName, thinkingLevel)));
+    const requestOptions = { signal: cli.signal };
+
+    const result = await sendMessageWithRetry(chat, [
+        { inlineData: { data: image.buffer.toString('base64'), mimeType: image.mimeType } },
+        { text: buildSingleImagePrompt(mode, userPrompt, { outputSchema }) }
+    ], requestOptions, retryLogger(cli));
+
+    const response = parseAgenticResponse(result);
+    await validateWithRepair(chat, response, requestOptions, { mode, outputSchema });
+    if (!response.schemaValid) {
+        cli.log(`⚠️ 結果がスキーマを満たしていません: ${response.validationErrors.join(' / ')}`);
+    }
+
+    return { ...response, mode, model: modelName, thinkingLevel, prompt: userPrompt };
+}
+
+// Gemini の呼び出しはサーバーと同じ順番待ちと再試行（lib/gemini-call.js）を通し、再試行するときは知らせる
+function retryLogger(cli) {
+    return {
+        onRetry: ({ attempt, maxRetries, delayMs, status }) => {
+            cli.log(`🔁 Gemini API の一時的なエラー（${status ?? '接続エラー'}）のため、${Math.ceil(delayMs / 1000)}秒後に再試行します（${attempt}/${maxRetries}）`);
+        }
+    };
+}
+
+// 結果を標準出力に書き、--output-dir があれば保存する
+async function writeAnalysis(response, image, { format, outputDir }, cli) {
+    const { extension, format: formatOutput } = OUTPUT_FORMATS[format];
+    const output = formatOutput(response, { input: image.label, prompt: response.prompt });
+    cli.print(output);
+
+    if (outputDir) {
+        const resultPath = path.join(outputDir, `${image.name}_analysis.${extension}`);
+        await fs.mkdir(outputDir, { recursive: true });
+        await fs.writeFile(resultPath, `${output}\n`, 'utf-8');
+        cli.log(`📄 解析結果保存: ${resultPath}`);
+    }
+}
+
+// 音声を生成して保存し、--no-play でなければ再生する
+async function speak(request, image, { audioModel, outputDir, play }, cli) {
+    cli.log(`🎙️ Native Audio で感想を音声化中...（${audioModel}）`);
+
+    const wav = await callGemini(() => generateSpeech({
+        ...request,
+        apiKey: process.env.GEMINI_API_KEY,
+        model: audioModel,
+        signal: cli.signal,
+        onAudio: () => cli.progress('🔊')
+    }), { signal: cli.signal, ...retryLogger(cli) });
+    cli.progress('\n');
+    if (!wav) throw new Error('音声データが生成されませんでした');
+
+    const directory = outputDir ?? '.';
+    const audioPath = path.join(directory, `${image.name}_audio.wav`);
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(audioPath, wav);
+    cli.log(`🎵 音声保存: ${audioPath}`);
+
+    if (play) {
+        cli.log('🔊 音声を再生中...');
+        if (!await playAudio(audioPath)) cli.log('⚠️ 音声を再生できるプレーヤーが見つかりません');
+    }
+
+    return audioPath;
+}
+
+// ====================================
+// 監視
+// ====================================
+
+/**
+ * デスクトップを1回撮影し、前回分析した画面（baseline のハッシュ）から変わっていれば分析する
+ * 失敗しても監視は続けるため、例外にせず status: 'error' の記録を返す（中断だけは投げる）
+ */
+async function monitorOnce(baseline, threshold, options, cli) {
+    const time = new Date().toISOString();
+
+    try {
+        cli.log('📸 デスクトップをキャプチャ中...');
+        const image = await captureScreen(options.source.capture);
+        const hash = perceptualHash(image.buffer);
+        const distance = baseline ? hashDistance(baseline, hash) : null;
+        if (distance !== null && distance <= threshold) {
+            cli.log(`💤 前回分析した画面から変化がないため、分析を省略しました（差 ${distance}）`);
+            return { time, status: 'skipped', hash, distance };
+        }
+
+        // 分析する画面だけ保存する
+        const imagePath = options.outputDir ? await saveCapture(image, options.outputDir, 'monitor') : null;
+        if (imagePath) cli.log(`💾 保存完了: ${imagePath}`);
+        const name = imagePath ? path.parse(imagePath).name : `monitor_${time.replace(/[:.]/g, '-')}`;
+
+        const response = await analyzeImage(image, options, cli);
+        await writeAnalysis(response, { ...image, name, label: 'デスクトップ' }, options, cli);
+
+        return {
+            time,
+            status: 'analyzed',
+            image: imagePath,
+            hash,
+            distance,
+            mode: response.mode,
+            model: response.model,
+            schemaValid: response.schemaValid,
+            summary: response.parsedData?.summary ?? null,
+            description: formatResultText(response),
+            parsedData: response.parsedData
+        };
+    } catch (error) {
+        if (cli.signal.aborted) throw error;
+        cli.log(`❌ ${error.message}`);
+        return { time, status: 'error', error: error.message };
+    }
+}
+
+// 前日のダイジェストを記録と同じディレクトリに保存する（作成済みなら何もしない。失敗しても監視は続ける）
+async function writeDailyDigest(date, options, cli) {
+    const digestPath = path.join(path.dirname(options.logPath), `digest_${date}.md`);
+
+    try {
+        await fs.access(digestPath);
+        return;
+    } catch {
+        // まだ作っていない
+    }
+
+    try {
+        const markdown = await createDigest(date, options, cli);
+        await fs.writeFile(digestPath, `${markdown}\n`, 'utf-8');
+        cli.log(`📄 ダイジェスト保存: ${digestPath}`);
+    } catch (error) {
+        if (cli.signal.aborted) throw error;
+        cli.log(`⚠️ ${date} のダイジェストを作成できませんでした: ${error.message}`);
+    }
+}
+
+// その日の記録を Gemini でまとめ、Markdown にする（分析した記録がなければ回数だけ）
+async function createDigest(date, { logPath, model: modelName, thinkingLevel }, cli) {
+    const entries = await readTimelineEntries(logPath, { date });
+    if (entries.length === 0) {
+        throw exitError(`${date} の記録がありません（${logPath}）`, EXIT_CODES.input);
+    }
+
+    const observations = toDigestObservations(entries);
+    if (observations.length === 0) {
+        return formatDigestMarkdown({ date, entries });
+    }
+
+    cli.log(`🗒️ ${date} のダイジェストを作成中...（${observations.length}件の分析 / ${modelName}）`);
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const chat = startChat(genAI.getGenerativeModel(buildModelParams(modelName, thinkingLevel)));
+    const requestOptions = { signal: cli.signal };
+
+    const result = await sendMessageWithRetry(chat, [
+        { text: buildDigestPrompt(date, observations, countTimelineEntries(entries)) }
+    ], requestOptions, retryLogger(cli));
+
+    const response = parseAgenticResponse(result);
+    await validateWithRepair(chat, response, requestOptions, { outputSchema: DIGEST_SCHEMA });
+    if (!response.schemaValid) {
+        cli.log(`⚠️ ダイジェストがスキーマを満たしていないため、記録の一覧だけにします: ${response.validationErrors.join(' / ')}`);
+    }
+
+    return formatDigestMarkdown({ date, entries, digest: response.schemaValid ? response.parsedData : null, model: modelName });
+}
+
+// ====================================
+// 引数
+// ====================================
+
+function parseCommandArgs(args) {
+    try {
+        return parseArgs({ args, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw exitError(`引数が正しくありません: ${error.message}`, EXIT_CODES.usage);
+    }
+}
+
+async function resolveOptions(command, values, positionals) {
+    const source = resolveSource(command, values, positionals);
+
+    // プロンプト（テンプレートの変数は --var で置き換える）
+    if (values.prompt !== undefined && values.template !== undefined) {
+        throw exitError('--prompt と --template は同時に指定できません', EXIT_CODES.usage);
+    }
+    if (values.var && values.template === undefined) {
+        throw exitError('--var は --template と一緒に指定してください', EXIT_CODES.usage);
+    }
+
+    const template = values.template !== undefined ? await findTemplate(values.template) : null;
+    let prompt = values.prompt ?? null;
+    if (template) {
+        const filled = fillTemplatePrompt(template, parseVariables(values.var ?? []));
+        if (filled.error) throw exitError(`${filled.error}（--var 名前=値 で指定してください）`, EXIT_CODES.usage);
+        prompt = filled.prompt;
+    }
+
+    const mode = values.mode ?? template?.mode ?? 'analyze';
+    if (!CLI_MODES.includes(mode)) {
+        throw exitError(`未対応のモードです: ${mode}（${CLI_MODES.join(', ')}）`, EXIT_CODES.usage);
+    }
+    const outputSchema = template?.outputSchema ?? null;
+    if (outputSchema && mode !== 'analyze') {
+        throw exitError('出力スキーマ付きのテンプレートは通常分析（--mode analyze）でのみ使えます', EXIT_CODES.usage);
+    }
+
+    const model = values.model ?? DEFAULT_MODEL;
+    const thinkingLevel = values['thinking-level'] ?? template?.thinkingLevel ?? DEFAULT_THINKING_LEVEL;
+    const selectionError = validateModelSelection(model, thinkingLevel);
+    if (selectionError) throw exitError(selectionError, EXIT_CODES.usage);
+
+    const format = values.format ?? 'text';
+    if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+        throw exitError(`--format は ${Object.keys(OUTPUT_FORMATS).join(' / ')} のいずれかで指定してください`, EXIT_CODES.usage);
+    }
+
+    let delay = values.wait ? WAIT_SECONDS : 0;
+    if (values.delay !== undefined) {
+        delay = Number(values.delay);
+        if (values.delay.trim() === '' || !Number.isFinite(delay) || delay < 0) {
+            throw exitError('--delay は0以上の秒数で指定してください', EXIT_CODES.usage);
+        }
+    }
+
+    return {
+        source,
+        ...resolveMonitorOptions(command, values),
+        prompt,
+        mode,
+        outputSchema,
+        model,
+        thinkingLevel,
+        audioModel: values['audio-model'] ?? DEFAULT_AUDIO_MODEL,
+        format,
+        outputDir: values['output-dir'],
+        play: !values['no-play'],
+        delay
+    };
+}
+
+// 入力（画像のパス・標準入力・デスクトップのいずれか1つ。monitor はデスクトップ、digest はなし）
+function resolveSource(command, values, positionals) {
+    const { input } = COMMANDS[command];
+    const captureFlag = Object.keys(CAPTURE_ARG_OPTIONS).find(name => values[name] !== undefined);
+
+    if (input !== 'image') {
+        if (positionals.length > 0) throw exitError(`${command} には画像を指定できません`, EXIT_CODES.usage);
+        if (input === 'none' && (values.desktop || captureFlag)) {
+            throw exitError(`${command} ではデスクトップのキャプチャを指定できません`, EXIT_CODES.usage);
+        }
+    } else {
+        if (values.desktop ? positionals.length > 0 : positionals.length !== 1) {
+            throw exitError('画像のパス（標準入力は -）か --desktop のどちらか1つを指定してください', EXIT_CODES.usage);
+        }
+        if (captureFlag && !values.desktop) {
+            throw exitError(`--${captureFlag} は --desktop と一緒に指定してください`, EXIT_CODES.usage);
+        }
+    }
+
+    const capture = readCaptureArgs(values);
+    if (capture.error) throw exitError(capture.error, EXIT_CODES.usage);
+
+    if (input === 'none') return null;
+    if (input === 'desktop' || values.desktop) return { kind: 'desktop', capture: capture.options };
+    return positionals[0] === '-' ? { kind: 'stdin', capture: { backend: 'stdin' } } : { kind: 'file', file: positionals[0] };
+}
+
+// monitor・digest の予定・しきい値・記録のパス・日付
+function resolveMonitorOptions(command, values) {
+    const monitorFlag = ['every', 'cron', 'threshold'].find(name => values[name] !== undefined);
+    if (monitorFlag && command !== 'monitor') {
+        throw exitError(`--${monitorFlag} は monitor でのみ指定できます`, EXIT_CODES.usage);
+    }
+    if (values.date !== undefined && command !== 'digest') {
+        throw exitError('--date は digest でのみ指定できます', EXIT_CODES.usage);
+    }
+    if (command !== 'monitor' && command !== 'digest') {
+        if (values.log !== undefined) throw exitError('--log は monitor・digest でのみ指定できます', EXIT_CODES.usage);
+        return {};
+    }
+
+    const logPath = values.log ?? path.join(values['output-dir'] ?? '.', 'timeline.jsonl');
+    if (command === 'digest') return { logPath, date: parseDigestDate(values.date ?? 'today') };
+
+    const { schedule, error } = parseSchedule({
+        every: values.cron === undefined ? values.every ?? String(DEFAULT_MONITOR_MINUTES) : values.every,
+        cron: values.cron
+    });
+    if (error) throw exitError(error, EXIT_CODES.usage);
+
+    const threshold = values.threshold === undefined ? DEFAULT_CHANGE_THRESHOLD : Number(values.threshold);
+    if (!/^\d+$/.test(values.threshold ?? '0') || threshold > MAX_CHANGE_THRESHOLD) {
+        throw exitError(`--threshold は0〜${MAX_CHANGE_THRESHOLD}の整数で指定してください`, EXIT_CODES.usage);
+    }
+
+    return { logPath, monitor: { schedule, threshold } };
+}
+
+// today / yesterday / YYYY-MM-DD（ローカル時刻）
+function parseDigestDate(value) {
+    const now = new Date();
+    switch (value) {
+        case 'today':
+            return formatLocalDate(now);
+        case 'yesterday':
+            return formatLocalDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+        default: {
+            const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+            if (!date || formatLocalDate(date) !== value) {
+                throw exitError('--date は YYYY-MM-DD・today・yesterday のいずれかで指定してください', EXIT_CODES.usage);
+            }
+            return value;
+        }
+    }
+}
+
+// ID、名前、名前の一部（大文字小文字を区別しない、1件に決まる場合のみ）の順に探す
+async function findTemplate(key) {
+    const store = await createTemplateStore({ path: process.env.TEMPLATE_STORE_PATH });
+    const templates = await store.list();
+
+    const exact = templates.find(template => template.id === key || template.name === key);
+    if (exact) return exact;
+
+    const partial = templates.filter(template => template.name.toLowerCase().includes(key.toLowerCase()));
+    if (partial.length === 1) return partial[0];
+
+    const names = (partial.length > 1 ? partial : templates).map(template => `「${template.name}」`).join('、');
+    throw exitError(
+        partial.length > 1
+            ? `テンプレート「${key}」に当てはまるものが複数あります: ${names}`
+            : `テンプレート「${key}」が見つかりません（${names || 'テンプレートがありません'}）`,
+        EXIT_CODES.usage
+    );
+}
+
+// --var 名前=値
+function parseVariables(pairs) {
+    const values = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) throw exitError(`--var は 名前=値 の形で指定してください: ${pair}`, EXIT_CODES.usage);
+        values[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+    }
+    return values;
+}
+
+// ====================================
+// ユーティリティ
+// ====================================
+
+// /api/vision の応答と同じキーで、結果と検証の状態を返す
+function toJsonOutput(response, { input }) {
+    return {
+        input,
+        mode: response.mode,
+        model: response.model,
+        thinkingLevel: response.thinkingLevel,
+        prompt: response.prompt,
+        schemaVersion: response.schemaVersion,
+        schemaValid: response.schemaValid,
+        validationErrors: response.validationErrors,
+        repairAttempts: response.repairAttempts,
+        parsedData: response.parsedData,
+        text: response.text,
+        executions: response.executions
+    };
+}
+
+function exitError(message, exitCode) {
+    return Object.assign(new Error(message), { exitCode });
+}
@@ -0,0 +1,24 @@
+/**
+ * concurrency.js - 同時実行数を制限した並列処理
+ */
+
+/**
+ * items を最大 limit 件ずつ並列に処理する
+ * 結果は入力と同じ順番で返す。signal が中断されたら未着手の項目は開始しない
+ */
+export async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length && !signal?.aborted) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
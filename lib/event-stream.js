@@ -0,0 +1,44 @@
+/**
+ * event-stream.js - Server-Sent Events 送信ヘルパー
+ *
+ * ストリーミングレスポンスは以下の型付きイベントで送信します。
+ * 各イベントには連番の id が付き、data は常に1行のJSONです。
+ *
+ *   start        { requestId, mode, sessionId, expiresAt, model, thinkingLevel, cached }
+ *                cached はキャッシュした結果を返す場合 true（続く text / code / code_result は保存した出力の再送）
+ *   queue        { position }                       Gemini の呼び出しの順番待ち（1 が次）。順番が変わるたび
+ *   retry        { attempt, maxRetries, delayMs, status }  Gemini の一時的なエラーで、delayMs 後に再試行する
+ *   text         { text }                           モデルのテキスト出力（差分）
+ *   code         { index, language, code }          実行されたコード
+ *   code_result  { index, outcome, output }         code と同じ index の実行結果
+ *   error        { message, cancelled?, status?, retryAfter? }  処理中のエラー・キャンセル（この後 close）
+ *                Gemini の一時的なエラーで再試行しても失敗した場合は status（429 / 503）と retryAfter（秒）を付ける
+ *   final        非ストリーミング時と同じレスポンス全体
+ *
+ * バッチ分析 (/api/vision/batch) では以下を使用します。
+ *
+ *   start        { requestId, total, concurrency }
+ *   item         { index, name, status, result?, error? }  項目の状態が変わるたび
+ *   final        { requestId, total, completed, failed, cancelled, items }
+ *
+ * ストリームは final または error の送信後に閉じられます。
+ */
+
+export function openEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    let nextId = 1;
+
+    return {
+        send(event, data) {
+            if (res.writableEnded) return;
+            res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
@@ -0,0 +1,193 @@
+/**
+ * gemini-call.js - Gemini API の呼び出しの順番待ちと再試行
+ *
+ * サーバーとコマンドラインツール（lib/cli.js）の Gemini の呼び出しは、すべてここを通し、同じ方針で扱います。
+ *
+ *   同時実行数  同時に呼び出すのは GEMINI_MAX_CONCURRENCY 件まで。超えた分は先着順（FIFO）に待つ
+ *   再試行      429・500・503・504 と接続のエラーは GEMINI_MAX_RETRIES 回まで再試行する
+ *               待ち時間は GEMINI_RETRY_BASE_MS から倍々に増やし（上限 GEMINI_RETRY_MAX_MS）、ばらつき（ジッター）を加える
+ *               Retry-After（Gemini はエラーの RetryInfo.retryDelay）があればその時間だけ待ち、上限より長ければ再試行しない
+ *
+ * 再試行の間も順番（枠）は持ったままにし、混み合っている間に呼び出しを増やさないようにします。
+ */
+
+export const GEMINI_MAX_CONCURRENCY = Math.max(1, Number(process.env.GEMINI_MAX_CONCURRENCY || 4));
+export const GEMINI_MAX_RETRIES = Math.max(0, Number(process.env.GEMINI_MAX_RETRIES || 3));
+
+const RETRY_BASE_MS = Number(process.env.GEMINI_RETRY_BASE_MS || 1000);
+const RETRY_MAX_MS = Number(process.env.GEMINI_RETRY_MAX_MS || 30000);
+
+const RETRYABLE_STATUSES = [429, 500, 503, 504];
+
+// 応答がないまま接続が切れた場合（SDK はメッセージにまとめるため、メッセージで判定する）
+const NETWORK_ERROR_PATTERN = /fetch failed|ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up|other side closed/i;
+
+const UPSTREAM_ERRORS = {
+    429: { status: 429, message: 'Gemini API の利用上限に達しました。しばらくしてから再試行してください' },
+    unavailable: { status: 503, message: 'Gemini API が混み合っているか、一時的に利用できません。しばらくしてから再試行してください' }
+};
+
+// 呼び出し中の数と、順番を待っている呼び出し（先頭が次）
+let active = 0;
+const waiting = [];
+
+/**
+ * 順番を待ってから fn を呼び、失敗したら再試行する
+ * @template T
+ * @param {() => Promise<T>} fn Gemini の呼び出し（再試行のたびに呼ぶ）
+ * @param {{ signal?: AbortSignal, onQueue?: (position: number) => void, onRetry?: (retry: object) => void }} options
+ *        onQueue・onRetry は acquireGeminiSlot・withGeminiRetry を参照
+ * @returns {Promise<T>}
+ */
+export async function callGemini(fn, options = {}) {
+    const slot = await acquireGeminiSlot(options);
+    try {
+        return await withGeminiRetry(fn, options);
+    } finally {
+        slot.release();
+    }
+}
+
+/**
+ * 呼び出しの順番を待つ
+ * ストリーミングのように、呼び出しの後も応答を読み終えるまで枠を使う場合に直接使う（release を必ず呼ぶ）
+ * 枠を持ったまま callGemini を呼ぶと、同時実行数が1の場合は自分の順番を待ち続けるため、先に release すること
+ * @param {{ signal?: AbortSignal, onQueue?: (position: number) => void }} options
+ *        onQueue は待つ場合に、順番（1 が次）が変わるたびに呼ぶ
+ * @returns {Promise<{ release: () => void }>} signal が中断されたら、待つのをやめて reject する
+ */
+export function acquireGeminiSlot({ signal, onQueue } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (active < GEMINI_MAX_CONCURRENCY && waiting.length === 0) {
+        active++;
+        return Promise.resolve(createSlot());
+    }
+
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, onQueue, cleanup: () => signal?.removeEventListener('abort', onAbort) };
+        function onAbort() {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(signal.reason);
+            notifyPositions();
+        }
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(waiter);
+        onQueue?.(waiting.length);
+    });
+}
+
+/**
+ * fn を呼び、再試行できるエラーなら待ってから呼び直す（順番は待たない）
+ * @param {{ signal?: AbortSignal, onRetry?: (retry: { attempt: number, maxRetries: number, delayMs: number, status: number|null, error: Error }) => void }} options
+ *        onRetry は待つ前に呼ぶ（attempt は 1 から）
+ */
+export async function withGeminiRetry(fn, { signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (signal?.aborted || attempt >= GEMINI_MAX_RETRIES || !isRetryableError(error)) throw error;
+
+            const delayMs = retryDelay(error, attempt);
+            if (delayMs === null) throw error;
+
+            onRetry?.({ attempt: attempt + 1, maxRetries: GEMINI_MAX_RETRIES, delayMs, status: error.status ?? null, error });
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * 再試行しても失敗した Gemini のエラーを、クライアントに返す HTTP ステータスと説明にする
+ * @returns {{ status: number, message: string, retryAfterSeconds: number|null } | null} 一時的なエラーでなければ null
+ */
+export function describeGeminiError(error) {
+    if (!isRetryableError(error)) return null;
+
+    const upstream = error.status === 429 ? UPSTREAM_ERRORS[429] : UPSTREAM_ERRORS.unavailable;
+    const retryAfter = retryAfterMs(error);
+    return {
+        ...upstream,
+        retryAfterSeconds: retryAfter === null ? null : Math.ceil(retryAfter / 1000)
+    };
+}
+
+function isRetryableError(error) {
+    if (typeof error?.status === 'number') return RETRYABLE_STATUSES.includes(error.status);
+    return error instanceof Error && error.name !== 'AbortError' && NETWORK_ERROR_PATTERN.test(error.message);
+}
+
+// 待ち時間（ミリ秒）。Retry-After が上限より長ければ null（再試行しない）
+function retryDelay(error, attempt) {
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== null) return retryAfter <= RETRY_MAX_MS ? retryAfter : null;
+
+    // 待ち時間の半分は必ず待ち、残りをばらつかせる（同時に失敗した呼び出しが一斉に再試行しないように）
+    const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * エラーが示す待ち時間（ミリ秒、なければ null）
+ * Gemini は RetryInfo の retryDelay（"23s" など）で返す。ヘッダーを持つエラーは Retry-After（秒または日時）も見る
+ */
+function retryAfterMs(error) {
+    const retryInfo = Array.isArray(error?.errorDetails)
+        ? error.errorDetails.find(detail => String(detail?.['@type']).endsWith('google.rpc.RetryInfo'))
+        : null;
+    const delay = String(retryInfo?.retryDelay ?? '').match(/^(\d+(?:\.\d+)?)s$/);
+    if (delay) return Math.round(Number(delay[1]) * 1000);
+
+    const header = error?.headers?.get?.('retry-after') ?? error?.response?.headers?.get?.('retry-after');
+    if (!header) return null;
+    if (/^\d+$/.test(header.trim())) return Number(header) * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// ====================================
+// 順番待ち（FIFO）
+// ====================================
+
+function createSlot() {
+    let released = false;
+    return {
+        release() {
+            if (released) return;
+            released = true;
+            active--;
+            startWaiting();
+        }
+    };
+}
+
+// 空いた枠を先頭から渡し、残りに新しい順番を知らせる
+function startWaiting() {
+    if (waiting.length === 0) return;
+    while (active < GEMINI_MAX_CONCURRENCY && waiting.length > 0) {
+        const waiter = waiting.shift();
+        waiter.cleanup();
+        active++;
+        waiter.resolve(createSlot());
+    }
+    notifyPositions();
+}
+
+function notifyPositions() {
+    waiting.forEach((waiter, index) => waiter.onQueue?.(index + 1));
+}
@@ -0,0 +1,80 @@
+/**
+ * gemini-keys.js - リクエストごとの Gemini API キー
+ *
+ * 利用者が X-Gemini-Api-Key ヘッダーで送ったキーと、サーバーの GEMINI_API_KEY のどちらで Gemini を呼ぶかを決め、
+ * キーごとのクライアント（GoogleGenerativeAI）を使い回します。どちらを使うかは GEMINI_KEY_SOURCE で切り替えます。
+ *
+ *   both    利用者のキーがあればそれを、なければサーバーのキーを使う（既定）
+ *   user    利用者のキーだけを使う（サーバーのキーは使わない）
+ *   server  サーバーのキーだけを使う（利用者のキーは受け付けない）
+ *
+ * 利用者のキーはメモリ上のクライアントにだけ持ち、ログ・分析の履歴・キャッシュには残しません。
+ * 結果には、どちらのキーで呼んだか（billing）と、利用者のキーなら末尾4文字だけを付けます。
+ */
+
+import { createHash } from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const GEMINI_KEY_SOURCES = ['both', 'user', 'server'];
+
+export const GEMINI_KEY_HEADER = 'X-Gemini-Api-Key';
+
+// 使い回す利用者のキーのクライアントの数（超えたら最も長く使っていないものから捨てる）
+const MAX_USER_CLIENTS = 100;
+
+/**
+ * @param {{ source?: string, serverKey?: string }} options
+ */
+export function createGeminiKeys({ source = 'both', serverKey } = {}) {
+    if (!GEMINI_KEY_SOURCES.includes(source)) {
+        throw new Error(`未対応の GEMINI_KEY_SOURCE です: ${source}（${GEMINI_KEY_SOURCES.join(', ')}）`);
+    }
+
+    const serverClient = serverKey ? new GoogleGenerativeAI(serverKey) : null;
+    // キーのハッシュ → クライアント（Map の挿入順で LRU にする）
+    const userClients = new Map();
+
+    function userClientFor(key, fingerprint) {
+        const client = userClients.get(fingerprint) ?? new GoogleGenerativeAI(key);
+        userClients.delete(fingerprint);
+        userClients.set(fingerprint, client);
+        while (userClients.size > MAX_USER_CLIENTS) {
+            userClients.delete(userClients.keys().next().value);
+        }
+        return client;
+    }
+
+    return {
+        source,
+
+        /**
+         * リクエストのキー（ヘッダーの値）から、使うクライアントを決める
+         * fingerprint はセッションを作ったキーと同じかを確かめるためのもの（キーそのものは返さない）
+         * @returns {{ genAI: GoogleGenerativeAI, billing: { key: 'user'|'server', hint?: string }, fingerprint: string }
+         *          | { error: string }}
+         */
+        resolve(headerValue) {
+            const key = String(headerValue ?? '').trim();
+
+            if (key) {
+                if (source === 'server') {
+                    return { error: 'このサーバーでは Gemini の API キーを送れません（GEMINI_KEY_SOURCE=server）' };
+                }
+                if (!/^[\w-]{20,200}$/.test(key)) {
+                    return { error: 'Gemini の API キーの形式が正しくありません' };
+                }
+                const fingerprint = createHash('sha256').update(key).digest('hex');
+                return {
+                    genAI: userClientFor(key, fingerprint),
+                    billing: { key: 'user', hint: `…${key.slice(-4)}` },
+                    fingerprint
+                };
+            }
+
+            if (source === 'user' || !serverClient) {
+                return { error: `Gemini の API キーを ${GEMINI_KEY_HEADER} ヘッダーで送ってください（ブラウザでは ⚙️ 設定で入力します）` };
+            }
+            return { genAI: serverClient, billing: { key: 'server' }, fingerprint: 'server' };
+        }
+    };
+}
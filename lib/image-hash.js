@@ -0,0 +1,188 @@
+/**
+ * image-hash.js - 画像の知覚ハッシュ
+ *
+ * デスクトップの監視（image-analyst monitor）で、前回分析した画面から変わったかを判定します。
+ * PNG はグレースケールに縮小して差分ハッシュ（dHash、256ビット）を計算し、
+ * 時計やカーソルのような小さな変化ではほとんど変わらない値にします。
+ * 読み取れない画像（PNG 以外、インターレース、17×16 より小さい画像など）はバイト列の SHA-256 を使い、完全に同じ場合だけ一致とします。
+ */
+
+import { createHash } from 'crypto';
+import { inflateSync } from 'zlib';
+
+// dHash は 17×16 に縮小し、横に隣り合うマスの明るさを比べる
+const HASH_WIDTH = 17;
+const HASH_HEIGHT = 16;
+const HASH_DIGITS = (HASH_WIDTH - 1) * HASH_HEIGHT / 4;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// カラータイプごとの1画素のチャンネル数
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// 1画素の明るさ（ITU-R BT.601）。透明度は無視し、16ビットは上位バイトだけを使う
+// step は1サンプルのバイト数
+const GRAY_READERS = {
+    0: (row, at) => row[at],
+    4: (row, at) => row[at],
+    2: (row, at, step) => 0.299 * row[at] + 0.587 * row[at + step] + 0.114 * row[at + 2 * step],
+    6: (row, at, step) => 0.299 * row[at] + 0.587 * row[at + step] + 0.114 * row[at + 2 * step],
+    3: (row, at, step, palette) => {
+        const index = row[at] * 3;
+        return 0.299 * palette[index] + 0.587 * palette[index + 1] + 0.114 * palette[index + 2];
+    }
+};
+
+/**
+ * 画像のハッシュ
+ * @returns {string} dHash は64桁の16進数、読み取れない画像は "sha256:" で始まる文字列
+ */
+export function perceptualHash(buffer) {
+    let grid;
+    try {
+        grid = readPngGrayGrid(buffer);
+    } catch {
+        grid = null;
+    }
+    if (!grid) return `sha256:${createHash('sha256').update(buffer).digest('hex')}`;
+
+    let bits = 0n;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const left = grid[y * HASH_WIDTH + x];
+            const right = grid[y * HASH_WIDTH + x + 1];
+            bits = (bits << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return bits.toString(16).padStart(HASH_DIGITS, '0');
+}
+
+/**
+ * 2つのハッシュの違い（異なるビットの数、0〜256）
+ * @returns {number|null} SHA-256 どうしで異なる場合など、比べられない場合は null
+ */
+export function hashDistance(a, b) {
+    if (a === b) return 0;
+    if (!isDHash(a) || !isDHash(b)) return null;
+
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+function isDHash(hash) {
+    return typeof hash === 'string' && hash.length === HASH_DIGITS && /^[0-9a-f]+$/.test(hash);
+}
+
+// ====================================
+// PNG
+// ====================================
+
+/**
+ * PNG を 17×16 のグレースケール（各マスの平均の明るさ）にする
+ * 画像データ（IDAT）は一度にすべて展開する（画面全体の画像なら、その分のメモリを一時的に使う）
+ * フィルターを戻すのは1行ずつで、戻した画素は直前の行と合わせて2行分だけを持つ
+ * @returns {Float64Array|null} 読み取れない PNG は null
+ */
+function readPngGrayGrid(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+    let header = null;
+    let palette = null;
+    const data = [];
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'IDAT') {
+            data.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || header.interlace !== 0 || header.width < HASH_WIDTH || header.height < HASH_HEIGHT) return null;
+    const channels = PNG_CHANNELS[header.colorType];
+    if (!channels || (header.bitDepth !== 8 && header.bitDepth !== 16)) return null;
+    if (header.colorType === 3 && !palette) return null;
+
+    let pixels;
+    try {
+        pixels = inflateSync(Buffer.concat(data));
+    } catch {
+        return null;
+    }
+
+    const { width, height, bitDepth, colorType } = header;
+    const readGray = GRAY_READERS[colorType];
+    const bytesPerSample = bitDepth / 8;
+    const bpp = channels * bytesPerSample;
+    const stride = width * bpp;
+    if (pixels.length < (stride + 1) * height) return null;
+
+    const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+    const counts = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+    const columns = Array.from({ length: width }, (_, x) => Math.floor(x * HASH_WIDTH / width));
+    let previous = Buffer.alloc(stride);
+    let row = Buffer.alloc(stride);
+
+    for (let y = 0; y < height; y++) {
+        const start = y * (stride + 1);
+        unfilterRow(pixels[start], pixels.subarray(start + 1, start + 1 + stride), row, previous, bpp);
+
+        const cellRow = Math.floor(y * HASH_HEIGHT / height) * HASH_WIDTH;
+        for (let x = 0; x < width; x++) {
+            const cell = cellRow + columns[x];
+            sums[cell] += readGray(row, x * bpp, bytesPerSample, palette);
+            counts[cell]++;
+        }
+
+        [previous, row] = [row, previous];
+    }
+
+    return sums.map((sum, i) => sum / counts[i]);
+}
+
+// PNG のフィルター（None / Sub / Up / Average / Paeth）を戻す
+function unfilterRow(filter, line, out, previous, bpp) {
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= bpp ? out[i - bpp] : 0;
+        const up = previous[i];
+        const upLeft = i >= bpp ? previous[i - bpp] : 0;
+        let predictor;
+        switch (filter) {
+            case 0: predictor = 0; break;
+            case 1: predictor = left; break;
+            case 2: predictor = up; break;
+            case 3: predictor = (left + up) >> 1; break;
+            case 4: predictor = paeth(left, up, upLeft); break;
+            default: throw new Error(`PNG のフィルターが正しくありません: ${filter}`);
+        }
+        out[i] = (line[i] + predictor) & 0xff;
+    }
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
@@ -0,0 +1,56 @@
+/**
+ * image-scale.js - クライアント側の前処理（縮小）情報
+ *
+ * ブラウザで縮小してから送られた画像について、縮小率を検証し、
+ * 送信画像の座標で返された検出結果に元画像の座標を追加します。
+ */
+
+import { collectBoxedItems } from './regions.js';
+
+/**
+ * リクエストの preprocess を検証する
+ * multipart の場合は JSON 文字列でも受け付ける
+ * @returns {{ preprocess: object|null } | { error: string }}
+ */
+export function parsePreprocessInfo(value) {
+    if (value === undefined || value === null || value === '') return { preprocess: null };
+
+    let info = value;
+    if (typeof value === 'string') {
+        try {
+            info = JSON.parse(value);
+        } catch {
+            return { error: 'preprocess はJSONオブジェクトで指定してください' };
+        }
+    }
+
+    const sizes = ['width', 'height', 'originalWidth', 'originalHeight'];
+    const valid = info && typeof info === 'object'
+        && Number.isFinite(info.scale) && info.scale > 0
+        && sizes.every(key => info[key] === undefined || (Number.isInteger(info[key]) && info[key] > 0));
+
+    if (!valid) {
+        return { error: 'preprocess.scale は正の数、サイズは正の整数で指定してください' };
+    }
+
+    const preprocess = { scale: info.scale };
+    for (const key of sizes) {
+        if (info[key] !== undefined) preprocess[key] = info[key];
+    }
+    if (typeof info.mimeType === 'string') preprocess.mimeType = info.mimeType;
+
+    return { preprocess };
+}
+
+/**
+ * 検出・OCRの行と単語・表とセルの bbox（送信画像の座標）を縮小率で割り戻し、original_bbox として追加する
+ */
+export function addOriginalCoordinates(data, preprocess) {
+    if (!preprocess || preprocess.scale === 1) return data;
+
+    for (const { item } of collectBoxedItems(data)) {
+        item.original_bbox = item.bbox.map(v => Math.round(v / preprocess.scale));
+    }
+
+    return data;
+}
@@ -0,0 +1,44 @@
+/**
+ * inflight.js - 実行中リクエストの管理
+ *
+ * 分析リクエストごとに AbortController を保持し、
+ * クライアントの切断や DELETE /api/vision/:requestId で上流の生成を中断します。
+ * リクエストを開始した相手（owner）を覚え、別の相手からはキャンセルできないようにします。
+ */
+
+import { randomUUID } from 'crypto';
+
+const inflight = new Map();
+
+/**
+ * @param {string} [requestId] クライアントが指定したID（使えなければ新しく作る）
+ * @param {string|null} [owner] キャンセルできる相手（APIトークンの名前や IPアドレス）
+ */
+export function startRequest(requestId, owner = null) {
+    const id = isValidRequestId(requestId) && !inflight.has(requestId) ? requestId : randomUUID();
+    const controller = new AbortController();
+
+    inflight.set(id, { id, owner, controller, startedAt: Date.now() });
+
+    return {
+        id,
+        signal: controller.signal,
+        abort: (reason) => controller.abort(reason),
+        finish: () => inflight.delete(id)
+    };
+}
+
+// 開始した相手と owner が違う場合は、見つからない場合と同じく false（他人のリクエストの有無を知らせない）
+export function cancelRequest(id, owner = null, reason = 'cancelled') {
+    const entry = inflight.get(id);
+    if (!entry || entry.owner !== owner) return false;
+
+    entry.controller.abort(reason);
+    inflight.delete(id);
+    return true;
+}
+
+// クライアント指定のIDは英数字・ハイフン・アンダースコアのみ許可
+function isValidRequestId(id) {
+    return typeof id === 'string' && /^[\w-]{8,64}$/.test(id);
+}
@@ -0,0 +1,136 @@
+/**
+ * models.js - Gemini モデルレジストリ
+ *
+ * 利用可能なモデルと、思考レベル（minimal / low / medium / high）ごとの
+ * 生成設定をまとめて管理します。サーバーと起動スクリプトの両方から使用します。
+ *
+ * ALLOWED_MODELS（カンマ区切り）でリクエストから選択できるモデルを制限でき、
+ * GEMINI_MODEL で既定モデルを変更できます。
+ */
+
+export const THINKING_LEVELS = [
+    { id: 'minimal', label: 'Minimal (最速)' },
+    { id: 'low', label: 'Low' },
+    { id: 'medium', label: 'Medium (推奨)' },
+    { id: 'high', label: 'High (最高精度)' }
+];
+
+export const DEFAULT_THINKING_LEVEL = 'medium';
+
+// Gemini 2.5 系は thinkingBudget（トークン数）で思考量を指定する
+const FLASH_25_BUDGETS = { minimal: 0, low: 1024, medium: 8192, high: 24576 };
+const PRO_25_BUDGETS = { low: 1024, medium: 8192, high: 32768 };
+
+const MODEL_REGISTRY = {
+    'gemini-3-flash-preview': {
+        label: 'Gemini 3 Flash',
+        description: '最新版、Agentic Vision対応',
+        codeExecution: true,
+        // Gemini 3 系は thinkingLevel をそのまま指定できる
+        thinking: {
+            minimal: { thinkingLevel: 'minimal' },
+            low: { thinkingLevel: 'low' },
+            medium: { thinkingLevel: 'medium' },
+            high: { thinkingLevel: 'high' }
+        }
+    },
+    'gemini-2.5-flash': {
+        label: 'Gemini 2.5 Flash',
+        description: '安定版',
+        codeExecution: true,
+        thinking: budgetsToThinking(FLASH_25_BUDGETS)
+    },
+    'gemini-2.5-pro': {
+        label: 'Gemini 2.5 Pro',
+        description: '高精度・低速（思考を無効化できないため Minimal 非対応）',
+        codeExecution: true,
+        thinking: budgetsToThinking(PRO_25_BUDGETS)
+    }
+};
+
+const ALLOWED_MODELS = (process.env.ALLOWED_MODELS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => registryEntry(id));
+
+export const DEFAULT_MODEL = isAllowedModel(process.env.GEMINI_MODEL)
+    ? process.env.GEMINI_MODEL
+    : (ALLOWED_MODELS[0] || 'gemini-3-flash-preview');
+
+export function isAllowedModel(id) {
+    if (!registryEntry(id)) return false;
+    return ALLOWED_MODELS.length === 0 || ALLOWED_MODELS.includes(id);
+}
+
+export function isSupportedThinkingLevel(id, thinkingLevel) {
+    return Boolean(thinkingConfigOf(registryEntry(id), thinkingLevel));
+}
+
+/**
+ * モデルと思考レベルの組み合わせを検証する
+ * @returns {string|null} エラーメッセージ（問題なければ null）
+ */
+export function validateModelSelection(id, thinkingLevel) {
+    if (!isAllowedModel(id)) {
+        return `利用できないモデルです: ${id}`;
+    }
+    if (!isSupportedThinkingLevel(id, thinkingLevel)) {
+        return `${id} は思考レベル "${thinkingLevel}" に対応していません`;
+    }
+    return null;
+}
+
+// GET /api/models 用の公開情報
+export function listModels() {
+    return Object.entries(MODEL_REGISTRY)
+        .filter(([id]) => isAllowedModel(id))
+        .map(([id, entry]) => ({
+            id,
+            label: entry.label,
+            description: entry.description,
+            codeExecution: entry.codeExecution,
+            thinkingLevels: THINKING_LEVELS.filter(level => entry.thinking[level.id]),
+            defaultThinkingLevel: entry.thinking[DEFAULT_THINKING_LEVEL]
+                ? DEFAULT_THINKING_LEVEL
+                : Object.keys(entry.thinking)[0]
+        }));
+}
+
+// getGenerativeModel() に渡すパラメータを構築
+export function buildModelParams(id = DEFAULT_MODEL, thinkingLevel = DEFAULT_THINKING_LEVEL) {
+    const entry = registryEntry(id);
+    if (!entry) {
+        throw new Error(`未対応のモデルです: ${id}`);
+    }
+
+    const thinkingConfig = thinkingConfigOf(entry, thinkingLevel);
+    if (!thinkingConfig) {
+        throw new Error(`${id} は思考レベル "${thinkingLevel}" に対応していません`);
+    }
+
+    return {
+        model: id,
+        tools: entry.codeExecution ? [{ codeExecution: {} }] : [],
+        generationConfig: {
+            temperature: 0.2,
+            thinkingConfig
+        }
+    };
+}
+
+function budgetsToThinking(budgets) {
+    return Object.fromEntries(
+        Object.entries(budgets).map(([level, thinkingBudget]) => [level, { thinkingBudget }])
+    );
+}
+
+// constructor や toString などの組み込みのプロパティ名をモデル・思考レベルとみなさない
+function registryEntry(id) {
+    return typeof id === 'string' && Object.hasOwn(MODEL_REGISTRY, id) ? MODEL_REGISTRY[id] : null;
+}
+
+function thinkingConfigOf(entry, thinkingLevel) {
+    return entry && typeof thinkingLevel === 'string' && Object.hasOwn(entry.thinking, thinkingLevel)
+        ? entry.thinking[thinkingLevel]
+        : null;
+}
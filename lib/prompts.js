@@ -0,0 +1,260 @@
+/**
+ * prompts.js - Agentic Vision 用プロンプトテンプレート
+ *
+ * 分析モードごとのプロンプトを構築します。
+ * 出力形式の指示は result-schema.js のスキーマから生成します。
+ */
+
+import { RESULT_SCHEMA_VERSION, buildSchemaInstructions } from './result-schema.js';
+import { TIMELINE_SCHEMA, formatTimestamp } from './sequences.js';
+import { DIGEST_SCHEMA } from './timeline-log.js';
+
+// 1枚の画像を扱うモードのプロンプト（指定のないモードは通常分析）
+const SINGLE_IMAGE_PROMPTS = {
+    ocr: buildOcrPrompt,
+    table: buildTablePrompt
+};
+
+// Agentic Vision用プロンプト構築
+export function buildAgenticPrompt(userPrompt, { regions = [], pages = [], frames = [], outputSchema = null } = {}) {
+    return `
+あなたはAgentic Visionモードで画像を分析します。
+Think-Act-Observeループを使用して、正確な結果を提供してください。
+
+[ユーザーリクエスト]
+${userPrompt}
+${buildRegionInstructions(regions)}${buildPageInstructions(pages)}${buildFrameInstructions(frames)}
+[処理指示]
+THINK:
+1. 画像の内容を分析
+2. ユーザーリクエストに必要な処理を計画
+3. 使用するアルゴリズムを決定
+
+ACT:
+Pythonコードを使用して画像処理を実行してください。
+必要に応じて: cv2, numpy, PIL, matplotlib を使用できます。
+
+OBSERVE:
+処理結果を確認し、必要に応じて調整してください。
+
+[出力形式]
+${buildSchemaInstructions('analyze', outputSchema)}
+`.trim();
+}
+
+// 注目領域の指示（領域がなければ空文字）
+function buildRegionInstructions(regions) {
+    if (regions.length === 0) return '';
+
+    const list = regions
+        .map(({ label, bbox: [x1, y1, x2, y2] }) => `- ${label}: x ${x1}〜${x2}, y ${y1}〜${y2}（img[${y1}:${y2}, ${x1}:${x2}]）`)
+        .join('\n');
+
+    return `
+[注目領域]
+ユーザーは以下の領域（元画像のピクセル座標）に注目しています。画像全体ではなく、これらの領域を対象に処理してください。
+${list}
+
+各領域はPythonで切り出してから処理し、領域内で見つけた検出（OCRでは行、表の抽出では表）には region にその領域のラベルを付けてください。
+region を付けた検出（OCRでは行、表の抽出では表）の bbox は、切り出した領域の左上を原点とする座標で返してください。
+OCRの words や表のセルの bbox も、その行・表と同じ座標系で返してください（元画像の座標への変換はこちらで行います）。
+`;
+}
+
+// 複数ページの文書の指示（ページの指定がなければ空文字）
+function buildPageInstructions(pages) {
+    if (pages.length === 0) return '';
+
+    return `
+[複数ページの文書]
+画像は1つの文書の ${pages.map(page => `${page}ページ`).join('、')} で、それぞれ直前に [ページ n] を付けて順に渡されています。
+ページをまたいで内容を読み取り、1つの結果にまとめてください。
+
+検出（OCRでは行、表の抽出では表）には、それが現れるページの番号を page に付けてください。
+bbox は、そのページの画像の左上を原点とする座標で返してください。
+ページをまたいで続く表は1つの表にまとめ、表の page には最初のページを、続きのページにあるセルにはそのページの番号を page に付けてください。
+続きのページで繰り返される見出し行は、表に重ねて含めないでください。
+`;
+}
+
+// 動画のフレームの指示（フレームの指定がなければ空文字）
+function buildFrameInstructions(frames) {
+    if (frames.length === 0) return '';
+
+    return `
+[動画のフレーム]
+画像は1つの動画から時刻順に取り出した ${frames.length} 枚のフレーム（${frames.map(formatTimestamp).join('、')}）で、それぞれ直前に [フレーム n・時刻] を付けて順に渡されています。
+フレーム間の変化（出来事・動き・画面の遷移）にも注目し、1つの結果にまとめてください。
+
+検出（OCRでは行、表の抽出では表）には、それが現れるフレームの番号 n（1から始まる送信順）を frame に付けてください。
+同じ物体が複数のフレームに現れる場合は、フレームごとに別の検出として返してください。
+bbox は、そのフレームの画像の左上を原点とする座標で返してください。
+`;
+}
+
+// 1枚の画像（または複数ページ・フレーム）を扱うモードのプロンプト構築
+export function buildSingleImagePrompt(mode, userPrompt, options) {
+    return (SINGLE_IMAGE_PROMPTS[mode] ?? buildAgenticPrompt)(userPrompt, options);
+}
+
+// 比較モード用プロンプト構築（画像はラベル付きで直前のパートに含まれる）
+export function buildComparePrompt(userPrompt, labels) {
+    return `
+あなたはAgentic Visionモードで複数の画像を比較します。
+画像は ${labels.map(label => `「${label}」`).join('、')} の順に、ラベル付きで渡されています。
+Think-Act-Observeループを使用して、画像間の違いを漏れなく正確に特定してください。
+
+[ユーザーリクエスト]
+${userPrompt || 'これらの画像の違いを見つけてください'}
+
+[処理指示]
+THINK:
+1. 各画像の内容と、比較すべき観点（レイアウト・色・テキスト・物体の有無など）を整理
+2. 画像サイズや位置ずれがあれば、位置合わせの方法を決定
+
+ACT:
+Pythonコードで画像を読み込み、必要に応じてリサイズ・位置合わせしたうえで
+差分（cv2.absdiff、SSIM、輪郭抽出など）を計算してください。
+必要に応じて: cv2, numpy, PIL, matplotlib を使用できます。
+
+OBSERVE:
+差分として検出された領域が意味のある変化か（圧縮ノイズ等でないか）を確認してください。
+変化ごとに、それが現れる各画像のラベルとピクセル座標を regions に記録してください。
+
+[出力形式]
+${buildSchemaInstructions('compare')}
+`.trim();
+}
+
+// OCRモード用プロンプト構築
+export function buildOcrPrompt(userPrompt, { regions = [], pages = [], frames = [] } = {}) {
+    return `
+あなたはAgentic VisionモードでOCR（文字認識）を行います。
+Think-Act-Observeループを使用して、画像内の文字を漏れなく正確に読み取ってください。
+
+[ユーザーリクエスト]
+${userPrompt || '画像内のテキストをすべて抽出してください'}
+${buildRegionInstructions(regions)}${buildPageInstructions(pages)}${buildFrameInstructions(frames)}
+[処理指示]
+THINK:
+1. 文字の種類（言語・縦書き/横書き・表や段組みの有無）を確認
+2. 人が読む順番（段組みは列ごと、上から下）を決定
+
+ACT:
+Pythonコードで必要に応じて拡大・二値化・傾き補正を行い、小さな文字や薄い文字も確認してください。
+必要に応じて: cv2, numpy, PIL を使用できます。
+
+OBSERVE:
+読み取った各行の位置が画像上の文字と一致しているかを確認してください。
+
+[出力ルール]
+- lines は1行ごとに、order（0から始まる読み順）と bbox を付けてください
+- 同じ段落の行には同じ block 番号を付けてください
+- 各行の words には単語（日本語は文節程度）ごとの text と bbox を入れてください
+- text は lines を読み順に改行で連結した全文、language は主な言語（ja, en など）です
+- confidence は読み取りの確信度（0〜1）です
+
+[出力形式]
+${buildSchemaInstructions('ocr')}
+`.trim();
+}
+
+// 表の抽出モード用プロンプト構築
+export function buildTablePrompt(userPrompt, { regions = [], pages = [], frames = [] } = {}) {
+    return `
+あなたはAgentic Visionモードで画像内の表を抽出します。
+Think-Act-Observeループを使用して、表の構造（行・列・結合セル）とセルの文字を正確に読み取ってください。
+
+[ユーザーリクエスト]
+${userPrompt || '画像内の表をすべて抽出してください'}
+${buildRegionInstructions(regions)}${buildPageInstructions(pages)}${buildFrameInstructions(frames)}
+[処理指示]
+THINK:
+1. 画像内にある表の数と位置を確認
+2. 各表の罫線・見出し行・結合セルの構造を把握
+
+ACT:
+Pythonコードで罫線検出（cv2.morphologyEx、輪郭抽出など）を行い、行と列の境界を特定してください。
+必要に応じて: cv2, numpy, PIL を使用できます。
+
+OBSERVE:
+各行のセル数（結合を考慮した列数）がそろっているか、読み取った文字がセルの位置と一致しているかを確認してください。
+
+[出力ルール]
+- 表が複数ある場合は、tables に上から順に1つずつ入れてください
+- rows は上の行から順に、各行のセルを左から並べてください
+- 結合セルは左上の位置に1つだけ置き、row_span（縦に結合した行数）と col_span（横に結合した列数）を付けてください
+- 結合セルに覆われた位置のセルは rows に含めないでください（HTML の <table> と同じ表し方です）
+- 空のセルも text を空文字にして含めてください
+- header_rows は先頭の見出し行の数（見出しがなければ 0）です
+- 数値は画像に書かれたとおりの文字列（桁区切りや単位を含む）で返してください
+
+[出力形式]
+${buildSchemaInstructions('table')}
+`.trim();
+}
+
+// 動画のまとめ用プロンプト構築（フレームごとの観察結果から、何が起きたかを時刻順にまとめる）
+export function buildTimelinePrompt(userPrompt, frames, context = '') {
+    const observations = frames
+        .map(({ time, text }) => `[${formatTimestamp(time)}（${time}秒）]\n${text || '（観察結果なし）'}`)
+        .join('\n\n');
+
+    return `
+動画から時刻順に取り出したフレームを、1枚ずつ（または複数枚まとめて）分析した観察結果があります。
+これらをもとに、動画の中で何が起きたかをまとめてください。画像はありません。
+${userPrompt ? `\n[各フレームの分析に使ったリクエスト]\n${userPrompt}\n` : ''}${context ? `\n[動画全体の分析結果]\n${context}\n` : ''}
+[フレームごとの観察結果]
+${observations}
+
+[出力ルール]
+- events には出来事を時刻順に1つずつ入れ、time には始まりの時刻（秒）を、続いた場合は end_time に終わりの時刻（秒）を入れてください
+- time と end_time は観察結果にある時刻から選んでください（フレームの間の時刻は推測しないでください）
+- 変化のないフレームが続く場合は、1つの出来事にまとめてください
+- summary には動画全体で何が起きたかを2〜3文で書いてください
+
+[出力形式]
+${buildSchemaInstructions('analyze', TIMELINE_SCHEMA)}
+`.trim();
+}
+
+// デスクトップの監視の日次ダイジェスト用プロンプト構築（撮影ごとの分析結果から、1日の活動をまとめる）
+export function buildDigestPrompt(date, observations, { total, skipped }) {
+    const list = observations
+        .map(({ time, text }) => `[${time}]\n${text || '（分析結果なし）'}`)
+        .join('\n\n');
+
+    return `
+${date} にデスクトップを定期的に撮影し、画面が変わったときだけ分析した結果があります。
+これらをもとに、この日の作業の流れをまとめてください。画像はありません。
+撮影は全部で ${total} 回で、そのうち ${skipped} 回は前回分析した画面から変化がなかったため分析していません（その間は同じ画面が続いていたとみなしてください）。
+
+[撮影ごとの分析結果]
+${list}
+
+[出力ルール]
+- activities には作業や出来事を時刻順に1つずつ入れ、start には始まりの時刻（HH:MM）を、続いた場合は end に終わりの時刻（HH:MM）を入れてください
+- start と end は分析結果にある時刻から選んでください
+- 同じ作業が続いている間は、1つの activity にまとめてください
+- highlights には通知・エラー・予定など、あとで確認したほうがよさそうなことを入れてください（なければ空の配列）
+- summary にはこの日の作業全体を2〜3文で書いてください
+- 個人情報やセンシティブな内容は伏せて記述してください
+
+[出力形式]
+${buildSchemaInstructions('analyze', DIGEST_SCHEMA)}
+`.trim();
+}
+
+// フォローアップ用プロンプト構築（画像と過去の処理はチャット履歴に含まれる）
+export function buildFollowUpPrompt(userPrompt) {
+    return `
+先ほどと同じ画像について、追加のリクエストです。
+これまでのTHINK/ACT/OBSERVEで得たコードや観察結果を活用し、必要であれば追加のPythonコードを実行してください。
+
+[ユーザーリクエスト]
+${userPrompt}
+
+[出力形式]
+前回と同じJSONスキーマ (schema_version: ${RESULT_SCHEMA_VERSION}) に従うJSONオブジェクトを返してください。
+`.trim();
+}
@@ -0,0 +1,111 @@
+/**
+ * regions.js - 注目領域（ROI）
+ *
+ * クライアントが指定した矩形領域を検証し、モデルが領域内の座標で返した検出結果を
+ * 元画像全体のピクセル座標に変換します。
+ */
+
+export const MAX_REGIONS = 10;
+
+/**
+ * リクエストの regions を検証する
+ * multipart の場合は JSON 文字列でも受け付ける
+ * @returns {{ regions: { label: string, bbox: number[] }[] } | { error: string }}
+ */
+export function parseRegions(value) {
+    if (value === undefined || value === null || value === '') return { regions: [] };
+
+    let regions = value;
+    if (typeof value === 'string') {
+        try {
+            regions = JSON.parse(value);
+        } catch {
+            return { error: 'regions はJSON配列で指定してください' };
+        }
+    }
+
+    if (!Array.isArray(regions)) {
+        return { error: 'regions は配列で指定してください' };
+    }
+    if (regions.length > MAX_REGIONS) {
+        return { error: `指定できる領域は ${MAX_REGIONS} 個までです` };
+    }
+
+    const labels = new Set();
+    const parsed = [];
+
+    for (const [i, region] of regions.entries()) {
+        const bbox = region?.bbox;
+        const valid = Array.isArray(bbox)
+            && bbox.length === 4
+            && bbox.every(v => Number.isFinite(v) && v >= 0)
+            && bbox[0] < bbox[2]
+            && bbox[1] < bbox[3];
+
+        if (!valid) {
+            return { error: `regions[${i}].bbox は [x1, y1, x2, y2]（x1 < x2, y1 < y2 のピクセル座標）で指定してください` };
+        }
+
+        const label = String(region.label || '').trim() || `R${i + 1}`;
+        if (labels.has(label)) {
+            return { error: `領域のラベルが重複しています: ${label}` };
+        }
+        labels.add(label);
+
+        parsed.push({ label, bbox: bbox.map(Math.round) });
+    }
+
+    return { regions: parsed };
+}
+
+/**
+ * 結果に含まれる bbox 付きの要素を列挙する
+ * 通常分析の検出、OCRの行・単語（単語は行の region を引き継ぐ）、表とセル（セルは表の region を引き継ぐ）
+ * @returns {{ item: object, region?: string }[]}
+ */
+export function collectBoxedItems(data) {
+    const items = [];
+
+    for (const detection of asArray(data?.metadata?.detections)) {
+        items.push({ item: detection, region: detection?.region });
+    }
+    for (const line of asArray(data?.lines)) {
+        items.push({ item: line, region: line?.region });
+        for (const word of asArray(line?.words)) {
+            items.push({ item: word, region: line?.region });
+        }
+    }
+    for (const table of asArray(data?.tables)) {
+        items.push({ item: table, region: table?.region });
+        for (const cell of asArray(table?.rows).flatMap(asArray)) {
+            items.push({ item: cell, region: table?.region });
+        }
+    }
+
+    return items.filter(({ item }) => Array.isArray(item?.bbox) && item.bbox.length === 4);
+}
+
+/**
+ * region 付きの検出・OCRの行・表（領域内の座標）を元画像全体の座標に変換する
+ * 変換前の座標は region_bbox に残す
+ */
+export function mapRegionDetections(data, regions) {
+    if (regions.length === 0) return data;
+
+    for (const { item, region: label } of collectBoxedItems(data)) {
+        const region = regions.find(r => r.label === label);
+        if (!region || 'region_bbox' in item) continue;
+
+        const [offsetX, offsetY] = region.bbox;
+        const [x1, y1, x2, y2] = item.bbox;
+
+        item.region_bbox = item.bbox;
+        item.bbox = [x1 + offsetX, y1 + offsetY, x2 + offsetX, y2 + offsetY];
+    }
+
+    return data;
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
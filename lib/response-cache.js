@@ -0,0 +1,400 @@
+/**
+ * response-cache.js - 分析結果のキャッシュ
+ *
+ * 同じ画像・プロンプト・モデル・生成設定の /api/vision のリクエストには、Gemini を呼ばずに前回の結果を返します。
+ * キーは画像のハッシュ・正規化したプロンプト・モデルの生成設定・分析の指定から作る SHA-256 です。
+ * 保存先は RESPONSE_CACHE で切り替え、どれも有効期限（RESPONSE_CACHE_TTL_SECONDS）を過ぎた結果は使いません。
+ *
+ *   disk    メモリの LRU（RESPONSE_CACHE_MAX_ENTRIES 件）＋ 1件1ファイルのJSON（既定。再起動しても残る）
+ *           ファイルは RESPONSE_CACHE_MAX_FILES 件までとし、超えたら最も長く使っていないものから削除する
+ *   memory  メモリの LRU のみ
+ *   none    キャッシュしない
+ *
+ * 一覧・件数の上限・期限切れの判定には、結果とチャット履歴を含まない索引（キーごとの作成日時・最終アクセス・サイズなど）を使い、
+ * 本体はヒットしたときにだけ読みます。disk では索引を .index.json に保存し、起動時にファイルと突き合わせます。
+ * 期限切れの結果は、読んだとき・一覧したときのほか、定期的にまとめて削除します。
+ * meta.owner（APIトークン）を保存しておくと、list / remove / clear に owner を渡してその owner の結果だけを扱えます。
+ * 結果と一緒に、最初のメッセージより後のチャット履歴を保存し、キャッシュから返した結果にもフォローアップできるようにします。
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import { join } from 'path';
+
+export const RESPONSE_CACHE_DRIVERS = ['disk', 'memory', 'none'];
+
+const DEFAULT_PATH = 'data/cache';
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 100;
+const DEFAULT_MAX_FILES = 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// ヒットのたびに索引を書き直さないよう、ヒット数・最終アクセスの保存はまとめて行う
+const INDEX_SAVE_DELAY_MS = 5000;
+
+// プロンプトのテンプレートや結果の形を変えたときに上げる（古いキャッシュを使わない）
+const CACHE_KEY_VERSION = 1;
+
+/**
+ * キャッシュのキー
+ * @param {{ images: { data: string, mimeType: string, label?: string }[], prompt?: string, modelParams: object, options?: object, scope?: object }} request
+ *        images の data は Base64。options にはモード・注目領域・ページなど、結果を変える指定を入れる
+ *        scope には結果を共有してよい範囲（APIトークン・Gemini API キーの指紋など）を入れ、違う利用者には別のキーにする
+ * @returns {string} 64桁の16進数
+ */
+export function buildCacheKey({ images, prompt, modelParams, options = {}, scope = {} }) {
+    const source = {
+        version: CACHE_KEY_VERSION,
+        images: images.map(({ data, mimeType, label }) => ({
+            sha256: createHash('sha256').update(Buffer.from(data, 'base64')).digest('hex'),
+            mimeType,
+            label
+        })),
+        prompt: normalizePrompt(prompt),
+        modelParams,
+        options,
+        scope
+    };
+    return createHash('sha256').update(JSON.stringify(source)).digest('hex');
+}
+
+/**
+ * リクエストの Cache-Control
+ *   no-cache / max-age=0  キャッシュを使わずに分析し、結果はキャッシュする
+ *   no-store              キャッシュを使わず、結果もキャッシュしない
+ * @returns {{ lookup: boolean, store: boolean }}
+ */
+export function parseCacheControl(header) {
+    const directives = String(header ?? '').toLowerCase().split(',').map(value => value.trim());
+    const store = !directives.includes('no-store');
+    const lookup = store && !directives.includes('no-cache') && !directives.includes('max-age=0');
+    return { lookup, store };
+}
+
+/**
+ * @param {{ driver?: string, path?: string, ttlSeconds?: number, maxEntries?: number, maxFiles?: number }} options
+ * @returns {Promise<object|null>} driver が none の場合は null
+ */
+export async function createResponseCache({
+    driver = 'disk',
+    path,
+    ttlSeconds = DEFAULT_TTL_SECONDS,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    maxFiles = DEFAULT_MAX_FILES
+} = {}) {
+    switch (driver) {
+        case 'disk':
+            return createCache({ driver, ttlSeconds, maxEntries, maxFiles, disk: await createDiskStore(path || DEFAULT_PATH) });
+        case 'memory':
+            return createCache({ driver, ttlSeconds, maxEntries, maxFiles: maxEntries, disk: null });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`未対応の RESPONSE_CACHE です: ${driver}（${RESPONSE_CACHE_DRIVERS.join(', ')}）`);
+    }
+}
+
+// 改行コードと行末の空白の違い、行内の連続する空白は同じプロンプトとみなす（改行は残す）
+function normalizePrompt(prompt) {
+    return String(prompt ?? '')
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/[ \t　]+/g, ' ').trim())
+        .join('\n')
+        .trim();
+}
+
+// キーはファイル名にも使うため、buildCacheKey の形のみ
+function isValidKey(key) {
+    return typeof key === 'string' && /^[0-9a-f]{64}$/.test(key);
+}
+
+// 索引の1件（結果とチャット履歴は含めない）
+function toIndexEntry(entry, size) {
+    return {
+        key: entry.key,
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt,
+        lastAccessAt: entry.lastAccessAt ?? entry.createdAt,
+        hits: entry.hits ?? 0,
+        size,
+        meta: entry.meta ?? {},
+        summary: entry.response?.parsedData?.summary ?? null
+    };
+}
+
+// 一覧用の要約
+function toCacheSummary(info) {
+    return {
+        key: info.key,
+        createdAt: info.createdAt,
+        expiresAt: info.expiresAt,
+        lastAccessAt: info.lastAccessAt,
+        hits: info.hits,
+        size: info.size,
+        ...info.meta,
+        summary: info.summary
+    };
+}
+
+// ========================================
+// 索引＋本体の LRU（＋ディスク）
+// ========================================
+
+function createCache({ driver, ttlSeconds, maxEntries, maxFiles, disk }) {
+    // key → 索引の1件。Map は挿入順を保つため、使うたびに入れ直して末尾を最近使ったものにする
+    const index = new Map((disk?.index ?? [])
+        .sort((a, b) => a.lastAccessAt.localeCompare(b.lastAccessAt))
+        .map(info => [info.key, info]));
+    // key → 本体（{ response, history }）。maxEntries 件まで
+    const bodies = new Map();
+    const counters = { hits: 0, misses: 0 };
+
+    const isExpired = (info) => Date.parse(info.expiresAt) <= Date.now();
+    // owner を指定しない場合は、すべての結果を扱う
+    const isOwnedBy = (info, owner) => !owner || info.meta.owner === owner;
+
+    let indexTimer = null;
+    function saveIndexLater() {
+        if (!disk || indexTimer) return;
+        indexTimer = setTimeout(() => {
+            indexTimer = null;
+            disk.saveIndex([...index.values()]).catch(error => console.error('Response Cache Index Error:', error));
+        }, INDEX_SAVE_DELAY_MS);
+        indexTimer.unref();
+    }
+
+    async function saveIndex() {
+        if (!disk) return;
+        clearTimeout(indexTimer);
+        indexTimer = null;
+        await disk.saveIndex([...index.values()]);
+    }
+
+    function touch(map, key, value) {
+        map.delete(key);
+        map.set(key, value);
+    }
+
+    function rememberBody(key, body) {
+        touch(bodies, key, body);
+        while (bodies.size > maxEntries) {
+            const oldest = bodies.keys().next().value;
+            bodies.delete(oldest);
+            // memory では本体を捨てたら結果も使えない
+            if (!disk) index.delete(oldest);
+        }
+    }
+
+    // 索引から消し、本体とファイルも削除する（索引の保存は呼び出し側）
+    async function drop(key) {
+        const removed = index.delete(key);
+        bodies.delete(key);
+        return (await disk?.remove(key)) || removed;
+    }
+
+    async function forget(key) {
+        const removed = await drop(key);
+        if (removed) await saveIndex();
+        return removed;
+    }
+
+    // 期限切れをすべて削除する（有効期限内の索引を返す）
+    async function sweep() {
+        const expired = [...index.values()].filter(isExpired);
+        for (const info of expired) await drop(info.key);
+        if (expired.length > 0) await saveIndex();
+        return [...index.values()];
+    }
+
+    // 誰も読まない期限切れが残り続けないよう、定期的に掃除する（プロセス終了は妨げない）
+    setInterval(() => {
+        sweep().catch(error => console.error('Response Cache Sweep Error:', error));
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return {
+        driver,
+        ttlSeconds,
+        maxEntries,
+
+        /**
+         * @returns {Promise<object|null>} { key, createdAt, expiresAt, lastAccessAt, hits, size, meta, summary, response, history }
+         */
+        async get(key) {
+            if (!isValidKey(key)) return null;
+
+            let info = index.get(key) ?? null;
+            if (info && isExpired(info)) {
+                await forget(key);
+                info = null;
+            }
+            const body = info ? bodies.get(key) ?? await disk?.read(key) : null;
+            if (!body) {
+                // 索引にあってもファイルがなければ（手で消した場合など）、なかったものとする
+                if (info) await forget(key);
+                counters.misses++;
+                return null;
+            }
+
+            counters.hits++;
+            info.hits++;
+            info.lastAccessAt = new Date().toISOString();
+            touch(index, key, info);
+            rememberBody(key, body);
+            saveIndexLater();
+            return { ...info, response: body.response, history: body.history };
+        },
+
+        /**
+         * @param {{ meta: object, response: object, history: object[] }} data
+         */
+        async set(key, { meta, response, history }) {
+            const now = Date.now();
+            const entry = {
+                key,
+                createdAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+                meta,
+                response,
+                history
+            };
+
+            const size = (await disk?.write(entry)) ?? Buffer.byteLength(JSON.stringify(entry));
+            touch(index, key, toIndexEntry(entry, size));
+            rememberBody(key, { response, history });
+
+            // 件数の上限を超えた分を、最も長く使っていないものから削除する
+            while (index.size > maxFiles) await drop(index.keys().next().value);
+            await saveIndex();
+            return index.get(key);
+        },
+
+        // 別の owner の結果は、見つからない場合と同じく false
+        async remove(key, owner) {
+            const info = isValidKey(key) ? index.get(key) : null;
+            return info && isOwnedBy(info, owner) ? forget(key) : false;
+        },
+
+        // すべて（owner を指定した場合はその owner の結果を）削除し、削除した件数を返す
+        async clear(owner) {
+            if (owner) {
+                const owned = [...index.values()].filter(info => isOwnedBy(info, owner));
+                for (const info of owned) await drop(info.key);
+                await saveIndex();
+                return owned.length;
+            }
+
+            const count = index.size;
+            index.clear();
+            bodies.clear();
+            await disk?.clear();
+            await saveIndex();
+            return count;
+        },
+
+        // 有効期限内のもの（新しい順）。期限切れはこの時点で削除する
+        async list(owner) {
+            return (await sweep())
+                .filter(info => isOwnedBy(info, owner))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .map(toCacheSummary);
+        },
+
+        stats() {
+            return {
+                driver,
+                ttlSeconds,
+                maxEntries,
+                entries: index.size,
+                memoryEntries: bodies.size,
+                ...counters
+            };
+        }
+    };
+}
+
+// ========================================
+// ディスク（1件1ファイルのJSON＋索引）
+// ========================================
+
+async function createDiskStore(dir) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileFor = (key) => join(dir, `${key}.json`);
+    // キーは16進数のみのため、結果のファイルと重ならない
+    const indexFile = join(dir, '.index.json');
+    const listKeys = async () => (await fs.readdir(dir))
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -'.json'.length))
+        .filter(isValidKey);
+
+    async function readJson(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (error) {
+            // 壊れたファイルは、なかったものとして上書きさせる
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    }
+
+    // 書き込み途中のファイルを読まないよう、一時ファイルから置き換える
+    async function writeAtomic(file, text) {
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, text);
+        await fs.rename(tmp, file);
+    }
+
+    async function remove(key) {
+        try {
+            await fs.unlink(fileFor(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    // 索引をファイルに合わせる（索引にないファイルだけを読む。書き込み中の終了などで食い違った場合）
+    const indexed = (await readJson(indexFile))?.items ?? [];
+    const keys = new Set(await listKeys());
+    const index = indexed.filter(info => keys.delete(info.key));
+    for (const key of keys) {
+        const entry = await readJson(fileFor(key));
+        if (!entry) continue;
+        const { size } = await fs.stat(fileFor(key));
+        index.push(toIndexEntry(entry, size));
+    }
+
+    // 索引の書き込みは順番に行う
+    let indexWrite = Promise.resolve();
+
+    return {
+        index,
+
+        async read(key) {
+            const entry = await readJson(fileFor(key));
+            return entry && { response: entry.response, history: entry.history };
+        },
+
+        // 書き込んだバイト数を返す
+        async write(entry) {
+            const text = JSON.stringify(entry);
+            await writeAtomic(fileFor(entry.key), text);
+            return Buffer.byteLength(text);
+        },
+
+        remove,
+
+        saveIndex(items) {
+            indexWrite = indexWrite
+                .catch(() => {})
+                .then(() => writeAtomic(indexFile, JSON.stringify({ items })));
+            return indexWrite;
+        },
+
+        async clear() {
+            await Promise.all((await listKeys()).map(remove));
+        }
+    };
+}
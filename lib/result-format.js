@@ -0,0 +1,209 @@
+/**
+ * result-format.js - 分析結果のテキスト・Markdown
+ *
+ * コマンドラインツール（lib/cli.js）の --format text / markdown の出力と、
+ * デスクトップの監視の日次ダイジェスト（Markdown）を組み立てます。
+ * OCRの全文と表の整形は、ブラウザと同じ src/ocr.js・src/table.js を使います。
+ */
+
+import { toPlainText } from '../src/ocr.js';
+import { toMatrix, toTableMarkdown } from '../src/table.js';
+import { countTimelineEntries, formatLocalTime } from './timeline-log.js';
+
+const MODE_LABELS = {
+    analyze: '通常分析',
+    ocr: 'OCR',
+    table: '表の抽出'
+};
+
+/**
+ * 人が読むテキスト
+ * JSON を取り出せなかった場合は応答のテキストを、独自の出力スキーマの結果は整形した JSON を返す
+ * @param {object} response validateWithRepair 済みの応答に mode を付けたもの
+ */
+export function formatResultText(response) {
+    const data = response.parsedData;
+    if (!data) return response.text.trim();
+
+    const sections = [];
+    switch (response.mode) {
+        case 'ocr':
+            sections.push(toPlainText(data));
+            break;
+        case 'table':
+            tablesOf(data).forEach((table, index) => {
+                const rows = toMatrix(table).map(row => row.map(text => String(text).replace(/\s+/g, ' ')).join('\t'));
+                sections.push([`[${table.title || `表${index + 1}`}]`, ...rows].join('\n'));
+            });
+            break;
+        default:
+            if (typeof data.analysis !== 'string') return JSON.stringify(data, null, 2);
+            sections.push(data.analysis);
+    }
+
+    if (data.summary) sections.push(`要約: ${data.summary}`);
+
+    const detections = detectionsOf(data);
+    if (detections.length > 0) {
+        sections.push(['検出:', ...detections.map(detection => `- ${detectionText(detection)}`)].join('\n'));
+    }
+
+    return sections.filter(Boolean).join('\n\n');
+}
+
+/**
+ * ブラウザのレポート（src/report.js）と同じ構成の Markdown（画像なし）
+ * @param {object} response validateWithRepair 済みの応答に mode / model / thinkingLevel を付けたもの
+ * @param {{ input: string, prompt?: string, createdAt?: Date }} options
+ */
+export function formatResultMarkdown(response, { input, prompt, createdAt = new Date() }) {
+    const data = response.parsedData;
+    const out = ['# 分析レポート', ''];
+
+    const fields = [
+        ['作成日時', createdAt.toLocaleString()],
+        ['入力', input],
+        ['モード', MODE_LABELS[response.mode] || response.mode],
+        ['モデル', response.model],
+        ['思考レベル', response.thinkingLevel],
+        ['スキーマ検証', response.schemaValid ? 'OK' : `不一致（${response.validationErrors.join(' / ')}）`]
+    ];
+    out.push('| 項目 | 値 |', '| --- | --- |');
+    for (const [name, value] of fields) {
+        out.push(`| ${name} | ${escapeMarkdownCell(value)} |`);
+    }
+    out.push('');
+
+    if (prompt) {
+        out.push('## プロンプト', '', prompt.replace(/^/gm, '> '), '');
+    }
+
+    out.push('## 分析', '');
+    if (!data) {
+        out.push(fence(response.text || 'No result'), '');
+    } else if (response.mode === 'ocr') {
+        out.push(fence(toPlainText(data), 'text'), '');
+    } else if (response.mode === 'table') {
+        tablesOf(data).forEach((table, index) => {
+            out.push(`### ${table.title || `表${index + 1}`}`, '', toTableMarkdown(table), '');
+        });
+    } else if (typeof data.analysis === 'string') {
+        out.push(data.analysis, '');
+    } else {
+        out.push(fence(JSON.stringify(data, null, 2), 'json'), '');
+    }
+
+    if (data?.summary) {
+        out.push('## 要約', '', data.summary, '');
+    }
+
+    const detections = detectionsOf(data);
+    if (detections.length > 0) {
+        out.push('## 検出一覧', '', '| # | ラベル | 信頼度 | bbox |', '| --- | --- | --- | --- |');
+        detections.forEach((detection, index) => {
+            const row = [String(index + 1), String(detection.label ?? ''), formatConfidence(detection), formatBbox(detection)];
+            out.push(`| ${row.map(escapeMarkdownCell).join(' | ')} |`);
+        });
+        out.push('');
+    }
+
+    if (response.executions?.length > 0) {
+        out.push('## 実行コード', '');
+        response.executions.forEach(({ code, outcome, output }, index) => {
+            out.push(`### 実行 ${index + 1}`, '', fence(code || '# (コードなし)', 'python'), '');
+            if (outcome) out.push(`結果: ${outcome}`, '');
+            if (output) out.push(fence(output, 'text'), '');
+        });
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * デスクトップの監視の日次ダイジェスト
+ * digest（DIGEST_SCHEMA の結果）がなければ、撮影の回数と分析の記録だけにする
+ * @param {{ date: string, entries: object[], digest?: object|null, model?: string }} options
+ */
+export function formatDigestMarkdown({ date, entries, digest = null, model }) {
+    const counts = countTimelineEntries(entries);
+    const out = [`# デスクトップの記録（${date}）`, ''];
+
+    const fields = [
+        ['撮影', `${counts.total}回（分析 ${counts.analyzed} / 変化なし ${counts.skipped} / 失敗 ${counts.error}）`],
+        ['時間帯', counts.first ? `${counts.first}〜${counts.last}` : ''],
+        ['モデル', digest ? model : '']
+    ];
+    out.push('| 項目 | 値 |', '| --- | --- |');
+    for (const [name, value] of fields) {
+        if (value) out.push(`| ${name} | ${escapeMarkdownCell(value)} |`);
+    }
+    out.push('');
+
+    if (digest?.summary) {
+        out.push('## まとめ', '', digest.summary, '');
+    }
+
+    if (digest?.activities?.length > 0) {
+        out.push('## 活動', '', '| 時刻 | 内容 |', '| --- | --- |');
+        for (const activity of digest.activities) {
+            const time = activity.end && activity.end !== activity.start ? `${activity.start}〜${activity.end}` : activity.start;
+            out.push(`| ${escapeMarkdownCell(time)} | ${escapeMarkdownCell(activity.description)} |`);
+        }
+        out.push('');
+    }
+
+    if (digest?.highlights?.length > 0) {
+        out.push('## 確認したいこと', '', ...digest.highlights.map(text => `- ${text}`), '');
+    }
+
+    const analyzed = entries.filter(entry => entry.status !== 'skipped');
+    if (analyzed.length > 0) {
+        out.push('## 分析の記録', '');
+        for (const entry of analyzed) {
+            const text = entry.status === 'error' ? `⚠️ ${entry.error}` : firstLine(entry.summary || entry.description);
+            out.push(`- ${formatLocalTime(new Date(entry.time))} ${text}${entry.image ? `（${entry.image}）` : ''}`);
+        }
+        out.push('');
+    }
+
+    return out.join('\n');
+}
+
+function tablesOf(data) {
+    return Array.isArray(data?.tables) ? data.tables : [];
+}
+
+function detectionsOf(data) {
+    return Array.isArray(data?.metadata?.detections) ? data.metadata.detections : [];
+}
+
+function detectionText(detection) {
+    return [detection.label ?? '', formatConfidence(detection) && `(${formatConfidence(detection)})`, formatBbox(detection)]
+        .filter(Boolean)
+        .join(' ');
+}
+
+function formatConfidence(detection) {
+    return typeof detection.confidence === 'number' ? `${(detection.confidence * 100).toFixed(1)}%` : '';
+}
+
+function formatBbox(detection) {
+    return Array.isArray(detection.bbox) && detection.bbox.length === 4
+        ? `[${detection.bbox.map(v => Math.round(v)).join(', ')}]`
+        : '';
+}
+
+// コード中のバッククォートより長いフェンスで囲む
+function fence(text, language = '') {
+    const longest = Math.max(2, ...[...String(text).matchAll(/`+/g)].map(m => m[0].length));
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}${language}\n${text}\n${marker}`;
+}
+
+function firstLine(text) {
+    return String(text ?? '').trim().split('\n')[0];
+}
+
+function escapeMarkdownCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
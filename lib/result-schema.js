@@ -0,0 +1,523 @@
+/**
+ * result-schema.js - 分析結果のJSONスキーマ
+ *
+ * 分析モード（通常分析・比較など）ごとの出力形式をバージョン付きで定義し、
+ * モデルの応答からJSONを抽出してスキーマ検証を行います。
+ * 検証に失敗した場合の修復プロンプトもここで構築します。
+ *
+ * 通常分析では、テンプレートに添付した独自のスキーマ（outputSchema）を
+ * 組み込みのスキーマの代わりに使うこともできます。
+ */
+
+export const RESULT_SCHEMA_VERSION = '1.0';
+
+const MAX_OUTPUT_SCHEMA_LENGTH = 20000;
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+const BBOX_SCHEMA = {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 4,
+    maxItems: 4
+};
+
+// 複数ページの文書・動画のフレームをまとめて分析した場合の、要素があるページ・フレームの番号
+const SEQUENCE_NUMBER_SCHEMA = { type: 'integer', minimum: 1 };
+
+// JSON Schema (draft-07 のサブセット)
+const ANALYZE_SCHEMA = {
+    type: 'object',
+    required: ['analysis', 'metadata', 'summary'],
+    properties: {
+        schema_version: { type: 'string' },
+        analysis: { type: 'string' },
+        processed_image_base64: { type: ['string', 'null'] },
+        metadata: {
+            type: 'object',
+            required: ['detections', 'confidence'],
+            properties: {
+                detections: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['label'],
+                        properties: {
+                            label: { type: 'string' },
+                            confidence: { type: 'number', minimum: 0, maximum: 1 },
+                            bbox: BBOX_SCHEMA,
+                            region: { type: 'string' },
+                            page: SEQUENCE_NUMBER_SCHEMA,
+                            frame: SEQUENCE_NUMBER_SCHEMA
+                        }
+                    }
+                },
+                measurements: { type: 'object' },
+                confidence: { type: 'number', minimum: 0, maximum: 1 }
+            }
+        },
+        summary: { type: 'string' }
+    }
+};
+
+const ANALYZE_EXAMPLE = {
+    schema_version: RESULT_SCHEMA_VERSION,
+    analysis: '画像分析の説明',
+    processed_image_base64: '処理後の画像（Base64、ない場合は null）',
+    metadata: {
+        detections: [
+            { label: '検出したものの名前', confidence: 0.9, bbox: [0, 0, 100, 100] }
+        ],
+        measurements: {},
+        confidence: 0.0
+    },
+    summary: '処理結果の要約'
+};
+
+// 複数画像の比較（before/after、A vs B）
+const COMPARE_SCHEMA = {
+    type: 'object',
+    required: ['images', 'match', 'changes', 'summary'],
+    properties: {
+        schema_version: { type: 'string' },
+        images: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['label'],
+                properties: {
+                    label: { type: 'string' },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        match: { type: 'boolean' },
+        similarity: { type: 'number', minimum: 0, maximum: 1 },
+        changes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'description', 'regions'],
+                properties: {
+                    type: { type: 'string', enum: ['added', 'removed', 'modified', 'moved'] },
+                    description: { type: 'string' },
+                    severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+                    regions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['image', 'bbox'],
+                            properties: {
+                                image: { type: 'string' },
+                                bbox: BBOX_SCHEMA
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        processed_image_base64: { type: ['string', 'null'] },
+        summary: { type: 'string' }
+    }
+};
+
+const COMPARE_EXAMPLE = {
+    schema_version: RESULT_SCHEMA_VERSION,
+    images: [
+        { label: 'Before', description: '1枚目の画像の説明' },
+        { label: 'After', description: '2枚目の画像の説明' }
+    ],
+    match: false,
+    similarity: 0.85,
+    changes: [
+        {
+            type: 'modified',
+            description: '右上のボタンの色が青から赤に変わっている',
+            severity: 'medium',
+            regions: [
+                { image: 'Before', bbox: [820, 40, 900, 80] },
+                { image: 'After', bbox: [820, 40, 900, 80] }
+            ]
+        }
+    ],
+    processed_image_base64: null,
+    summary: '差分の要約'
+};
+
+// 文字認識（行・単語の位置と読み順）
+const OCR_SCHEMA = {
+    type: 'object',
+    required: ['language', 'text', 'lines', 'summary'],
+    properties: {
+        schema_version: { type: 'string' },
+        language: { type: 'string' },
+        text: { type: 'string' },
+        lines: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['text', 'bbox', 'order'],
+                properties: {
+                    text: { type: 'string' },
+                    bbox: BBOX_SCHEMA,
+                    order: { type: 'integer', minimum: 0 },
+                    block: { type: 'integer', minimum: 0 },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    region: { type: 'string' },
+                    page: SEQUENCE_NUMBER_SCHEMA,
+                    frame: SEQUENCE_NUMBER_SCHEMA,
+                    words: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['text', 'bbox'],
+                            properties: {
+                                text: { type: 'string' },
+                                bbox: BBOX_SCHEMA,
+                                confidence: { type: 'number', minimum: 0, maximum: 1 }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        processed_image_base64: { type: ['string', 'null'] },
+        summary: { type: 'string' }
+    }
+};
+
+const OCR_EXAMPLE = {
+    schema_version: RESULT_SCHEMA_VERSION,
+    language: 'ja',
+    text: '請求書\n合計 12,000円',
+    lines: [
+        {
+            text: '請求書',
+            bbox: [40, 30, 200, 70],
+            order: 0,
+            block: 0,
+            confidence: 0.98,
+            words: [{ text: '請求書', bbox: [40, 30, 200, 70], confidence: 0.98 }]
+        },
+        {
+            text: '合計 12,000円',
+            bbox: [40, 400, 320, 430],
+            order: 1,
+            block: 1,
+            confidence: 0.93,
+            words: [
+                { text: '合計', bbox: [40, 400, 110, 430], confidence: 0.95 },
+                { text: '12,000円', bbox: [130, 400, 320, 430], confidence: 0.91 }
+            ]
+        }
+    ],
+    processed_image_base64: null,
+    summary: '抽出したテキストの要約'
+};
+
+// 表の抽出（複数の表・見出し行・結合セル）
+const TABLE_CELL_SCHEMA = {
+    type: 'object',
+    required: ['text'],
+    properties: {
+        text: { type: 'string' },
+        row_span: { type: 'integer', minimum: 1 },
+        col_span: { type: 'integer', minimum: 1 },
+        bbox: BBOX_SCHEMA,
+        page: SEQUENCE_NUMBER_SCHEMA,
+        frame: SEQUENCE_NUMBER_SCHEMA
+    }
+};
+
+// rows は HTML の <table> と同じく、結合セルに覆われた位置を省いたセルの並び
+const TABLE_SCHEMA = {
+    type: 'object',
+    required: ['tables', 'summary'],
+    properties: {
+        schema_version: { type: 'string' },
+        tables: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['header_rows', 'rows'],
+                properties: {
+                    title: { type: 'string' },
+                    bbox: BBOX_SCHEMA,
+                    region: { type: 'string' },
+                    page: SEQUENCE_NUMBER_SCHEMA,
+                    frame: SEQUENCE_NUMBER_SCHEMA,
+                    header_rows: { type: 'integer', minimum: 0 },
+                    rows: {
+                        type: 'array',
+                        items: { type: 'array', items: TABLE_CELL_SCHEMA }
+                    }
+                }
+            }
+        },
+        processed_image_base64: { type: ['string', 'null'] },
+        summary: { type: 'string' }
+    }
+};
+
+const TABLE_EXAMPLE = {
+    schema_version: RESULT_SCHEMA_VERSION,
+    tables: [
+        {
+            title: '月別売上',
+            bbox: [20, 40, 620, 260],
+            header_rows: 2,
+            rows: [
+                [
+                    { text: '月', row_span: 2, bbox: [20, 40, 120, 120] },
+                    { text: '売上', col_span: 2, bbox: [120, 40, 620, 80] }
+                ],
+                [
+                    { text: '東京', bbox: [120, 80, 370, 120] },
+                    { text: '大阪', bbox: [370, 80, 620, 120] }
+                ],
+                [
+                    { text: '4月', bbox: [20, 120, 120, 160] },
+                    { text: '1,200', bbox: [120, 120, 370, 160] },
+                    { text: '980', bbox: [370, 120, 620, 160] }
+                ]
+            ]
+        }
+    ],
+    processed_image_base64: null,
+    summary: '抽出した表の要約'
+};
+
+const RESULT_SCHEMAS = {
+    analyze: { schema: ANALYZE_SCHEMA, example: ANALYZE_EXAMPLE },
+    compare: { schema: COMPARE_SCHEMA, example: COMPARE_EXAMPLE },
+    ocr: { schema: OCR_SCHEMA, example: OCR_EXAMPLE },
+    table: { schema: TABLE_SCHEMA, example: TABLE_EXAMPLE }
+};
+
+export const RESULT_MODES = Object.keys(RESULT_SCHEMAS);
+
+export function isSupportedMode(mode) {
+    return Object.hasOwn(RESULT_SCHEMAS, mode);
+}
+
+/**
+ * 独自の出力スキーマ（outputSchema）を検証する
+ * 検証で扱えるのは type / enum / minimum / maximum / minItems / maxItems / items / required / properties のみ
+ * multipart の場合は JSON 文字列でも受け付ける
+ * @returns {{ outputSchema: object|null } | { error: string }}
+ */
+export function parseOutputSchema(value) {
+    if (value === undefined || value === null || value === '') return { outputSchema: null };
+
+    let schema = value;
+    if (typeof value === 'string') {
+        try {
+            schema = JSON.parse(value);
+        } catch {
+            return { error: 'outputSchema はJSONオブジェクトで指定してください' };
+        }
+    }
+
+    if (JSON.stringify(schema).length > MAX_OUTPUT_SCHEMA_LENGTH) {
+        return { error: `outputSchema は ${MAX_OUTPUT_SCHEMA_LENGTH} 文字以内で指定してください` };
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object') {
+        return { error: 'outputSchema は type が "object" のJSONスキーマで指定してください' };
+    }
+
+    const error = findSchemaError(schema, '$');
+    return error ? { error: `outputSchema が不正です: ${error}` } : { outputSchema: schema };
+}
+
+/**
+ * モデルの応答テキストからJSONオブジェクトを取り出す
+ * 文章やコードフェンスで囲まれていても取り出せるようにする
+ */
+export function extractJson(text) {
+    if (!text) return null;
+
+    // 最終的な回答は末尾にあることが多いため、後ろの候補から試す
+    const fenced = [...text.matchAll(/```(?:json)?\s*([\s\S]*?)```/g)].map(m => m[1].trim());
+    const candidates = [
+        text.trim(),
+        ...fenced.reverse(),
+        // 文章中の { ... } （括弧の対応を追って切り出す）
+        ...findJsonObjects(text).reverse()
+    ];
+
+    for (const candidate of candidates) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                return parsed;
+            }
+        } catch {
+            // 次の候補へ
+        }
+    }
+
+    return null;
+}
+
+/**
+ * スキーマ検証
+ * @returns {string[]} エラーメッセージ（空なら有効）
+ */
+export function validateResult(data, mode = 'analyze', outputSchema = null) {
+    const errors = [];
+    validateNode(data, outputSchema || RESULT_SCHEMAS[mode].schema, '$', errors);
+    return errors;
+}
+
+// 独自のスキーマには出力例がないため、スキーマだけを示す
+export function buildSchemaInstructions(mode = 'analyze', outputSchema = null) {
+    const { schema, example } = outputSchema ? { schema: outputSchema } : RESULT_SCHEMAS[mode];
+    const exampleSection = example ? `\n\n[出力例]\n${JSON.stringify(example, null, 2)}` : '';
+
+    return `
+以下のJSONスキーマ (schema_version: ${RESULT_SCHEMA_VERSION}) に従うJSONオブジェクトを1つだけ返してください。
+bbox は元画像のピクセル座標で [x1, y1, x2, y2]、confidence は 0〜1 の数値です。
+
+[JSONスキーマ]
+${JSON.stringify(schema, null, 2)}${exampleSection}
+`.trim();
+}
+
+export function buildRepairPrompt(errors, previousText, mode = 'analyze', outputSchema = null) {
+    const problem = errors.length > 0
+        ? `検証エラー:\n${errors.map(e => `- ${e}`).join('\n')}`
+        : '応答からJSONオブジェクトを取り出せませんでした。';
+
+    return `
+直前の応答は出力形式のJSONスキーマを満たしていません。
+${problem}
+
+[直前の応答]
+${truncate(previousText, 4000)}
+
+画像の再処理は不要です。内容はそのままに、スキーマに合うよう修正したJSONオブジェクトのみを返してください。
+説明文やコードフェンスは付けないでください。
+
+${buildSchemaInstructions(mode, outputSchema)}
+`.trim();
+}
+
+// 検証で扱えない形のスキーマを見つける（問題がなければ null）
+function findSchemaError(schema, path) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return `${path}: オブジェクトである必要があります`;
+    }
+    if (schema.type !== undefined && ![].concat(schema.type).every(t => SCHEMA_TYPES.includes(t))) {
+        return `${path}.type: ${SCHEMA_TYPES.join(', ')} のいずれかである必要があります`;
+    }
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+        return `${path}.enum: 配列である必要があります`;
+    }
+    if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(key => typeof key === 'string'))) {
+        return `${path}.required: 文字列の配列である必要があります`;
+    }
+    if (schema.items !== undefined) {
+        const error = findSchemaError(schema.items, `${path}.items`);
+        if (error) return error;
+    }
+    if (schema.properties !== undefined) {
+        if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+            return `${path}.properties: オブジェクトである必要があります`;
+        }
+        for (const [key, child] of Object.entries(schema.properties)) {
+            const error = findSchemaError(child, `${path}.properties.${key}`);
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+function validateNode(value, schema, path, errors) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${path}: ${[].concat(schema.type).join(' | ')} である必要があります`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: ${schema.enum.join(', ')} のいずれかである必要があります`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: ${schema.minimum} 以上である必要があります`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: ${schema.maximum} 以下である必要があります`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: 要素数は ${schema.minItems} 以上である必要があります`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: 要素数は ${schema.maxItems} 以下である必要があります`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+        }
+    } else if (value && typeof value === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key}: 必須項目がありません`);
+            }
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                validateNode(value[key], child, `${path}.${key}`, errors);
+            }
+        }
+    }
+}
+
+function matchesType(value, type) {
+    return [].concat(type).some(t => {
+        switch (t) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === t;
+        }
+    });
+}
+
+function findJsonObjects(text) {
+    const objects = [];
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = depth > 0;
+        } else if (ch === '{') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (ch === '}' && depth > 0) {
+            depth--;
+            if (depth === 0) objects.push(text.slice(start, i + 1));
+        }
+    }
+
+    return objects;
+}
+
+function truncate(text = '', maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
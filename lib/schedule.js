@@ -0,0 +1,165 @@
+/**
+ * schedule.js - 定期実行の予定
+ *
+ * デスクトップの監視（image-analyst monitor）の撮影時刻を決めます。
+ *
+ *   { kind: 'interval', minutes }  前回の撮影の開始から minutes 分ごと（最初はすぐに撮る）
+ *   { kind: 'cron', expression }   cron 式（分 時 日 月 曜日、ローカル時刻）に当てはまる時刻
+ *
+ * cron 式は *・数値・範囲（1-5）・リスト（1,15）・間隔（9-17/2 のように /n を付ける）と、@hourly などの略記に対応します。
+ * 日と曜日の両方を指定した場合は、一般的な cron と同じくどちらかに当てはまる日に実行します。
+ */
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// 曜日の 7 は日曜日（0）として扱う
+const CRON_FIELDS = [
+    { name: 'minutes', label: '分', min: 0, max: 59 },
+    { name: 'hours', label: '時', min: 0, max: 23 },
+    { name: 'days', label: '日', min: 1, max: 31 },
+    { name: 'months', label: '月', min: 1, max: 12 },
+    { name: 'weekdays', label: '曜日', min: 0, max: 7 }
+];
+
+// 当てはまる時刻をこの期間まで探す（2月30日のように実行されない式を見分ける）
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * --every（分）か --cron の指定を予定にする
+ * @returns {{ schedule: object } | { error: string }}
+ */
+export function parseSchedule({ every, cron }) {
+    if (every !== undefined && cron !== undefined) {
+        return { error: '--every と --cron は同時に指定できません' };
+    }
+
+    if (cron !== undefined) {
+        const parsed = parseCron(cron);
+        if (parsed.error) return parsed;
+        if (!nextCronTime(parsed.fields, new Date())) {
+            return { error: `cron 式「${cron}」に当てはまる時刻がありません` };
+        }
+        return { schedule: { kind: 'cron', expression: cron.trim(), fields: parsed.fields } };
+    }
+
+    const minutes = Number(every);
+    if (String(every).trim() === '' || !Number.isFinite(minutes) || minutes <= 0) {
+        return { error: '--every は0より大きい分数で指定してください' };
+    }
+    return { schedule: { kind: 'interval', minutes } };
+}
+
+/**
+ * 次に撮影する時刻
+ * @param {Date|null} lastRun 前回の撮影の開始時刻（まだ撮っていなければ null）
+ * @returns {Date} 過ぎていればすぐに撮る
+ */
+export function nextRunTime(schedule, lastRun, now = new Date()) {
+    switch (schedule.kind) {
+        case 'interval':
+            return lastRun ? new Date(lastRun.getTime() + schedule.minutes * 60 * 1000) : now;
+        case 'cron':
+            // 予定の時刻より少し前に起きた場合も、同じ分に2回撮らない
+            return nextCronTime(schedule.fields, lastRun && lastRun > now ? lastRun : now);
+        default:
+            throw new Error(`未対応の予定の種類です: ${schedule.kind}`);
+    }
+}
+
+export function describeSchedule(schedule) {
+    return schedule.kind === 'cron' ? `cron「${schedule.expression}」` : `${schedule.minutes}分ごと`;
+}
+
+// ====================================
+// cron
+// ====================================
+
+function parseCron(expression) {
+    const source = CRON_ALIASES[expression.trim()] ?? expression.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        return { error: `cron 式は「分 時 日 月 曜日」の5つで指定してください: ${expression}` };
+    }
+
+    const fields = {};
+    for (const [i, field] of CRON_FIELDS.entries()) {
+        const values = parseCronField(parts[i], field);
+        if (!values) {
+            return { error: `cron 式の${field.label}が正しくありません: ${parts[i]}（${field.min}〜${field.max}）` };
+        }
+        fields[field.name] = values;
+    }
+
+    if (fields.weekdays.delete(7)) fields.weekdays.add(0);
+    // 日と曜日は、* でないほうだけで判定する（両方指定した場合はどちらか）
+    fields.anyDay = parts[2] === '*';
+    fields.anyWeekday = parts[4] === '*';
+
+    return { fields };
+}
+
+// 当てはまる値の Set（正しくなければ null）
+function parseCronField(text, { min, max }) {
+    const values = new Set();
+
+    for (const item of text.split(',')) {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) return null;
+
+        const [, range, first, last, step] = match;
+        const start = range === '*' ? min : Number(first);
+        let end = range === '*' ? max : Number(last ?? first);
+        // 5/15 は 5-最大/15 と同じ
+        if (step !== undefined && range !== '*' && last === undefined) end = max;
+        const increment = step === undefined ? 1 : Number(step);
+
+        if (start < min || end > max || start > end || increment < 1) return null;
+        for (let value = start; value <= end; value += increment) values.add(value);
+    }
+
+    return values;
+}
+
+function cronDayMatches(fields, date) {
+    const day = fields.days.has(date.getDate());
+    const weekday = fields.weekdays.has(date.getDay());
+    if (fields.anyDay && fields.anyWeekday) return true;
+    if (fields.anyDay) return weekday;
+    if (fields.anyWeekday) return day;
+    return day || weekday;
+}
+
+// after より後（同じ分は含まない）で最初に当てはまる時刻（見つからなければ null）
+function nextCronTime(fields, after) {
+    const time = new Date(after);
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+
+    const limit = new Date(after);
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // 当てはまらない月・日・時はまとめて飛ばす
+    while (time < limit) {
+        if (!fields.months.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(fields, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!fields.hours.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0, 0, 0);
+        } else if (!fields.minutes.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1, 0, 0);
+        } else {
+            return time;
+        }
+    }
+
+    return null;
+}
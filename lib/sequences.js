@@ -0,0 +1,175 @@
+/**
+ * sequences.js - 複数ページの文書と動画のフレーム
+ *
+ * ブラウザでPDFのページや動画のフレームを画像にして送る場合に、複数の画像をまとめて1回で分析できるよう、
+ * 各画像のページ番号・時刻を検証し、結果の要素に正しいページ・フレームの番号が付いているかを確かめます。
+ * 動画のまとめ（何が起きたかを時刻つきで並べたもの）の出力スキーマもここで定義します。
+ */
+
+export const MAX_DOCUMENT_PAGES = Number(process.env.DOCUMENT_MAX_PAGES || 20);
+export const MAX_VIDEO_FRAMES = Number(process.env.VIDEO_MAX_FRAMES || 30);
+
+const MAX_TIMELINE_FRAMES = 200;
+const MAX_TIMELINE_TEXT_LENGTH = 4000;
+
+// 動画のまとめ（通常分析の outputSchema として検証する）
+export const TIMELINE_SCHEMA = {
+    type: 'object',
+    required: ['events', 'summary'],
+    properties: {
+        events: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['time', 'description'],
+                properties: {
+                    time: { type: 'number', minimum: 0 },
+                    end_time: { type: 'number', minimum: 0 },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        summary: { type: 'string' }
+    }
+};
+
+/**
+ * リクエストの pages（送信した画像と同じ順のページ番号）を検証する
+ * multipart の場合は JSON 文字列でも受け付ける
+ * @returns {{ pages: number[]|null } | { error: string }}
+ */
+export function parseDocumentPages(value, imageCount) {
+    const { list: pages, error } = parseList(value, 'pages');
+    if (error || !pages) return { pages: null, error };
+
+    if (!pages.every(page => Number.isInteger(page) && page > 0)) {
+        return { error: 'pages はページ番号（1以上の整数）の配列で指定してください' };
+    }
+    if (pages.length !== imageCount) {
+        return { error: `pages の数（${pages.length}）が画像の数（${imageCount}）と一致しません` };
+    }
+    if (pages.length > MAX_DOCUMENT_PAGES) {
+        return { error: `まとめて分析できるページは ${MAX_DOCUMENT_PAGES} ページまでです` };
+    }
+    if (new Set(pages).size !== pages.length) {
+        return { error: 'pages に同じページ番号が含まれています' };
+    }
+
+    return { pages };
+}
+
+/**
+ * リクエストの frames（送信した画像と同じ順の、動画内の時刻（秒））を検証する
+ * 結果の要素には、時刻ではなく送信した順のフレーム番号（1から）を付けてもらう
+ * @returns {{ frames: number[]|null } | { error: string }}
+ */
+export function parseVideoFrames(value, imageCount) {
+    const { list: frames, error } = parseList(value, 'frames');
+    if (error || !frames) return { frames: null, error };
+
+    if (!frames.every(time => Number.isFinite(time) && time >= 0)) {
+        return { error: 'frames は動画内の時刻（0以上の秒数）の配列で指定してください' };
+    }
+    if (frames.length !== imageCount) {
+        return { error: `frames の数（${frames.length}）が画像の数（${imageCount}）と一致しません` };
+    }
+    if (frames.length > MAX_VIDEO_FRAMES) {
+        return { error: `まとめて分析できるフレームは ${MAX_VIDEO_FRAMES} 枚までです` };
+    }
+    if (frames.some((time, i) => i > 0 && time <= frames[i - 1])) {
+        return { error: 'frames は時刻の早い順に、重複なく指定してください' };
+    }
+
+    return { frames };
+}
+
+/**
+ * 動画のまとめに使うフレームごとの観察結果 [{ time, text }] を検証する
+ * @returns {{ frames: { time: number, text: string }[] } | { error: string }}
+ */
+export function parseTimelineFrames(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return { error: 'frames は [{ time, text }] の配列で指定してください' };
+    }
+    if (value.length > MAX_TIMELINE_FRAMES) {
+        return { error: `まとめられるフレームは ${MAX_TIMELINE_FRAMES} 枚までです` };
+    }
+
+    const frames = [];
+    for (const [i, frame] of value.entries()) {
+        if (!Number.isFinite(frame?.time) || frame.time < 0 || typeof frame.text !== 'string') {
+            return { error: `frames[${i}] は time（0以上の秒数）と text（文字列）で指定してください` };
+        }
+        frames.push({ time: frame.time, text: frame.text.trim().slice(0, MAX_TIMELINE_TEXT_LENGTH) });
+    }
+
+    return { frames: frames.sort((a, b) => a.time - b.time) };
+}
+
+/**
+ * 検出・OCRの行・表に、送信したページ・フレームの番号が付いているかを検証する
+ * 単語とセルは、番号を省略すると行・表の番号を引き継ぐ（ページをまたぐ表のセルには付ける）
+ * @param {{ key: 'page' | 'frame', label: string }} options
+ * @returns {string[]} スキーマ検証と同じ形式のエラー
+ */
+export function validateSequenceNumbers(data, numbers, { key, label }) {
+    const sent = new Set(numbers);
+    const errors = [];
+
+    const check = (item, path, inherited) => {
+        const number = item?.[key] ?? inherited;
+        if (!sent.has(number)) {
+            errors.push(`${path}.${key}: 送信した${label}の番号（${numbers.join(', ')}）のいずれかである必要があります`);
+        }
+        return number;
+    };
+
+    asArray(data?.metadata?.detections).forEach((detection, i) => {
+        check(detection, `$.metadata.detections[${i}]`);
+    });
+    asArray(data?.lines).forEach((line, i) => {
+        const number = check(line, `$.lines[${i}]`);
+        asArray(line?.words).forEach((word, j) => {
+            if (word?.[key] !== undefined) check(word, `$.lines[${i}].words[${j}]`, number);
+        });
+    });
+    asArray(data?.tables).forEach((table, i) => {
+        const number = check(table, `$.tables[${i}]`);
+        asArray(table?.rows).forEach((row, r) => {
+            asArray(row).forEach((cell, c) => {
+                if (cell?.[key] !== undefined) check(cell, `$.tables[${i}].rows[${r}][${c}]`, number);
+            });
+        });
+    });
+
+    return errors;
+}
+
+// 秒数を 1:05.5 / 1:02:03.0 の形にする
+export function formatTimestamp(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const h = Math.floor(tenths / 36000);
+    const m = Math.floor((tenths % 36000) / 600);
+    const s = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// multipart の場合は JSON 文字列でも受け付ける
+function parseList(value, name) {
+    if (value === undefined || value === null || value === '') return { list: null };
+
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch {
+            return { error: `${name} はJSON配列で指定してください` };
+        }
+    }
+
+    return Array.isArray(list) ? { list } : { error: `${name} は配列で指定してください` };
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
@@ -0,0 +1,74 @@
+/**
+ * sessions.js - 分析セッション管理
+ *
+ * /api/vision で開始したチャットを保持し、同じ画像・履歴のまま
+ * フォローアップの質問を続けられるようにします。
+ * セッションは最終アクセスから TTL を過ぎると破棄されます。
+ * チャット履歴は画像を含むため、同時に保持する数は SESSION_MAX_COUNT までとし、
+ * 超えたら最も長くアクセスされていないセッションから破棄します。
+ */
+
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 100;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Map の挿入順で LRU にする（アクセスのたびに入れ直し、先頭が最も古い）
+const sessions = new Map();
+
+const TTL_MS = Number(process.env.SESSION_TTL_MINUTES) * 60 * 1000 || DEFAULT_TTL_MS;
+const MAX_SESSIONS = Number(process.env.SESSION_MAX_COUNT) || DEFAULT_MAX_SESSIONS;
+
+// 期限切れセッションを定期的に掃除（プロセス終了は妨げない）
+setInterval(sweepExpiredSessions, SWEEP_INTERVAL_MS).unref();
+
+export function createSession(chat, meta = {}) {
+    const id = randomUUID();
+    const now = Date.now();
+
+    sessions.set(id, {
+        id,
+        chat,
+        meta,
+        turns: 0,
+        createdAt: now,
+        lastAccessAt: now
+    });
+    while (sessions.size > MAX_SESSIONS) {
+        sessions.delete(sessions.keys().next().value);
+    }
+
+    return sessions.get(id);
+}
+
+export function getSession(id) {
+    const session = sessions.get(id);
+    if (!session) return null;
+
+    if (isExpired(session)) {
+        sessions.delete(id);
+        return null;
+    }
+
+    session.lastAccessAt = Date.now();
+    sessions.delete(id);
+    sessions.set(id, session);
+    return session;
+}
+
+export function sessionExpiresAt(session) {
+    return new Date(session.lastAccessAt + TTL_MS).toISOString();
+}
+
+function isExpired(session) {
+    return Date.now() - session.lastAccessAt > TTL_MS;
+}
+
+function sweepExpiredSessions() {
+    for (const [id, session] of sessions) {
+        if (isExpired(session)) {
+            sessions.delete(id);
+        }
+    }
+}
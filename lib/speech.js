@@ -0,0 +1,135 @@
+/**
+ * speech.js - Native Audio による音声の感想
+ *
+ * Gemini の Native Audio（Live API）に画像やテキストを送り、話した音声を WAV にします。
+ * 保存した WAV の再生は OS ごとのプレーヤーで行います。
+ */
+
+import { execFile } from 'child_process';
+import { GoogleGenAI, Modality } from '@google/genai';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const DEFAULT_AUDIO_MODEL = 'gemini-2.5-flash-native-audio-preview-12-2025';
+
+// Live API の音声出力は 24kHz・モノラル・16bit の PCM
+const SAMPLE_RATE = 24000;
+const CHANNELS = 1;
+const BIT_DEPTH = 16;
+
+// PowerShell には WAV のパスを環境変数で渡す（コマンドに埋め込まない）
+const PLAYERS = {
+    win32: () => ['powershell', ['-NoProfile', '-Command', '(New-Object Media.SoundPlayer $env:AUDIO_PATH).PlaySync()']],
+    darwin: filePath => ['afplay', [filePath]],
+    linux: filePath => ['aplay', ['-q', filePath]]
+};
+
+/**
+ * 画像（またはテキストだけ）を送って話してもらい、音声を WAV にする
+ * @param {{ apiKey: string, model?: string, systemInstruction: string, text: string,
+ *           image?: { data: Buffer, mimeType: string }, signal?: AbortSignal, onAudio?: () => void }} options
+ *        onAudio は音声の断片を受け取るたびに呼ぶ
+ * @returns {Promise<Buffer|null>} 音声が生成されなかった場合は null
+ */
+export async function generateSpeech({ apiKey, model = DEFAULT_AUDIO_MODEL, systemInstruction, text, image, signal, onAudio }) {
+    const ai = new GoogleGenAI({ apiKey });
+    const chunks = [];
+    let session;
+
+    await new Promise((resolve, reject) => {
+        const abort = () => {
+            session?.close();
+            reject(signal.reason ?? new Error('音声の生成はキャンセルされました'));
+        };
+        signal?.addEventListener('abort', abort, { once: true });
+        const settle = (fn, value) => {
+            signal?.removeEventListener('abort', abort);
+            fn(value);
+        };
+
+        ai.live.connect({
+            model,
+            config: {
+                responseModalities: [Modality.AUDIO],
+                systemInstruction
+            },
+            callbacks: {
+                onmessage: (message) => {
+                    if (message.serverContent?.turnComplete) {
+                        session?.close();
+                        settle(resolve);
+                        return;
+                    }
+
+                    for (const part of message.serverContent?.modelTurn?.parts || []) {
+                        if (part.inlineData?.data) {
+                            chunks.push(Buffer.from(part.inlineData.data, 'base64'));
+                            onAudio?.();
+                        }
+                    }
+                },
+                onerror: (event) => settle(reject, new Error(event.message || '音声の生成に失敗しました')),
+                // 話し終える前に閉じられた場合（話し終えた後は resolve 済みのため何もしない）
+                onclose: (event) => settle(reject, new Error(`音声の生成中に接続が閉じられました${event?.reason ? `: ${event.reason}` : ''}`))
+            }
+        }).then((connected) => {
+            session = connected;
+            if (signal?.aborted) return abort();
+
+            // 画像はリアルタイム入力で先に送り、続けてテキストでターンを終える
+            if (image) {
+                session.sendRealtimeInput({
+                    media: { data: image.data.toString('base64'), mimeType: image.mimeType }
+                });
+            }
+            session.sendClientContent({
+                turns: [{ role: 'user', parts: [{ text }] }],
+                turnComplete: true
+            });
+        }, (error) => settle(reject, error));
+    });
+
+    return chunks.length > 0 ? createWavBuffer(chunks) : null;
+}
+
+/**
+ * WAV を OS のプレーヤーで再生する（Windows: PowerShell、macOS: afplay、Linux: aplay）
+ * @returns {Promise<boolean>} プレーヤーがなく再生できなかった場合は false
+ */
+export async function playAudio(filePath) {
+    const player = PLAYERS[process.platform];
+    if (!player) return false;
+
+    const [command, args] = player(filePath);
+    try {
+        await execFileAsync(command, args, { env: { ...process.env, AUDIO_PATH: filePath } });
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+// PCMをWAVに変換
+function createWavBuffer(pcmBuffers) {
+    const pcmData = Buffer.concat(pcmBuffers);
+    const byteRate = SAMPLE_RATE * CHANNELS * (BIT_DEPTH / 8);
+    const blockAlign = CHANNELS * (BIT_DEPTH / 8);
+
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmData.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(CHANNELS, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(BIT_DEPTH, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcmData.length, 40);
+    return Buffer.concat([header, pcmData]);
+}
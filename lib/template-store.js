@@ -0,0 +1,283 @@
+/**
+ * template-store.js - プロンプトテンプレートの保存
+ *
+ * チームで共有するプロンプトテンプレート（{{変数}} 付きのプロンプト・分析モード・
+ * 出力スキーマ・既定の思考レベル）を、並び順ごと1つのJSONファイルに保存します。
+ * ファイルがなければ、既定のテンプレートで初期化します。
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { THINKING_LEVELS } from './models.js';
+import { RESULT_MODES, isSupportedMode, parseOutputSchema } from './result-schema.js';
+
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+// サーバーと CLI が同じファイルを使うよう、作業ディレクトリではなくリポジトリの位置から決める
+const DEFAULT_PATH = fileURLToPath(new URL('../data/templates.json', import.meta.url));
+const MAX_TEMPLATES = 200;
+const MAX_NAME_LENGTH = 100;
+const MAX_PROMPT_LENGTH = 10000;
+const VARIABLE_NAME = /^[A-Za-z_][\w]*$/;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+const DEFAULT_TEMPLATES = [
+    { name: '🔍 詳細分析', prompt: 'この画像の内容を詳細に分析してください', mode: 'analyze' },
+    { name: '📝 OCR', prompt: '画像内のテキストをすべて抽出してください', mode: 'ocr' },
+    { name: '📦 物体検出', prompt: '画像内の物体を検出してバウンディングボックスを描画してください', mode: 'analyze' },
+    { name: '📊 テーブル解析', prompt: '画像内の表をすべて抽出してください', mode: 'table' },
+    {
+        name: '🎨 色で検出',
+        prompt: '画像内の{{target_color}}色の物体をすべて検出し、それぞれの位置を示してください',
+        mode: 'analyze',
+        variables: [{ name: 'target_color', label: '対象の色', default: '赤' }]
+    },
+    {
+        name: '🌐 翻訳',
+        prompt: '画像内のテキストを読み取り、{{language}}に翻訳してください',
+        mode: 'analyze',
+        thinkingLevel: 'low',
+        variables: [{ name: 'language', label: '翻訳先の言語', default: '英語' }],
+        outputSchema: {
+            type: 'object',
+            required: ['translations', 'summary'],
+            properties: {
+                translations: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['source', 'translation'],
+                        properties: {
+                            source: { type: 'string' },
+                            translation: { type: 'string' },
+                            bbox: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 }
+                        }
+                    }
+                },
+                summary: { type: 'string' }
+            }
+        }
+    }
+];
+
+/**
+ * テンプレートの入力を検証し、保存する形に整える
+ * @returns {{ template: object } | { error: string }}
+ */
+export function validateTemplate(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'テンプレートはJSONオブジェクトで指定してください' };
+    }
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { error: `name は1〜${MAX_NAME_LENGTH}文字で指定してください` };
+    }
+
+    const prompt = typeof input.prompt === 'string' ? input.prompt.trim() : '';
+    if (!prompt || prompt.length > MAX_PROMPT_LENGTH) {
+        return { error: `prompt は1〜${MAX_PROMPT_LENGTH}文字で指定してください` };
+    }
+
+    const mode = input.mode ?? 'analyze';
+    if (!isSupportedMode(mode)) {
+        return { error: `未対応のモードです: ${mode}（${RESULT_MODES.join(', ')}）` };
+    }
+
+    const thinkingLevel = input.thinkingLevel || null;
+    if (thinkingLevel && !THINKING_LEVELS.some(level => level.id === thinkingLevel)) {
+        return { error: `thinkingLevel は ${THINKING_LEVELS.map(level => level.id).join(', ')} のいずれかで指定してください` };
+    }
+
+    const { outputSchema, error: outputSchemaError } = parseOutputSchema(input.outputSchema);
+    if (outputSchemaError) return { error: outputSchemaError };
+    if (mode !== 'analyze' && outputSchema) {
+        return { error: 'outputSchema は通常分析モードのテンプレートでのみ指定できます' };
+    }
+
+    if (input.variables != null && !Array.isArray(input.variables)) {
+        return { error: 'variables は配列で指定してください' };
+    }
+    const variables = [];
+    for (const [i, variable] of (input.variables ?? []).entries()) {
+        if (!VARIABLE_NAME.test(variable?.name ?? '')) {
+            return { error: `variables[${i}].name は英数字とアンダースコアで指定してください` };
+        }
+        variables.push({
+            name: variable.name,
+            label: typeof variable.label === 'string' ? variable.label : '',
+            default: typeof variable.default === 'string' ? variable.default : ''
+        });
+    }
+
+    return {
+        template: {
+            name,
+            description: typeof input.description === 'string' ? input.description.trim() : '',
+            prompt,
+            mode,
+            thinkingLevel,
+            outputSchema,
+            variables
+        }
+    };
+}
+
+/**
+ * プロンプトの {{変数}} を values の値（なければテンプレートの既定値）で置き換える
+ * @returns {{ prompt: string } | { error: string }}
+ */
+export function fillTemplatePrompt(template, values = {}) {
+    const defaults = new Map((template.variables || []).map(variable => [variable.name, variable.default]));
+    const missing = new Set();
+
+    const prompt = template.prompt.replace(VARIABLE_PATTERN, (placeholder, name) => {
+        const value = values[name] || defaults.get(name);
+        if (!value) missing.add(name);
+        return value || placeholder;
+    });
+
+    return missing.size > 0
+        ? { error: `テンプレート「${template.name}」の変数 ${[...missing].join(', ')} の値がありません` }
+        : { prompt };
+}
+
+/**
+ * @param {{ path?: string }} options 省略時（空文字を含む）は DEFAULT_PATH
+ */
+export async function createTemplateStore({ path } = {}) {
+    const file = path || DEFAULT_PATH;
+    let templates = await load();
+
+    // 同時に更新されてもファイルの内容が食い違わないよう、書き込みは順番に行う
+    // 件数の上限を超える場合は保存せず false を返す
+    let pending = Promise.resolve();
+    const update = (fn) => {
+        const run = pending.then(async () => {
+            const next = fn(templates.slice());
+            if (next.length > MAX_TEMPLATES) return false;
+
+            await save(next);
+            templates = next;
+            return true;
+        });
+        pending = run.catch(() => {});
+        return run;
+    };
+    const limitError = { error: `テンプレートは ${MAX_TEMPLATES} 件までです` };
+
+    async function load() {
+        try {
+            const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+            return Array.isArray(data.templates) ? data.templates : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+
+            const now = new Date().toISOString();
+            const seeded = DEFAULT_TEMPLATES.map(input => createRecord(validateTemplate(input).template, now));
+            await save(seeded);
+            return seeded;
+        }
+    }
+
+    async function save(next) {
+        await fs.mkdir(dirname(file), { recursive: true });
+
+        // 書き込み途中のファイルを読まないよう、一時ファイルから置き換える
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ templates: next }, null, 2));
+        await fs.rename(tmp, file);
+    }
+
+    return {
+        async list() {
+            return templates;
+        },
+
+        async get(id) {
+            return templates.find(template => template.id === id) ?? null;
+        },
+
+        /**
+         * @returns {Promise<{ template: object } | { error: string }>}
+         */
+        async create(input) {
+            const record = createRecord(input, new Date().toISOString());
+            return await update(list => [...list, record]) ? { template: record } : limitError;
+        },
+
+        async update(id, input) {
+            const current = templates.find(template => template.id === id);
+            if (!current) return null;
+
+            const record = { ...current, ...input, id, updatedAt: new Date().toISOString() };
+            await update(list => list.map(template => (template.id === id ? record : template)));
+            return record;
+        },
+
+        async remove(id) {
+            if (!templates.some(template => template.id === id)) return false;
+            await update(list => list.filter(template => template.id !== id));
+            return true;
+        },
+
+        // ids の順に並べ替える（ids に含まれないテンプレートは後ろに元の順で残す）
+        async reorder(ids) {
+            await update(list => {
+                const position = new Map(ids.map((id, index) => [id, index]));
+                return list
+                    .map((template, index) => ({ template, index }))
+                    .sort((a, b) => (position.get(a.template.id) ?? ids.length + a.index) - (position.get(b.template.id) ?? ids.length + b.index))
+                    .map(({ template }) => template);
+            });
+            return templates;
+        },
+
+        /**
+         * エクスポートしたテンプレートを取り込む
+         * 同じIDのテンプレートは上書きし、それ以外は末尾に追加する（replace の場合は全件置き換え）
+         * 取り込むテンプレートどうしでIDが重複する場合は、何も変えずにエラーを返す
+         * @param {{ id?: string, createdAt?: string, input: object }[]} inputs input は validateTemplate 済みのもの
+         * @returns {Promise<{ templates: object[] } | { error: string }>}
+         */
+        async import(inputs, { replace = false } = {}) {
+            const ids = inputs.map(({ id }) => id).filter(isValidId);
+            const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+            if (duplicate !== undefined) {
+                return { error: `テンプレートのIDが重複しています: ${duplicate}` };
+            }
+
+            const now = new Date().toISOString();
+            const records = inputs.map(({ id, createdAt, input }) => ({
+                ...createRecord(input, now),
+                ...(isValidId(id) ? { id } : {}),
+                ...(typeof createdAt === 'string' ? { createdAt } : {})
+            }));
+
+            const saved = await update(list => {
+                if (replace) return records;
+
+                const imported = new Map(records.map(record => [record.id, record]));
+                const merged = list.map(template => imported.get(template.id) ?? template);
+                const existing = new Set(list.map(template => template.id));
+                return [...merged, ...records.filter(record => !existing.has(record.id))];
+            });
+            return saved ? { templates } : limitError;
+        }
+    };
+}
+
+function createRecord(template, now) {
+    return {
+        id: randomUUID(),
+        ...template,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+function isValidId(id) {
+    return typeof id === 'string' && /^[\w-]{1,64}$/.test(id);
+}
@@ -0,0 +1,119 @@
+/**
+ * timeline-log.js - デスクトップの監視の記録
+ *
+ * image-analyst monitor の撮影ごとの結果を、1行1件の JSON（JSONL）に追記します。
+ * 分析しなかった撮影（前回から変化がない・失敗した）も status を付けて記録し、
+ * 1日分の記録から作るまとめ（日次ダイジェスト）の出力スキーマもここで定義します。
+ *
+ *   analyzed  分析した（結果と要約を含む）
+ *   skipped   前回分析した画面から変化がないため分析しなかった
+ *   error     撮影・分析に失敗した
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const TIMELINE_STATUSES = ['analyzed', 'skipped', 'error'];
+
+// ダイジェストに渡す1件の分析結果の長さ
+const MAX_DIGEST_TEXT_LENGTH = 1500;
+
+// 日次ダイジェスト（通常分析の outputSchema として検証する）
+export const DIGEST_SCHEMA = {
+    type: 'object',
+    required: ['activities', 'summary'],
+    properties: {
+        activities: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['start', 'description'],
+                properties: {
+                    start: { type: 'string' },
+                    end: { type: 'string' },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        highlights: { type: 'array', items: { type: 'string' } },
+        summary: { type: 'string' }
+    }
+};
+
+/**
+ * 記録を1件追記する（time がなければ現在時刻を付ける）
+ */
+export async function appendTimelineEntry(logPath, entry) {
+    const record = { time: new Date().toISOString(), ...entry };
+    await fs.mkdir(path.dirname(logPath), { recursive: true });
+    await fs.appendFile(logPath, `${JSON.stringify(record)}\n`, 'utf-8');
+    return record;
+}
+
+/**
+ * 記録を古い順に読む（ファイルがなければ空、壊れた行は飛ばす）
+ * @param {{ date?: string }} options date（YYYY-MM-DD、ローカル時刻）を指定すればその日の記録だけ
+ */
+export async function readTimelineEntries(logPath, { date } = {}) {
+    let content;
+    try {
+        content = await fs.readFile(logPath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (TIMELINE_STATUSES.includes(entry?.status) && !Number.isNaN(Date.parse(entry.time))) entries.push(entry);
+        } catch {
+            // 書き込み中に止まった行など
+        }
+    }
+
+    return date ? entries.filter(entry => formatLocalDate(new Date(entry.time)) === date) : entries;
+}
+
+/**
+ * ダイジェストに渡す観察結果 [{ time, text }]（分析した記録だけ、time は HH:MM）
+ */
+export function toDigestObservations(entries) {
+    return entries
+        .filter(entry => entry.status === 'analyzed')
+        .map(entry => ({
+            time: formatLocalTime(new Date(entry.time)),
+            text: String(entry.description ?? entry.summary ?? '').trim().slice(0, MAX_DIGEST_TEXT_LENGTH)
+        }));
+}
+
+/**
+ * 撮影の回数（status ごと）と、最初と最後の撮影時刻
+ */
+export function countTimelineEntries(entries) {
+    const counts = Object.fromEntries(TIMELINE_STATUSES.map(status => [status, 0]));
+    for (const entry of entries) counts[entry.status]++;
+
+    return {
+        total: entries.length,
+        ...counts,
+        first: entries.length > 0 ? formatLocalTime(new Date(entries[0].time)) : null,
+        last: entries.length > 0 ? formatLocalTime(new Date(entries.at(-1).time)) : null
+    };
+}
+
+// ローカル時刻の YYYY-MM-DD
+export function formatLocalDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ローカル時刻の HH:MM
+export function formatLocalTime(date) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
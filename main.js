@@ -4,49 +4,197 @@
  * 画像をアップロードしてGemini 3 Flash Agentic Visionで分析
  */
 
+import { downloadFile, toDelimited, timestampForFilename } from './src/download.js';
+import { saveHistoryEntry, listHistoryEntries, getHistoryEntry, deleteHistoryEntry } from './src/history.js';
+import { colorForLabel, drawDetections, hasBbox } from './src/overlay.js';
+import { orderedLines, toPlainText, toMarkdown, findMatches } from './src/ocr.js';
+import { expandTable, headerRowCount, toTableDelimited, toTableMarkdown, toTablesXlsx } from './src/table.js';
+import { isPdfFile, openPdf, closePdf, renderPdfPage, parsePageRange } from './src/pdf.js';
+import { isVideoFile, openVideo, closeVideo, captureFrame, sampleFrameTimes } from './src/video.js';
+import { sequenceItemData, cellNumber, formatTimestamp, formatTimeRange } from './src/sequence.js';
+import { loadApiToken, saveApiToken, loadGeminiKey, saveGeminiKey, authHeaders, geminiHeaders } from './src/api-auth.js';
+import {
+    extractVariables,
+    templateFields,
+    fillTemplate,
+    fetchTemplates,
+    saveTemplate,
+    deleteTemplate,
+    reorderTemplates,
+    importTemplates,
+    exportTemplates
+} from './src/templates.js';
+import {
+    collectReportImages,
+    prepareReport,
+    buildMarkdownReport,
+    buildHtmlReport,
+    buildReportZip
+} from './src/report.js';
+import {
+    PREPROCESS_FORMATS,
+    loadPreprocessOptions,
+    savePreprocessOptions,
+    preprocessImage,
+    formatBytes
+} from './src/preprocess.js';
+
 // DOM要素
 const elements = {
     dropZone: document.getElementById('dropZone'),
     fileInput: document.getElementById('fileInput'),
     previewImage: document.getElementById('previewImage'),
+    roiLayer: document.getElementById('roiLayer'),
+    roiSection: document.getElementById('roiSection'),
+    roiToggleBtn: document.getElementById('roiToggleBtn'),
+    roiClearBtn: document.getElementById('roiClearBtn'),
+    roiHint: document.getElementById('roiHint'),
+    roiList: document.getElementById('roiList'),
+    batchThumbs: document.getElementById('batchThumbs'),
+    imageInfo: document.getElementById('imageInfo'),
+    pdfSection: document.getElementById('pdfSection'),
+    pdfInfo: document.getElementById('pdfInfo'),
+    pdfPageRange: document.getElementById('pdfPageRange'),
+    pdfScope: document.getElementById('pdfScope'),
+    compareZone: document.getElementById('compareZone'),
+    compareSlots: document.getElementById('compareSlots'),
+    compareFileInput: document.getElementById('compareFileInput'),
+    addCompareSlotBtn: document.getElementById('addCompareSlotBtn'),
+    modeSelect: document.getElementById('modeSelect'),
     promptInput: document.getElementById('promptInput'),
+    modelSelect: document.getElementById('modelSelect'),
     thinkingLevel: document.getElementById('thinkingLevel'),
     streamingToggle: document.getElementById('streamingToggle'),
+
+    // 前処理
+    preprocessEnabled: document.getElementById('preprocessEnabled'),
+    preprocessMaxDimension: document.getElementById('preprocessMaxDimension'),
+    preprocessFormat: document.getElementById('preprocessFormat'),
+    preprocessQuality: document.getElementById('preprocessQuality'),
+    preprocessQualityValue: document.getElementById('preprocessQualityValue'),
+    preprocessGrayscale: document.getElementById('preprocessGrayscale'),
+    preprocessContrast: document.getElementById('preprocessContrast'),
     analyzeBtn: document.getElementById('analyzeBtn'),
     copyResultBtn: document.getElementById('copyResultBtn'),
+    exportBtn: document.getElementById('exportBtn'),
+    exportMenu: document.getElementById('exportMenu'),
 
     // 結果表示
+    videoSection: document.getElementById('videoSection'),
+    videoInfo: document.getElementById('videoInfo'),
+    videoSampling: document.getElementById('videoSampling'),
+    videoInterval: document.getElementById('videoInterval'),
+    videoThreshold: document.getElementById('videoThreshold'),
+    videoMaxFrames: document.getElementById('videoMaxFrames'),
+    videoScope: document.getElementById('videoScope'),
+    videoSummarize: document.getElementById('videoSummarize'),
+    sequenceNav: document.getElementById('sequenceNav'),
+    sequenceNavItems: document.getElementById('sequenceNavItems'),
+    prevSequenceBtn: document.getElementById('prevSequenceBtn'),
+    nextSequenceBtn: document.getElementById('nextSequenceBtn'),
+    sequenceJsonBtn: document.getElementById('sequenceJsonBtn'),
     resultContent: document.getElementById('resultContent'),
     processedImage: document.getElementById('processedImage'),
     codeContent: document.getElementById('codeContent'),
     rawContent: document.getElementById('rawContent'),
 
+    // バッチ
+    batchTabBtn: document.getElementById('batchTabBtn'),
+    batchCounter: document.getElementById('batchCounter'),
+    batchResults: document.getElementById('batchResults'),
+    batchJsonBtn: document.getElementById('batchJsonBtn'),
+    batchCsvBtn: document.getElementById('batchCsvBtn'),
+
+    // フォローアップチャット
+    chatSection: document.getElementById('chatSection'),
+    chatSessionInfo: document.getElementById('chatSessionInfo'),
+    chatThread: document.getElementById('chatThread'),
+    chatInput: document.getElementById('chatInput'),
+    chatSendBtn: document.getElementById('chatSendBtn'),
+
     // 進捗
     progressSection: document.getElementById('progressSection'),
     progressFill: document.getElementById('progressFill'),
     progressLog: document.getElementById('progressLog'),
+    cancelBtn: document.getElementById('cancelBtn'),
+
+    // 履歴
+    historyBtn: document.getElementById('historyBtn'),
+    historySidebar: document.getElementById('historySidebar'),
+    closeHistory: document.getElementById('closeHistory'),
+    historySearch: document.getElementById('historySearch'),
+    historyList: document.getElementById('historyList'),
 
     // モーダル
     settingsBtn: document.getElementById('settingsBtn'),
     settingsModal: document.getElementById('settingsModal'),
     closeSettings: document.getElementById('closeSettings'),
     saveSettings: document.getElementById('saveSettings'),
-    apiKeyInput: document.getElementById('apiKeyInput'),
+    apiTokenInput: document.getElementById('apiTokenInput'),
+    geminiKeyInput: document.getElementById('geminiKeyInput'),
+    testGeminiKeyBtn: document.getElementById('testGeminiKeyBtn'),
+    geminiKeyStatus: document.getElementById('geminiKeyStatus'),
 
     // タブ
     tabs: document.querySelectorAll('.tab'),
     tabPanes: document.querySelectorAll('.tab-pane'),
 
-    // クイックプロンプト
-    quickPrompts: document.querySelectorAll('.quick-prompt')
+    // クイックプロンプト・テンプレート
+    quickPrompts: document.getElementById('quickPrompts'),
+    templateApplied: document.getElementById('templateApplied'),
+    templateAppliedName: document.getElementById('templateAppliedName'),
+    clearTemplateBtn: document.getElementById('clearTemplateBtn'),
+    manageTemplatesBtn: document.getElementById('manageTemplatesBtn'),
+    templateForm: document.getElementById('templateForm'),
+    templateFormTitle: document.getElementById('templateFormTitle'),
+    templateFields: document.getElementById('templateFields'),
+    cancelTemplateForm: document.getElementById('cancelTemplateForm'),
+    templateModal: document.getElementById('templateModal'),
+    templateList: document.getElementById('templateList'),
+    newTemplateBtn: document.getElementById('newTemplateBtn'),
+    templateEditor: document.getElementById('templateEditor'),
+    templateName: document.getElementById('templateName'),
+    templateDescription: document.getElementById('templateDescription'),
+    templateMode: document.getElementById('templateMode'),
+    templateThinkingLevel: document.getElementById('templateThinkingLevel'),
+    templatePrompt: document.getElementById('templatePrompt'),
+    templateVariables: document.getElementById('templateVariables'),
+    templateOutputSchema: document.getElementById('templateOutputSchema'),
+    templateEditorError: document.getElementById('templateEditorError'),
+    deleteTemplateBtn: document.getElementById('deleteTemplateBtn'),
+    importTemplatesBtn: document.getElementById('importTemplatesBtn'),
+    exportTemplatesBtn: document.getElementById('exportTemplatesBtn'),
+    templateFileInput: document.getElementById('templateFileInput'),
+    closeTemplates: document.getElementById('closeTemplates')
 };
 
 // 状態管理
 let state = {
     currentImage: null,
     currentImageBase64: null,
+    currentImageInfo: null,
+    preprocessOptions: loadPreprocessOptions(),
+    regions: [],
+    roiMode: false,
     isProcessing: false,
-    lastResult: null
+    activeRequest: null,
+    lastResult: null,
+    lastPrompt: null,
+    batch: null,
+    pdf: null,
+    video: null,
+    sequence: null,
+    sequenceIndex: 0,
+    mode: 'analyze',
+    compareSlots: [],
+    compareTarget: 0,
+    comparedImages: [],
+    analyzedImage: null,
+    sessionId: null,
+    models: [],
+    templates: [],
+    template: null,
+    editingTemplateId: null
 };
 
 // ========================================
@@ -55,11 +203,23 @@ let state = {
 
 function init() {
     setupDropZone();
+    setupRoi();
     setupTabNavigation();
     setupQuickPrompts();
+    setupTemplateManager();
+    setupModelOptions();
+    setupPreprocessOptions();
+    setupPdf();
+    setupVideo();
+    setupSequenceNav();
     setupSettingsModal();
     setupAnalyzeButton();
+    setupBatch();
+    setupCompare();
+    setupHistory();
+    setupChat();
     setupCopyButton();
+    setupExport();
 }
 
 // ========================================
@@ -70,13 +230,15 @@ function setupDropZone() {
     const { dropZone, fileInput, previewImage } = elements;
 
     // クリックでファイル選択
-    dropZone.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('click', () => {
+        // 領域選択中のクリックはドラッグ操作として扱う
+        if (!state.roiMode) fileInput.click();
+    });
 
     // ファイル選択
     fileInput.addEventListener('change', (e) => {
-        if (e.target.files?.[0]) {
-            handleImageFile(e.target.files[0]);
-        }
+        handleImageFiles([...(e.target.files || [])]);
+        fileInput.value = '';
     });
 
     // ドラッグ&ドロップ
@@ -93,10 +255,7 @@ function setupDropZone() {
         e.preventDefault();
         dropZone.classList.remove('dragover');
 
-        const file = e.dataTransfer.files?.[0];
-        if (file?.type.startsWith('image/')) {
-            handleImageFile(file);
-        }
+        handleImageFiles([...(e.dataTransfer.files || [])]);
     });
 
     // ペースト対応
@@ -105,107 +264,429 @@ function setupDropZone() {
         for (const item of items || []) {
             if (item.type.startsWith('image/')) {
                 const file = item.getAsFile();
-                if (file) handleImageFile(file);
+                if (file && state.mode === 'compare') {
+                    handleCompareFile(firstEmptyCompareSlot(), file);
+                } else if (file) {
+                    handleImageFile(file);
+                }
                 break;
             }
         }
     });
 }
 
-function handleImageFile(file) {
-    const reader = new FileReader();
+// 1枚なら通常分析、複数枚ならバッチ分析の対象にする（PDFはページを、動画はフレームを選んで分析する）
+function handleImageFiles(files) {
+    const pdf = files.find(isPdfFile);
+    if (pdf) return handlePdfFile(pdf);
 
-    reader.onload = (e) => {
-        const base64 = e.target.result;
-        state.currentImage = file;
-        state.currentImageBase64 = base64;
+    const video = files.find(isVideoFile);
+    if (video) return handleVideoFile(video);
 
-        elements.previewImage.src = base64;
-        elements.dropZone.classList.add('has-image');
-        elements.analyzeBtn.disabled = false;
-    };
+    const images = files.filter(file => file.type.startsWith('image/'));
+    if (images.length === 1) {
+        handleImageFile(images[0]);
+    } else if (images.length > 1) {
+        handleBatchFiles(images);
+    }
+}
+
+async function handleImageFile(file) {
+    clearBatchFiles();
+    clearPdf();
+    clearVideo();
+
+    try {
+        const { dataUrl, ...info } = await preprocessImage(file, state.preprocessOptions);
+        showImage(dataUrl, file, [], info);
+    } catch (error) {
+        console.error('Preprocess error:', error);
+        showError(`画像を読み込めませんでした: ${error.message}`);
+    }
+}
+
+/**
+ * 送信する画像をプレビューに表示する
+ * info は前処理の結果（サイズ・縮小率）。履歴から復元した場合などはないこともある
+ */
+function showImage(base64, file = null, regions = [], info = null) {
+    state.currentImage = file;
+    state.currentImageBase64 = base64;
+    state.currentImageInfo = info;
+    state.regions = regions.map(region => ({ ...region }));
+
+    elements.previewImage.src = base64;
+    elements.dropZone.classList.add('has-image');
+    elements.analyzeBtn.disabled = false;
+
+    renderImageInfo();
+    updateRoiSection();
+}
+
+function renderImageInfo() {
+    const info = state.currentImageInfo;
+    elements.imageInfo.hidden = !info || Boolean(state.batch) || state.mode === 'compare';
+    if (!info) return;
 
-    reader.readAsDataURL(file);
+    const original = `${info.originalWidth}×${info.originalHeight} (${formatBytes(info.originalBytes)})`;
+    const sent = `${info.width}×${info.height} (${formatBytes(info.bytes)})`;
+    const scale = info.scale === 1 ? '' : ` ・ 縮小率 ${info.scale.toFixed(3)}`;
+    elements.imageInfo.textContent = `元画像 ${original} → 送信 ${sent}${scale}`;
 }
 
 // ========================================
-// タブナビゲーション
+// 前処理オプション
 // ========================================
 
-function setupTabNavigation() {
-    elements.tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            const targetId = tab.dataset.tab + 'Tab';
+function setupPreprocessOptions() {
+    const {
+        preprocessEnabled,
+        preprocessMaxDimension,
+        preprocessFormat,
+        preprocessQuality,
+        preprocessQualityValue,
+        preprocessGrayscale,
+        preprocessContrast
+    } = elements;
+    const options = state.preprocessOptions;
+
+    for (const format of PREPROCESS_FORMATS) {
+        const option = document.createElement('option');
+        option.value = format.id;
+        option.textContent = format.label;
+        preprocessFormat.appendChild(option);
+    }
 
-            // タブ状態更新
-            elements.tabs.forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
+    preprocessEnabled.checked = options.enabled;
+    preprocessMaxDimension.value = String(options.maxDimension);
+    preprocessFormat.value = options.format;
+    preprocessQuality.value = String(options.quality);
+    preprocessQualityValue.textContent = Number(options.quality).toFixed(2);
+    preprocessGrayscale.checked = options.grayscale;
+    preprocessContrast.checked = options.contrast;
+
+    const update = () => {
+        state.preprocessOptions = {
+            enabled: preprocessEnabled.checked,
+            maxDimension: Number(preprocessMaxDimension.value),
+            format: preprocessFormat.value,
+            quality: Number(preprocessQuality.value),
+            grayscale: preprocessGrayscale.checked,
+            contrast: preprocessContrast.checked
+        };
+        savePreprocessOptions(state.preprocessOptions);
+        preprocessQualityValue.textContent = state.preprocessOptions.quality.toFixed(2);
+        reprocessCurrentImage();
+    };
 
-            // パネル表示切替
-            elements.tabPanes.forEach(pane => {
-                pane.classList.toggle('active', pane.id === targetId);
-            });
-        });
+    for (const control of [preprocessEnabled, preprocessMaxDimension, preprocessFormat, preprocessGrayscale, preprocessContrast]) {
+        control.addEventListener('change', update);
+    }
+    preprocessQuality.addEventListener('change', update);
+    preprocessQuality.addEventListener('input', () => {
+        preprocessQualityValue.textContent = Number(preprocessQuality.value).toFixed(2);
     });
 }
 
+// 設定を変えたら、選択中の画像を元ファイルから処理し直す（領域は新しい縮小率に合わせる）
+async function reprocessCurrentImage() {
+    if (state.isProcessing) return;
+
+    // PDF・動画は描画する大きさから変わるため、ページ・フレームを取り出し直す
+    if (state.pdf) return renderPdfPreview();
+    if (state.video) return renderVideoPreview();
+
+    const file = state.currentImage;
+    if (!file) return;
+
+    const previousScale = state.currentImageInfo?.scale ?? 1;
+
+    try {
+        const { dataUrl, ...info } = await preprocessImage(file, state.preprocessOptions);
+        const ratio = info.scale / previousScale;
+        const regions = state.regions.map(region => ({
+            ...region,
+            bbox: region.bbox.map(v => Math.round(v * ratio))
+        }));
+        showImage(dataUrl, file, regions, info);
+    } catch (error) {
+        console.error('Preprocess error:', error);
+    }
+}
+
 // ========================================
-// クイックプロンプト
+// PDF文書
 // ========================================
 
-function setupQuickPrompts() {
-    elements.quickPrompts.forEach(btn => {
-        btn.addEventListener('click', () => {
-            elements.promptInput.value = btn.dataset.prompt;
-            elements.promptInput.focus();
-        });
+const MAX_PDF_PAGES = 50;
+
+function setupPdf() {
+    elements.pdfPageRange.addEventListener('change', renderPdfPreview);
+}
+
+async function handlePdfFile(file) {
+    clearBatchFiles();
+    clearVideo();
+    clearPdf();
+
+    try {
+        state.pdf = await openPdf(file);
+    } catch (error) {
+        console.error('PDF error:', error);
+        showError(`PDFを読み込めませんでした: ${error.message}`);
+        return;
+    }
+
+    elements.pdfPageRange.value = '';
+    elements.pdfInfo.textContent = `📑 ${file.name} ・ ${state.pdf.pageCount}ページ`;
+    updatePdfSection();
+    await renderPdfPreview();
+}
+
+function clearPdf() {
+    if (!state.pdf) return;
+
+    closePdf(state.pdf);
+    state.pdf = null;
+    updatePdfSection();
+}
+
+function updatePdfSection() {
+    elements.pdfSection.hidden = !state.pdf || state.mode === 'compare';
+}
+
+// プレビューには範囲の最初のページを表示する
+async function renderPdfPreview() {
+    const pdf = state.pdf;
+    if (!pdf) return;
+
+    const { pages, error } = parsePageRange(elements.pdfPageRange.value, pdf.pageCount);
+    elements.pdfPageRange.setCustomValidity(error || '');
+    if (error) {
+        elements.pdfPageRange.reportValidity();
+        return;
+    }
+
+    try {
+        const { dataUrl, ...info } = await renderPdfPageImage(pdf, pages[0]);
+        if (state.pdf === pdf) showImage(dataUrl, null, [], info);
+    } catch (error) {
+        console.error('PDF render error:', error);
+        showError(`${pages[0]}ページを描画できませんでした: ${error.message}`);
+    }
+}
+
+// ページを描画し、画像と同じ前処理（再エンコード・グレースケール化など）をかける
+async function renderPdfPageImage(pdf, page) {
+    const options = state.preprocessOptions;
+    const file = await renderPdfPage(pdf, page, { maxDimension: options.enabled ? options.maxDimension : undefined });
+    return preprocessImage(file, options);
+}
+
+// PDFの選択したページを分析する
+async function analyzePdf() {
+    const pdf = state.pdf;
+    const { pages, error } = parsePageRange(elements.pdfPageRange.value, pdf.pageCount);
+    if (error) return showError(error);
+    if (pages.length > MAX_PDF_PAGES) {
+        return showError(`一度に分析できるのは ${MAX_PDF_PAGES} ページまでです（${pages.length}ページを選択中）`);
+    }
+
+    await analyzeSequence(createSequence('pdf', pdf.name, elements.pdfScope.value), {
+        prepare: () => pages.map(page => ({ number: page, status: 'queued' })),
+        render: item => renderPdfPageImage(pdf, item.number)
     });
 }
 
 // ========================================
-// 設定モーダル
+// 動画
 // ========================================
 
-function setupSettingsModal() {
-    const { settingsBtn, settingsModal, closeSettings, saveSettings, apiKeyInput } = elements;
+// まとめて分析する場合はサーバーの VIDEO_MAX_FRAMES（既定 30）も上限になる
+const MAX_VIDEO_FRAMES = 60;
+const MIN_VIDEO_INTERVAL = 0.1;
 
-    settingsBtn.addEventListener('click', () => {
-        settingsModal.showModal();
-    });
+function setupVideo() {
+    elements.videoSampling.addEventListener('change', updateVideoSection);
+}
 
-    closeSettings.addEventListener('click', () => {
-        settingsModal.close();
-    });
+async function handleVideoFile(file) {
+    clearBatchFiles();
+    clearPdf();
+    clearVideo();
 
-    saveSettings.addEventListener('click', () => {
-        const apiKey = apiKeyInput.value.trim();
-        if (apiKey) {
-            localStorage.setItem('gemini_api_key', apiKey);
-        }
-        settingsModal.close();
-    });
+    try {
+        state.video = await openVideo(file);
+    } catch (error) {
+        console.error('Video error:', error);
+        showError(`動画を読み込めませんでした: ${error.message}`);
+        return;
+    }
+
+    const { duration, width, height } = state.video;
+    elements.videoInfo.textContent = `🎞️ ${file.name} ・ ${formatTimestamp(duration)} ・ ${width}×${height}`;
+    updateVideoSection();
+    await renderVideoPreview();
+}
+
+function clearVideo() {
+    if (!state.video) return;
+
+    closeVideo(state.video);
+    state.video = null;
+    updateVideoSection();
+}
+
+function updateVideoSection() {
+    const scene = elements.videoSampling.value === 'scene';
+    elements.videoSection.hidden = !state.video || state.mode === 'compare';
+    elements.videoInterval.closest('.option-group').hidden = scene;
+    elements.videoThreshold.closest('.option-group').hidden = !scene;
+}
+
+// プレビューには先頭のフレームを表示する
+async function renderVideoPreview() {
+    const video = state.video;
+    if (!video) return;
+
+    try {
+        const { dataUrl, ...info } = await captureVideoFrameImage(video, 0);
+        if (state.video === video) showImage(dataUrl, null, [], info);
+    } catch (error) {
+        console.error('Video capture error:', error);
+        showError(`フレームを取り出せませんでした: ${error.message}`);
+    }
+}
+
+// フレームを取り出し、画像と同じ前処理（再エンコード・グレースケール化など）をかける
+async function captureVideoFrameImage(video, time) {
+    const options = state.preprocessOptions;
+    const file = await captureFrame(video, time, { maxDimension: options.enabled ? options.maxDimension : undefined });
+    return preprocessImage(file, options);
+}
+
+/**
+ * @returns {{ method: string, interval: number, threshold: number, maxFrames: number } | { error: string }}
+ */
+function readVideoSampling() {
+    const sampling = {
+        method: elements.videoSampling.value,
+        interval: Number(elements.videoInterval.value),
+        threshold: Number(elements.videoThreshold.value),
+        maxFrames: Number(elements.videoMaxFrames.value)
+    };
 
-    // 保存済みAPIキーを読み込み
-    const savedKey = localStorage.getItem('gemini_api_key');
-    if (savedKey) {
-        apiKeyInput.value = savedKey;
+    if (sampling.method === 'interval' && !(sampling.interval >= MIN_VIDEO_INTERVAL)) {
+        return { error: `フレームの間隔は ${MIN_VIDEO_INTERVAL} 秒以上で指定してください` };
     }
+    if (sampling.method === 'scene' && !(sampling.threshold > 0 && sampling.threshold < 1)) {
+        return { error: '変化の大きさは 0 より大きく 1 より小さい値で指定してください' };
+    }
+    if (!Number.isInteger(sampling.maxFrames) || sampling.maxFrames < 1 || sampling.maxFrames > MAX_VIDEO_FRAMES) {
+        return { error: `最大フレーム数は 1〜${MAX_VIDEO_FRAMES} で指定してください` };
+    }
+    return sampling;
+}
+
+// 動画からフレームを選んで分析し、最後に何が起きたかを時刻順にまとめる
+async function analyzeVideo() {
+    const video = state.video;
+    const sampling = readVideoSampling();
+    if (sampling.error) return showError(sampling.error);
+
+    const sequence = createSequence('video', video.name, elements.videoScope.value);
+    sequence.summarize = elements.videoSummarize.checked;
+
+    await analyzeSequence(sequence, {
+        prepare: async (request) => {
+            addProgressLog(sampling.method === 'scene' ? '🔍 シーンの切り替わりを検出中...' : '🎞️ フレームを選択中...');
+
+            const { times, skipped } = await sampleFrameTimes(video, sampling, {
+                signal: request.controller.signal,
+                onProgress: ratio => {
+                    elements.progressFill.style.width = `${Math.round(ratio * 20)}%`;
+                }
+            });
+            addProgressLog(`🎞️ ${times.length}フレームを分析します`);
+            if (skipped > 0) {
+                addProgressLog(`⚠️ 最大フレーム数を超えた ${skipped} フレームは分析しません`);
+            }
+
+            return times.map((time, i) => ({ number: i + 1, time, status: 'queued' }));
+        },
+        render: item => captureVideoFrameImage(video, item.time)
+    });
 }
 
 // ========================================
-// 分析実行
+// ページ・フレームの分析
 // ========================================
 
-function setupAnalyzeButton() {
-    elements.analyzeBtn.addEventListener('click', analyzeImage);
+// PDFのページと動画のフレームの違い（結果の要素に付く番号・表示・送信する内容）
+const SEQUENCE_KINDS = {
+    pdf: {
+        key: 'page',
+        unit: 'ページ',
+        icon: '📄',
+        label: item => `p.${item.number}`,
+        title: item => `${item.number}ページ`,
+        body: items => ({ pages: items.map(item => item.number) })
+    },
+    video: {
+        key: 'frame',
+        unit: 'フレーム',
+        icon: '🎞️',
+        label: item => formatTimestamp(item.time),
+        title: item => `フレーム ${item.number}（${formatTimestamp(item.time)}）`,
+        body: items => ({ frames: items.map(item => item.time) })
+    }
+};
+
+/**
+ * scope は each（1つずつ分析し、終わったものから表示する。それぞれにフォローアップできる）か
+ * combined（すべてを1回で送り、ページ・フレームをまたいだ1つの結果を受け取る）
+ */
+function createSequence(kind, name, scope) {
+    return {
+        kind,
+        name,
+        scope,
+        mode: state.mode,
+        prompt: elements.promptInput.value.trim() || DEFAULT_PROMPTS[state.mode],
+        model: elements.modelSelect.value,
+        thinkingLevel: elements.thinkingLevel.value,
+        items: []
+    };
 }
 
-async function analyzeImage() {
-    if (!state.currentImageBase64) return;
+function setupSequenceNav() {
+    const { sequenceNavItems, prevSequenceBtn, nextSequenceBtn, sequenceJsonBtn } = elements;
 
-    const prompt = elements.promptInput.value.trim() || 'この画像を分析してください';
+    prevSequenceBtn.addEventListener('click', () => showSequenceItem(state.sequenceIndex - 1));
+    nextSequenceBtn.addEventListener('click', () => showSequenceItem(state.sequenceIndex + 1));
+    sequenceNavItems.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-index]');
+        if (button) showSequenceItem(Number(button.dataset.index));
+    });
+    sequenceJsonBtn.addEventListener('click', downloadSequenceJson);
+}
+
+/**
+ * prepare で分析するページ・フレームを決め、render で1つずつ画像にして分析する
+ * @param {{ prepare: (request: object) => Promise<object[]> | object[], render: (item: object) => Promise<object> }} source
+ */
+async function analyzeSequence(sequence, { prepare, render }) {
     const streaming = elements.streamingToggle.checked;
-    const thinkingLevel = elements.thinkingLevel.value;
+    const outputSchema = appliedOutputSchema();
+
+    // 画像以外はどのページ・フレームも同じ内容で送る
+    const send = (images, request) => {
+        const { mode, prompt, model, thinkingLevel } = sequence;
+        const body = { mode, prompt, model, thinkingLevel, outputSchema, ...images };
+        return streaming
+            ? analyzeWithStreaming('/api/vision', body, request)
+            : analyzeWithoutStreaming('/api/vision', body, request);
+    };
 
     // UI状態更新
     state.isProcessing = true;
@@ -215,193 +696,2704 @@ async function analyzeImage() {
     elements.progressFill.style.width = '0%';
     elements.progressLog.innerHTML = '';
 
-    // 結果エリアをクリア
     elements.resultContent.innerHTML = '<div class="placeholder"><span>⏳</span><p>分析中...</p></div>';
+    resetChat();
+
+    state.sequence = sequence;
+    state.sequenceIndex = 0;
+    renderSequenceNav();
+
+    const request = beginRequest();
 
     try {
-        if (streaming) {
-            await analyzeWithStreaming(prompt, thinkingLevel);
+        sequence.items = await prepare(request);
+        renderSequenceNav();
+
+        if (sequence.scope === 'combined') {
+            await analyzeSequenceCombined(sequence, render, send, request);
         } else {
-            await analyzeWithoutStreaming(prompt, thinkingLevel);
+            await analyzeSequenceItems(sequence, render, send, request);
+        }
+
+        if (sequence.summarize && !request.controller.signal.aborted) {
+            await summarizeSequence(sequence, request);
         }
     } catch (error) {
-        console.error('Analysis error:', error);
-        showError(error.message);
+        if (isAbortError(error)) {
+            showCancelled();
+        } else {
+            console.error('Sequence analysis error:', error);
+            showError(error.message);
+        }
     } finally {
+        endRequest();
         state.isProcessing = false;
         elements.analyzeBtn.classList.remove('loading');
         elements.analyzeBtn.disabled = false;
         elements.progressFill.style.width = '100%';
+        renderSequenceNav();
     }
 }
 
-async function analyzeWithStreaming(prompt, thinkingLevel) {
-    const response = await fetch('/api/vision', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            imageBase64: state.currentImageBase64,
-            prompt,
-            thinkingLevel,
-            streaming: true
-        })
-    });
+// 1つずつ分析する。失敗したものは飛ばし、キャンセルしたら残りは分析しない
+async function analyzeSequenceItems(sequence, render, send, request) {
+    const kind = SEQUENCE_KINDS[sequence.kind];
+    const total = sequence.items.length;
 
-    if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
-    }
+    for (const [index, item] of sequence.items.entries()) {
+        if (request.controller.signal.aborted) {
+            item.status = 'cancelled';
+            continue;
+        }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
+        item.status = 'running';
+        renderSequenceNav();
+        addProgressLog(`${kind.icon} ${kind.title(item)}を分析中... (${index + 1}/${total})`);
 
-    let fullText = '';
-    let codeBlocks = [];
-    let progress = 0;
+        try {
+            const { dataUrl, ...info } = await render(item);
+            Object.assign(item, { base64: dataUrl, info });
+            renderSequenceNav();
 
-    while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+            item.result = await send({ imageBase64: dataUrl, preprocess: describePreprocess(info) }, request);
+            item.status = 'done';
 
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
+            recordHistory({
+                ...historyRequestInfo(sequence),
+                images: [{ label: `${sequence.name} ${kind.label(item)}`, base64: dataUrl, info }],
+                regions: [],
+                result: item.result
+            });
+        } catch (error) {
+            item.status = isAbortError(error) ? 'cancelled' : 'error';
+            item.error = isAbortError(error) ? '分析はキャンセルされました' : error.message;
+            addProgressLog(isAbortError(error) ? '⏹ キャンセルしました' : `❌ ${kind.title(item)}: ${error.message}`);
+        }
 
-        for (const line of lines) {
-            if (!line.startsWith('data: ')) continue;
+        renderSequenceNav();
+        if (index === state.sequenceIndex) showSequenceItem(index);
+    }
 
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
+    const completed = sequence.items.filter(item => item.status === 'done').length;
+    addProgressLog(`✅ ${completed} / ${total} ${kind.unit}の分析が完了`);
+}
 
-            try {
-                const parsed = JSON.parse(data);
+// すべてをまとめて分析し、結果の要素をページ・フレームごとに振り分けて表示する
+async function analyzeSequenceCombined(sequence, render, send, request) {
+    const kind = SEQUENCE_KINDS[sequence.kind];
 
-                if (parsed.chunk) {
-                    fullText += parsed.chunk;
-                    progress = Math.min(progress + 5, 90);
-                    elements.progressFill.style.width = `${progress}%`;
-                }
+    try {
+        for (const item of sequence.items) {
+            if (request.controller.signal.aborted) throw new DOMException('分析はキャンセルされました', 'AbortError');
 
-                if (parsed.code) {
-                    codeBlocks.push(parsed.code);
-                    addProgressLog(`🔧 Pythonコード実行中...`);
-                }
+            addProgressLog(`${kind.icon} ${kind.title(item)}を画像にしています...`);
+            const { dataUrl, ...info } = await render(item);
+            Object.assign(item, { base64: dataUrl, info, status: 'running' });
+            renderSequenceNav();
+        }
+        addProgressLog(`🚀 ${sequence.items.length}${kind.unit}をまとめて分析中...`);
 
-                if (parsed.result) {
-                    addProgressLog(`✅ 処理完了`);
-                }
-            } catch { }
+        sequence.result = await send({
+            images: sequence.items.map(item => ({ name: `${sequence.name}_${kind.label(item)}`, imageBase64: item.base64 })),
+            ...kind.body(sequence.items)
+        }, request);
+    } catch (error) {
+        for (const item of sequence.items) {
+            item.status = isAbortError(error) ? 'cancelled' : 'error';
+            item.error = error.message;
         }
+        throw error;
     }
 
-    // 結果を表示
-    processResult({ text: fullText, code: codeBlocks });
-}
-
-async function analyzeWithoutStreaming(prompt, thinkingLevel) {
-    addProgressLog('🚀 分析リクエスト送信...');
-    elements.progressFill.style.width = '30%';
+    for (const item of sequence.items) item.status = 'done';
+    showSequenceItem(0);
+    startChat(sequence.result);
 
-    const response = await fetch('/api/vision', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            imageBase64: state.currentImageBase64,
-            prompt,
-            thinkingLevel,
-            streaming: false
-        })
+    recordHistory({
+        ...historyRequestInfo(sequence),
+        images: sequence.items.map(item => ({ label: `${sequence.name} ${kind.label(item)}`, base64: item.base64, info: item.info })),
+        regions: [],
+        result: sequence.result
     });
+}
 
-    elements.progressFill.style.width = '60%';
-    addProgressLog('📊 レスポンス受信...');
+function historyRequestInfo({ mode, prompt, model, thinkingLevel }) {
+    return { mode, prompt, model, thinkingLevel };
+}
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || `API Error: ${response.status}`);
-    }
+/**
+ * フレームごとの観察結果から、動画の中で何が起きたかを時刻順にまとめる
+ * まとめは分析履歴には保存しない（元の分析結果から作り直せる）
+ */
+async function summarizeSequence(sequence, request) {
+    const { frames, context } = timelineObservations(sequence);
+    if (frames.length === 0) return;
 
-    const result = await response.json();
-    elements.progressFill.style.width = '90%';
+    sequence.summary = { status: 'running' };
+    renderSequenceNav();
+    addProgressLog('📋 何が起きたかをまとめています...');
 
-    processResult(result);
+    try {
+        const { prompt, model, thinkingLevel } = sequence;
+        sequence.summary.result = await analyzeWithoutStreaming('/api/vision/summary', {
+            frames,
+            context,
+            prompt,
+            model,
+            thinkingLevel
+        }, request);
+        sequence.summary.status = 'done';
+        addProgressLog('✅ まとめが完了');
+        showSequenceItem(sequence.items.length);
+    } catch (error) {
+        sequence.summary.status = isAbortError(error) ? 'cancelled' : 'error';
+        sequence.summary.error = error.message;
+        if (isAbortError(error)) throw error;
+        addProgressLog(`❌ まとめ: ${error.message}`);
+    }
 }
 
-function processResult(result) {
-    state.lastResult = result;
-    elements.copyResultBtn.disabled = false;
-
-    // 生データ表示
-    elements.rawContent.querySelector('code').textContent = JSON.stringify(result, null, 2);
-
-    // コード表示
-    if (result.code?.length > 0) {
-        elements.codeContent.querySelector('code').textContent = result.code.join('\n\n# ---\n\n');
+/**
+ * まとめに送る観察結果 [{ time, text }]
+ * combined では、全体の分析結果を context に、各フレームに現れた要素をそのフレームの観察結果にする
+ */
+function timelineObservations(sequence) {
+    if (sequence.scope === 'combined') {
+        const data = sequence.result?.parsedData || tryParseJson(sequence.result?.text);
+        if (!data) return { frames: [] };
+
+        return {
+            context: observationText({ analysis: data.analysis, summary: data.summary }),
+            frames: sequence.items.map(item => ({
+                time: item.time,
+                text: observationText({ ...sequenceItemData(data, 'frame', item.number), analysis: null, summary: null })
+            }))
+        };
     }
 
-    // メイン結果表示
-    const parsedData = result.parsedData || tryParseJson(result.text);
+    return {
+        frames: sequence.items
+            .filter(item => item.result)
+            .map(item => ({
+                time: item.time,
+                text: observationText(item.result.parsedData || tryParseJson(item.result.text)) || item.result.text || ''
+            }))
+    };
+}
 
-    if (parsedData) {
-        displayParsedResult(parsedData);
+function observationText(data) {
+    if (!data) return '';
+
+    const labels = (items, text) => (Array.isArray(items) ? items : []).map(text).filter(Boolean);
+    const detections = labels(data.metadata?.detections, detection => detection.label);
+    const lines = labels(data.lines, line => line.text);
+    const tables = labels(data.tables, (table, index) => table.title || `表${index + 1}`);
+
+    return [
+        data.analysis,
+        data.summary,
+        detections.length > 0 ? `検出: ${detections.join('、')}` : '',
+        lines.length > 0 ? `文字: ${lines.join(' / ')}` : '',
+        tables.length > 0 ? `表: ${tables.join('、')}` : ''
+    ].filter(Boolean).join('\n');
+}
 
-        // 処理画像があれば表示
-        if (parsedData.processed_image_base64 || parsedData.result_image_base64 || parsedData.annotated_base64) {
-            const imageBase64 = parsedData.processed_image_base64 || parsedData.result_image_base64 || parsedData.annotated_base64;
-            elements.processedImage.src = `data:image/png;base64,${imageBase64}`;
-            elements.processedImage.classList.add('visible');
+/**
+ * ページ・フレームの結果を各タブに表示する（index が items の数ならまとめ）
+ * まとめて分析した場合は、全体の結果からそのページ・フレームの要素だけを取り出して表示する
+ * prompt はフォローアップの結果を表示する場合の質問（省略時は分析時のプロンプト）
+ */
+function showSequenceItem(index, { restartChat = true, prompt } = {}) {
+    const sequence = state.sequence;
+    if (!sequence) return;
+    if (index === sequence.items.length && sequence.summary) return showSequenceSummary();
+
+    const item = sequence.items[index];
+    if (!item) return;
+
+    const kind = SEQUENCE_KINDS[sequence.kind];
+    const shownPrompt = prompt ?? sequence.prompt;
+    state.sequenceIndex = index;
+    state.analyzedImage = item.base64 ?? null;
+    elements.chatSection.hidden = !state.sessionId;
+    renderSequenceNav();
+
+    if (sequence.scope === 'combined') {
+        if (sequence.result) {
+            const position = { key: kind.key, number: item.number };
+            processResult(sequenceResultView(sequence.result, position), { prompt: shownPrompt, position });
         }
-    } else {
-        elements.resultContent.innerHTML = `<div class="result-analysis"><p>${escapeHtml(result.text || 'No result')}</p></div>`;
+        return;
     }
-}
 
-function displayParsedResult(data) {
-    let html = '<div class="result-analysis">';
+    if (restartChat) resetChat();
 
-    if (data.analysis) {
-        html += `<h3>📋 分析結果</h3><p>${escapeHtml(data.analysis)}</p>`;
+    if (item.result) {
+        processResult(item.result, { prompt: shownPrompt });
+        if (restartChat) startChat(item.result);
+        return;
     }
 
-    if (data.summary) {
-        html += `<h3>📝 要約</h3><p>${escapeHtml(data.summary)}</p>`;
+    showPendingResult(item.status, `${kind.title(item)}: ${item.error}`);
+}
+
+// まとめにはフォローアップできないため、チャットは隠す（ページ・フレームに戻ると再び表示する）
+function showSequenceSummary() {
+    const { summary, items } = state.sequence;
+    state.sequenceIndex = items.length;
+    state.analyzedImage = null;
+    elements.chatSection.hidden = true;
+    renderSequenceNav();
+
+    if (summary.result) {
+        processResult(summary.result, { prompt: '動画のまとめ' });
+        return;
     }
 
-    if (data.metadata) {
-        html += '<div class="result-metadata"><h4>🔍 メタデータ</h4>';
+    showPendingResult(summary.status, `まとめ: ${summary.error}`);
+}
 
-        if (data.metadata.detections?.length > 0) {
-            html += '<ul class="detection-list">';
-            for (const detection of data.metadata.detections) {
-                html += `<li>${escapeHtml(JSON.stringify(detection))}</li>`;
-            }
-            html += '</ul>';
-        }
+// 結果のないページ・フレームでは、前の結果をコピー・エクスポートしない
+function showPendingResult(status, errorMessage) {
+    state.lastResult = null;
+    elements.copyResultBtn.disabled = true;
+    elements.exportBtn.disabled = true;
+    clearResultTabs();
+
+    if (status === 'error') {
+        showError(errorMessage);
+    } else if (status === 'cancelled') {
+        showCancelled();
+    } else {
+        elements.resultContent.innerHTML = '<div class="placeholder"><span>⏳</span><p>分析中...</p></div>';
+    }
+}
 
-        if (data.metadata.confidence !== undefined) {
-            const confidence = data.metadata.confidence;
-            const level = confidence >= 0.8 ? '' : confidence >= 0.5 ? 'low' : 'very-low';
-            html += `<p>信頼度: <span class="confidence-badge ${level}">${(confidence * 100).toFixed(1)}%</span></p>`;
-        }
+function sequenceResultView(result, { key, number }) {
+    return { ...result, [key]: number, parsedData: sequenceItemData(result.parsedData || tryParseJson(result.text), key, number) };
+}
 
-        html += '</div>';
+// フォローアップの結果で、表示中のページ・フレーム（まとめて分析した場合は全体）の結果を置き換える
+function updateSequenceResult(result, prompt) {
+    const sequence = state.sequence;
+    if (sequence.scope === 'combined') {
+        sequence.result = result;
+    } else {
+        sequence.items[state.sequenceIndex].result = result;
     }
+    showSequenceItem(state.sequenceIndex, { restartChat: false, prompt });
+}
 
-    html += '</div>';
-    elements.resultContent.innerHTML = html;
+function clearSequence() {
+    state.sequence = null;
+    state.sequenceIndex = 0;
+    renderSequenceNav();
 }
 
-function tryParseJson(text) {
-    if (!text) return null;
-    try {
-        return JSON.parse(text);
-    } catch {
-        // JSONブロックを抽出
-        const match = text.match(/```json\s*([\s\S]*?)\s*```/);
-        if (match) {
-            try {
-                return JSON.parse(match[1]);
-            } catch { }
+function renderSequenceNav() {
+    const { sequenceNav, sequenceNavItems, prevSequenceBtn, nextSequenceBtn, sequenceJsonBtn } = elements;
+    const sequence = state.sequence;
+
+    sequenceNav.hidden = !sequence;
+    sequenceNavItems.innerHTML = '';
+    if (!sequence) return;
+
+    const kind = SEQUENCE_KINDS[sequence.kind];
+    const addButton = (index, status, label, title, thumbnail) => {
+        const button = document.createElement('button');
+        button.dataset.index = String(index);
+        button.className = status;
+        button.classList.toggle('active', index === state.sequenceIndex);
+        button.title = `${title}（${BATCH_STATUS_LABELS[status] || status}）`;
+        if (thumbnail) {
+            const img = document.createElement('img');
+            img.src = thumbnail;
+            img.alt = '';
+            button.appendChild(img);
         }
-        return null;
+        button.append(label);
+        sequenceNavItems.appendChild(button);
+    };
+
+    // 動画はフレームのサムネイルと時刻を並べたタイムラインにする
+    sequence.items.forEach((item, index) => {
+        addButton(index, item.status, kind.label(item), kind.title(item), sequence.kind === 'video' ? item.base64 : null);
+    });
+    if (sequence.summary) {
+        addButton(sequence.items.length, sequence.summary.status, '📋 まとめ', '何が起きたかのまとめ');
+    }
+
+    const lastIndex = sequence.items.length - (sequence.summary ? 0 : 1);
+    prevSequenceBtn.disabled = state.sequenceIndex <= 0;
+    nextSequenceBtn.disabled = state.sequenceIndex >= lastIndex;
+    sequenceJsonBtn.disabled = state.isProcessing;
+    sequenceNavItems.querySelector('.active')?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+// ページ・フレームごとの結果（動画は時刻つき）とまとめをJSONで保存する
+function downloadSequenceJson() {
+    const sequence = state.sequence;
+    if (!sequence) return;
+
+    const kind = SEQUENCE_KINDS[sequence.kind];
+    const combined = sequence.result?.parsedData || tryParseJson(sequence.result?.text);
+    const video = sequence.kind === 'video';
+
+    const payload = {
+        source: sequence.name,
+        kind: sequence.kind,
+        scope: sequence.scope,
+        mode: sequence.mode,
+        prompt: sequence.prompt,
+        model: sequence.model,
+        thinkingLevel: sequence.thinkingLevel,
+        ...(sequence.scope === 'combined' ? { result: combined ?? null } : {}),
+        items: sequence.items.map(item => ({
+            [kind.key]: item.number,
+            ...(video ? { time: item.time, timestamp: formatTimestamp(item.time) } : {}),
+            status: item.status,
+            result: sequence.scope === 'combined'
+                ? sequenceItemData(combined, kind.key, item.number) ?? null
+                : item.result?.parsedData ?? tryParseJson(item.result?.text) ?? null,
+            error: item.error
+        })),
+        ...(sequence.summary ? { summary: timelineExport(sequence.summary) } : {})
+    };
+
+    downloadFile(`${sequence.kind}_${timestampForFilename()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+}
+
+function timelineExport(summary) {
+    const data = summary.result?.parsedData;
+    if (!data) return { status: summary.status, error: summary.error };
+
+    return {
+        status: summary.status,
+        summary: data.summary,
+        events: (Array.isArray(data.events) ? data.events : []).map(event => ({
+            ...event,
+            timestamp: formatTimestamp(event.time),
+            ...(typeof event.end_time === 'number' ? { end_timestamp: formatTimestamp(event.end_time) } : {})
+        }))
+    };
+}
+
+// ========================================
+// 注目領域（ROI）
+// ========================================
+
+// これより小さいドラッグは誤操作とみなす（表示上のピクセル）
+const MIN_REGION_SIZE = 4;
+
+function setupRoi() {
+    const { roiLayer, roiToggleBtn, roiClearBtn } = elements;
+
+    roiToggleBtn.addEventListener('click', () => setRoiMode(!state.roiMode));
+    // 割合での配置に元画像のサイズを使うため、読み込み後に描き直す
+    elements.previewImage.addEventListener('load', renderRegions);
+    roiClearBtn.addEventListener('click', () => {
+        state.regions = [];
+        renderRegions();
+    });
+
+    let start = null;
+    let draft = null;
+
+    roiLayer.addEventListener('pointerdown', (e) => {
+        if (!state.roiMode) return;
+        e.preventDefault();
+
+        roiLayer.setPointerCapture(e.pointerId);
+        start = layerPoint(e);
+        draft = document.createElement('div');
+        draft.className = 'roi-rect is-draft';
+        roiLayer.appendChild(draft);
+    });
+
+    roiLayer.addEventListener('pointermove', (e) => {
+        if (!draft) return;
+        const point = layerPoint(e);
+        Object.assign(draft.style, {
+            left: `${Math.min(start.x, point.x)}px`,
+            top: `${Math.min(start.y, point.y)}px`,
+            width: `${Math.abs(point.x - start.x)}px`,
+            height: `${Math.abs(point.y - start.y)}px`
+        });
+    });
+
+    roiLayer.addEventListener('pointerup', (e) => {
+        if (!draft) return;
+
+        const point = layerPoint(e);
+        draft.remove();
+        draft = null;
+
+        if (Math.abs(point.x - start.x) < MIN_REGION_SIZE || Math.abs(point.y - start.y) < MIN_REGION_SIZE) {
+            renderRegions();
+            return;
+        }
+
+        // 表示サイズから元画像のピクセル座標に変換
+        const scale = elements.previewImage.naturalWidth / roiLayer.clientWidth;
+        state.regions.push({
+            label: '',
+            bbox: [
+                Math.min(start.x, point.x),
+                Math.min(start.y, point.y),
+                Math.max(start.x, point.x),
+                Math.max(start.y, point.y)
+            ].map(v => Math.round(v * scale))
+        });
+        renderRegions();
+    });
+}
+
+function layerPoint(e) {
+    const rect = elements.roiLayer.getBoundingClientRect();
+    return {
+        x: Math.min(Math.max(e.clientX - rect.left, 0), rect.width),
+        y: Math.min(Math.max(e.clientY - rect.top, 0), rect.height)
+    };
+}
+
+function setRoiMode(enabled) {
+    state.roiMode = enabled;
+    elements.roiToggleBtn.classList.toggle('active', enabled);
+    elements.roiToggleBtn.textContent = enabled ? '✅ 選択を終了' : '✂️ 領域を選択';
+    elements.roiHint.hidden = !enabled;
+    renderRegions();
+}
+
+// 通常分析で1枚の画像があるときだけ領域を選択できる（PDFのページ・動画のフレームは対象外）
+function updateRoiSection() {
+    const available = state.mode !== 'compare' && !state.batch && !state.pdf && !state.video && Boolean(state.currentImageBase64);
+    elements.roiSection.hidden = !available;
+
+    if (!available && state.roiMode) setRoiMode(false);
+    else renderRegions();
+}
+
+function renderRegions() {
+    const { roiLayer, roiList, roiClearBtn, previewImage } = elements;
+    const visible = state.mode !== 'compare' && !state.batch && !state.pdf && !state.video;
+
+    roiLayer.hidden = !visible || (!state.roiMode && state.regions.length === 0);
+    roiLayer.classList.toggle('is-drawing', state.roiMode);
+    roiClearBtn.disabled = state.regions.length === 0;
+
+    roiLayer.innerHTML = '';
+    roiList.innerHTML = '';
+
+    const width = previewImage.naturalWidth || 1;
+    const height = previewImage.naturalHeight || 1;
+
+    state.regions.forEach((region, index) => {
+        const [x1, y1, x2, y2] = region.bbox;
+        const name = region.label || `R${index + 1}`;
+
+        const rect = document.createElement('div');
+        rect.className = 'roi-rect';
+        rect.style.left = `${(x1 / width) * 100}%`;
+        rect.style.top = `${(y1 / height) * 100}%`;
+        rect.style.width = `${((x2 - x1) / width) * 100}%`;
+        rect.style.height = `${((y2 - y1) / height) * 100}%`;
+        rect.dataset.label = name;
+        roiLayer.appendChild(rect);
+
+        const li = document.createElement('li');
+        li.innerHTML = `<span class="roi-coords">[${region.bbox.join(', ')}]</span>`;
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = region.label;
+        labelInput.placeholder = `R${index + 1}`;
+        labelInput.addEventListener('input', () => {
+            region.label = labelInput.value.trim();
+            rect.dataset.label = region.label || `R${index + 1}`;
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'roi-remove';
+        removeBtn.title = '削除';
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => {
+            state.regions.splice(index, 1);
+            renderRegions();
+        });
+
+        li.prepend(labelInput);
+        li.appendChild(removeBtn);
+        roiList.appendChild(li);
+    });
+}
+
+// ========================================
+// タブナビゲーション
+// ========================================
+
+function setupTabNavigation() {
+    elements.tabs.forEach(tab => {
+        tab.addEventListener('click', () => activateTab(tab.dataset.tab));
+    });
+}
+
+function activateTab(name) {
+    const targetId = name + 'Tab';
+
+    // タブ状態更新
+    elements.tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === name));
+
+    // パネル表示切替
+    elements.tabPanes.forEach(pane => {
+        pane.classList.toggle('active', pane.id === targetId);
+    });
+}
+
+// ========================================
+// クイックプロンプト・テンプレート
+// ========================================
+
+// サーバーのテンプレートを読み込めない場合は、HTMLの既定のボタンをそのまま使う
+async function setupQuickPrompts() {
+    const { quickPrompts, templateForm, templateFields, cancelTemplateForm, clearTemplateBtn } = elements;
+
+    quickPrompts.addEventListener('click', (e) => {
+        const btn = e.target.closest('.quick-prompt');
+        if (!btn) return;
+
+        const template = state.templates.find(t => t.id === btn.dataset.templateId);
+        if (template) {
+            applyTemplate(template);
+            return;
+        }
+
+        elements.promptInput.value = btn.dataset.prompt;
+        elements.promptInput.focus();
+        clearAppliedTemplate();
+
+        // 専用モードがあるプロンプトはモードも切り替える
+        if (btn.dataset.mode && btn.dataset.mode !== state.mode) {
+            elements.modeSelect.value = btn.dataset.mode;
+            setMode(btn.dataset.mode);
+        }
+    });
+
+    templateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const template = state.templates.find(t => t.id === templateForm.dataset.templateId);
+        if (!template) return;
+
+        const values = Object.fromEntries(
+            [...templateFields.querySelectorAll('input')].map(input => [input.name, input.value.trim()])
+        );
+        templateForm.hidden = true;
+        useTemplate(template, fillTemplate(template.prompt, values));
+    });
+    cancelTemplateForm.addEventListener('click', () => {
+        templateForm.hidden = true;
+    });
+    clearTemplateBtn.addEventListener('click', clearAppliedTemplate);
+
+    try {
+        state.templates = await fetchTemplates();
+        renderQuickPrompts();
+    } catch (error) {
+        console.warn('Failed to load templates:', error);
+    }
+}
+
+function renderQuickPrompts() {
+    elements.quickPrompts.innerHTML = '';
+    for (const template of state.templates) {
+        const btn = document.createElement('button');
+        btn.className = 'quick-prompt';
+        btn.dataset.templateId = template.id;
+        btn.textContent = template.name;
+        btn.title = template.description || template.prompt;
+        elements.quickPrompts.appendChild(btn);
+    }
+}
+
+// 変数があるテンプレートは、入力フォームで値を埋めてから適用する
+function applyTemplate(template) {
+    const fields = templateFields(template);
+    if (fields.length === 0) {
+        elements.templateForm.hidden = true;
+        useTemplate(template, template.prompt);
+        return;
+    }
+
+    const { templateForm, templateFormTitle, templateFields: container } = elements;
+    templateForm.dataset.templateId = template.id;
+    templateFormTitle.textContent = `${template.name} の変数を入力してください`;
+    container.innerHTML = '';
+
+    for (const field of fields) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = field.name;
+        input.value = field.default;
+        input.placeholder = field.name;
+        label.append(field.label, input);
+        container.appendChild(label);
+    }
+
+    templateForm.hidden = false;
+    container.querySelector('input')?.focus();
+}
+
+// プロンプト・モード・思考レベルを設定し、出力スキーマは分析時に送る
+function useTemplate(template, prompt) {
+    elements.promptInput.value = prompt;
+    elements.promptInput.focus();
+
+    if (template.mode && template.mode !== state.mode) {
+        elements.modeSelect.value = template.mode;
+        setMode(template.mode);
+    }
+
+    // 選択中のモデルが対応していない思考レベルは無視する
+    const levels = [...elements.thinkingLevel.options].map(option => option.value);
+    if (template.thinkingLevel && levels.includes(template.thinkingLevel)) {
+        elements.thinkingLevel.value = template.thinkingLevel;
+    }
+
+    state.template = template;
+    elements.templateAppliedName.textContent = `📑 ${template.name}${template.outputSchema ? '（独自スキーマ）' : ''}`;
+    elements.templateApplied.hidden = false;
+}
+
+function clearAppliedTemplate() {
+    state.template = null;
+    elements.templateApplied.hidden = true;
+}
+
+// 適用中のテンプレートの出力スキーマ（通常分析のみ）
+function appliedOutputSchema() {
+    return state.mode === 'analyze' ? state.template?.outputSchema ?? undefined : undefined;
+}
+
+function setupTemplateManager() {
+    const {
+        manageTemplatesBtn, templateModal, closeTemplates, newTemplateBtn, templateEditor,
+        templatePrompt, templateMode, deleteTemplateBtn, importTemplatesBtn, templateFileInput, exportTemplatesBtn
+    } = elements;
+
+    manageTemplatesBtn.addEventListener('click', () => {
+        renderTemplateList();
+        editTemplate(state.templates[0] ?? null);
+        templateModal.showModal();
+    });
+    closeTemplates.addEventListener('click', () => templateModal.close());
+    newTemplateBtn.addEventListener('click', () => editTemplate(null));
+
+    templatePrompt.addEventListener('input', () => renderTemplateVariables());
+    templateMode.addEventListener('change', () => {
+        elements.templateOutputSchema.disabled = templateMode.value !== 'analyze';
+    });
+
+    templateEditor.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await runTemplateAction(async () => {
+            const saved = await saveTemplate(readTemplateEditor());
+            state.templates = await fetchTemplates();
+            if (state.template?.id === saved.id) state.template = saved;
+            renderQuickPrompts();
+            renderTemplateList();
+            editTemplate(saved);
+        });
+    });
+
+    deleteTemplateBtn.addEventListener('click', async () => {
+        const template = state.templates.find(t => t.id === state.editingTemplateId);
+        if (!template || !confirm(`テンプレート「${template.name}」を削除しますか？`)) return;
+
+        await runTemplateAction(async () => {
+            await deleteTemplate(template.id);
+            state.templates = state.templates.filter(t => t.id !== template.id);
+            if (state.template?.id === template.id) clearAppliedTemplate();
+            renderQuickPrompts();
+            renderTemplateList();
+            editTemplate(state.templates[0] ?? null);
+        });
+    });
+
+    exportTemplatesBtn.addEventListener('click', async () => {
+        await runTemplateAction(async () => {
+            downloadFile('templates.json', await exportTemplates());
+        });
+    });
+
+    importTemplatesBtn.addEventListener('click', () => templateFileInput.click());
+    templateFileInput.addEventListener('change', async () => {
+        const file = templateFileInput.files?.[0];
+        templateFileInput.value = '';
+        if (!file) return;
+
+        await runTemplateAction(async () => {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch {
+                throw new Error('JSONファイルを読み込めませんでした');
+            }
+            const { imported, templates } = await importTemplates(data);
+            state.templates = templates;
+            renderQuickPrompts();
+            renderTemplateList();
+            editTemplate(state.templates[0] ?? null);
+            alert(`${imported}件のテンプレートを取り込みました`);
+        });
+    });
+}
+
+// エラーはエディタの下に表示する
+async function runTemplateAction(action) {
+    elements.templateEditorError.hidden = true;
+    try {
+        await action();
+    } catch (error) {
+        elements.templateEditorError.textContent = `⚠️ ${error.message}`;
+        elements.templateEditorError.hidden = false;
+    }
+}
+
+function renderTemplateList() {
+    const { templateList } = elements;
+    templateList.innerHTML = '';
+
+    state.templates.forEach((template, index) => {
+        const item = document.createElement('li');
+        item.className = 'template-item';
+        item.classList.toggle('is-active', template.id === state.editingTemplateId);
+        item.innerHTML = `
+          <button class="template-item-name"></button>
+          <span class="template-item-mode">${escapeHtml(MODE_LABELS[template.mode] || template.mode)}</span>
+          <button class="template-move" data-move="-1" title="上へ" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="template-move" data-move="1" title="下へ" ${index === state.templates.length - 1 ? 'disabled' : ''}>↓</button>
+        `;
+        item.querySelector('.template-item-name').textContent = template.name;
+        item.querySelector('.template-item-name').addEventListener('click', () => editTemplate(template));
+
+        for (const button of item.querySelectorAll('[data-move]')) {
+            button.addEventListener('click', () => moveTemplate(index, Number(button.dataset.move)));
+        }
+        templateList.appendChild(item);
+    });
+}
+
+async function moveTemplate(index, offset) {
+    const ids = state.templates.map(template => template.id);
+    const [id] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, id);
+
+    await runTemplateAction(async () => {
+        state.templates = await reorderTemplates(ids);
+        renderQuickPrompts();
+        renderTemplateList();
+    });
+}
+
+function editTemplate(template) {
+    const {
+        templateName, templateDescription, templateMode, templateThinkingLevel,
+        templatePrompt, templateOutputSchema, deleteTemplateBtn, templateEditorError
+    } = elements;
+
+    state.editingTemplateId = template?.id ?? null;
+    templateName.value = template?.name ?? '';
+    templateDescription.value = template?.description ?? '';
+    templateMode.value = template?.mode ?? 'analyze';
+    templateThinkingLevel.value = template?.thinkingLevel ?? '';
+    templatePrompt.value = template?.prompt ?? '';
+    templateOutputSchema.value = template?.outputSchema ? JSON.stringify(template.outputSchema, null, 2) : '';
+    templateOutputSchema.disabled = templateMode.value !== 'analyze';
+    deleteTemplateBtn.disabled = !template;
+    templateEditorError.hidden = true;
+
+    renderTemplateVariables(template?.variables ?? []);
+    elements.templateList.querySelectorAll('.template-item').forEach((item, index) => {
+        item.classList.toggle('is-active', state.templates[index]?.id === state.editingTemplateId);
+    });
+}
+
+// プロンプト中の変数ごとに、入力フォームのラベルと既定値を編集する欄
+function renderTemplateVariables(definitions = readTemplateVariables()) {
+    const { templateVariables, templatePrompt } = elements;
+    const byName = new Map(definitions.map(variable => [variable.name, variable]));
+
+    templateVariables.innerHTML = '';
+    for (const name of extractVariables(templatePrompt.value)) {
+        const row = document.createElement('div');
+        row.className = 'template-variable';
+        row.dataset.name = name;
+        row.innerHTML = `
+          <code>{{${escapeHtml(name)}}}</code>
+          <input type="text" data-field="label" placeholder="ラベル">
+          <input type="text" data-field="default" placeholder="既定値">
+        `;
+        row.querySelector('[data-field="label"]').value = byName.get(name)?.label ?? '';
+        row.querySelector('[data-field="default"]').value = byName.get(name)?.default ?? '';
+        templateVariables.appendChild(row);
+    }
+}
+
+function readTemplateVariables() {
+    return [...elements.templateVariables.querySelectorAll('.template-variable')].map(row => ({
+        name: row.dataset.name,
+        label: row.querySelector('[data-field="label"]').value.trim(),
+        default: row.querySelector('[data-field="default"]').value.trim()
+    }));
+}
+
+function readTemplateEditor() {
+    const { templateName, templateDescription, templateMode, templateThinkingLevel, templatePrompt, templateOutputSchema } = elements;
+
+    let outputSchema = null;
+    if (templateMode.value === 'analyze' && templateOutputSchema.value.trim()) {
+        try {
+            outputSchema = JSON.parse(templateOutputSchema.value);
+        } catch {
+            throw new Error('出力スキーマはJSONで入力してください');
+        }
+    }
+
+    return {
+        id: state.editingTemplateId ?? undefined,
+        name: templateName.value.trim(),
+        description: templateDescription.value.trim(),
+        mode: templateMode.value,
+        thinkingLevel: templateThinkingLevel.value || null,
+        prompt: templatePrompt.value.trim(),
+        outputSchema,
+        variables: readTemplateVariables()
+    };
+}
+
+// ========================================
+// モデル・思考レベル
+// ========================================
+
+async function setupModelOptions() {
+    elements.modelSelect.addEventListener('change', () => {
+        renderThinkingLevels(elements.modelSelect.value);
+    });
+
+    try {
+        const response = await fetch('/api/models');
+        if (!response.ok) throw new Error(`API Error: ${response.status}`);
+
+        const { defaultModel, models } = await response.json();
+        state.models = models;
+
+        elements.modelSelect.innerHTML = '';
+        for (const model of models) {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.label;
+            option.title = model.description || '';
+            option.selected = model.id === defaultModel;
+            elements.modelSelect.appendChild(option);
+        }
+
+        renderThinkingLevels(elements.modelSelect.value);
+    } catch (error) {
+        // 取得できない場合はHTMLの既定の選択肢をそのまま使う
+        console.warn('Failed to load models:', error);
+    }
+}
+
+function renderThinkingLevels(modelId) {
+    const model = state.models.find(m => m.id === modelId);
+    if (!model) return;
+
+    const current = elements.thinkingLevel.value;
+    const levels = model.thinkingLevels;
+    const selected = levels.some(level => level.id === current) ? current : model.defaultThinkingLevel;
+
+    elements.thinkingLevel.innerHTML = '';
+    for (const level of levels) {
+        const option = document.createElement('option');
+        option.value = level.id;
+        option.textContent = level.label;
+        option.selected = level.id === selected;
+        elements.thinkingLevel.appendChild(option);
+    }
+}
+
+// ========================================
+// 設定モーダル
+// ========================================
+
+function setupSettingsModal() {
+    const { settingsBtn, settingsModal, closeSettings, saveSettings, apiTokenInput, geminiKeyInput, testGeminiKeyBtn } = elements;
+
+    settingsBtn.addEventListener('click', () => {
+        settingsModal.showModal();
+    });
+
+    closeSettings.addEventListener('click', () => {
+        settingsModal.close();
+    });
+
+    saveSettings.addEventListener('click', () => {
+        saveApiToken(apiTokenInput.value.trim());
+        saveGeminiKey(geminiKeyInput.value.trim());
+        settingsModal.close();
+    });
+
+    testGeminiKeyBtn.addEventListener('click', testGeminiKey);
+
+    // 保存済みのAPIトークン・Gemini API キーを読み込み
+    apiTokenInput.value = loadApiToken();
+    geminiKeyInput.value = loadGeminiKey();
+}
+
+// 入力中のキー（保存前でもよい）で Gemini API を呼べるか確かめる。空欄ならサーバーのキーを確かめる
+async function testGeminiKey() {
+    const { apiTokenInput, geminiKeyInput, testGeminiKeyBtn, geminiKeyStatus } = elements;
+    const key = geminiKeyInput.value.trim();
+
+    testGeminiKeyBtn.disabled = true;
+    geminiKeyStatus.className = 'hint';
+    geminiKeyStatus.textContent = '確認中...';
+
+    try {
+        const token = apiTokenInput.value.trim();
+        const response = await fetch('/api/gemini-key/test', {
+            method: 'POST',
+            headers: { ...geminiHeaders(key), ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(apiErrorMessage(result, response.status));
+
+        geminiKeyStatus.className = `hint ${result.valid ? 'valid' : 'invalid'}`;
+        geminiKeyStatus.textContent = result.valid
+            ? `✅ ${billingLabel(result.billing)}で Gemini API を使えます`
+            : `❌ ${result.error}`;
+    } catch (error) {
+        geminiKeyStatus.className = 'hint invalid';
+        geminiKeyStatus.textContent = `❌ ${error.message}`;
+    } finally {
+        testGeminiKeyBtn.disabled = false;
+    }
+}
+
+function billingLabel(billing) {
+    return billing?.key === 'user' ? `あなたの API キー（${billing.hint}）` : 'サーバーの API キー';
+}
+
+// ========================================
+// 分析実行
+// ========================================
+
+function setupAnalyzeButton() {
+    elements.analyzeBtn.addEventListener('click', () => analyzeImage());
+    elements.cancelBtn.addEventListener('click', cancelAnalysis);
+}
+
+// リクエストごとにIDとAbortControllerを用意（IDはサーバー側のキャンセルにも使う）
+// bypassCache はサーバーのキャッシュを使わずに分析する（Cache-Control: no-cache）
+function beginRequest({ bypassCache = false } = {}) {
+    state.activeRequest = {
+        id: crypto.randomUUID(),
+        controller: new AbortController(),
+        bypassCache
+    };
+    elements.cancelBtn.hidden = false;
+    elements.cancelBtn.disabled = false;
+    return state.activeRequest;
+}
+
+function endRequest() {
+    state.activeRequest = null;
+    elements.cancelBtn.hidden = true;
+}
+
+function cancelAnalysis() {
+    const request = state.activeRequest;
+    if (!request) return;
+
+    elements.cancelBtn.disabled = true;
+    addProgressLog('⏹ キャンセル中...');
+
+    // 接続を切ればサーバーも上流の生成を中断するが、念のため明示的にも通知する
+    request.controller.abort();
+    fetch(`/api/vision/${encodeURIComponent(request.id)}`, { method: 'DELETE', headers: authHeaders() }).catch(() => { });
+}
+
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// サーバーが座標を元画像に戻せるよう、前処理の縮小率とサイズを送る
+function describePreprocess(info) {
+    if (!info) return undefined;
+
+    const { scale, width, height, originalWidth, originalHeight, mimeType } = info;
+    return { scale, width, height, originalWidth, originalHeight, mimeType };
+}
+
+const DEFAULT_PROMPTS = {
+    analyze: 'この画像を分析してください',
+    compare: 'これらの画像の違いを比較してください',
+    ocr: '画像内のテキストをすべて抽出してください',
+    table: '画像内の表をすべて抽出してください'
+};
+
+async function analyzeImage({ bypassCache = false } = {}) {
+    const comparing = state.mode === 'compare';
+    if (!comparing && state.batch) return analyzeBatch();
+    if (!comparing && state.pdf) return analyzePdf();
+    if (!comparing && state.video) return analyzeVideo();
+
+    const compareImages = comparing ? readyCompareSlots() : [];
+    if (comparing ? compareImages.length < 2 : !state.currentImageBase64) return;
+
+    const prompt = elements.promptInput.value.trim() || DEFAULT_PROMPTS[state.mode];
+    const streaming = elements.streamingToggle.checked;
+    const model = elements.modelSelect.value;
+    const thinkingLevel = elements.thinkingLevel.value;
+
+    // UI状態更新
+    state.isProcessing = true;
+    elements.analyzeBtn.classList.add('loading');
+    elements.analyzeBtn.disabled = true;
+    elements.progressSection.hidden = false;
+    elements.progressFill.style.width = '0%';
+    elements.progressLog.innerHTML = '';
+
+    // 結果エリアとフォローアップをクリア
+    elements.resultContent.innerHTML = '<div class="placeholder"><span>⏳</span><p>分析中...</p></div>';
+    resetChat();
+    clearSequence();
+
+    const request = beginRequest({ bypassCache });
+
+    try {
+        const body = comparing
+            ? {
+                mode: 'compare',
+                images: compareImages.map(slot => ({ label: slot.label, imageBase64: slot.base64 })),
+                prompt,
+                model,
+                thinkingLevel
+            }
+            : {
+                mode: state.mode,
+                imageBase64: state.currentImageBase64,
+                regions: state.regions.length > 0 ? state.regions : undefined,
+                preprocess: describePreprocess(state.currentImageInfo),
+                outputSchema: appliedOutputSchema(),
+                prompt,
+                model,
+                thinkingLevel
+            };
+
+        // 結果の領域表示に使うため、送信時点の画像を保持
+        state.comparedImages = comparing ? compareImages.map(slot => ({ ...slot })) : [];
+        state.analyzedImage = comparing ? null : state.currentImageBase64;
+
+        const result = streaming
+            ? await analyzeWithStreaming('/api/vision', body, request)
+            : await analyzeWithoutStreaming('/api/vision', body, request);
+
+        processResult(result, { prompt });
+        startChat(result);
+
+        recordHistory({
+            mode: state.mode,
+            prompt,
+            model,
+            thinkingLevel,
+            images: comparing
+                ? state.comparedImages
+                : [{
+                    label: state.currentImage?.name || 'image',
+                    base64: state.currentImageBase64,
+                    info: state.currentImageInfo
+                }],
+            regions: comparing ? [] : state.regions,
+            result
+        });
+    } catch (error) {
+        if (isAbortError(error)) {
+            showCancelled();
+        } else {
+            console.error('Analysis error:', error);
+            showError(error.message);
+        }
+    } finally {
+        endRequest();
+        state.isProcessing = false;
+        elements.analyzeBtn.classList.remove('loading');
+        elements.analyzeBtn.disabled = false;
+        elements.progressFill.style.width = '100%';
+    }
+}
+
+async function analyzeWithStreaming(url, body, request) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: requestHeaders(request),
+        body: JSON.stringify({ ...body, streaming: true }),
+        signal: request.controller.signal
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(apiErrorMessage(error, response.status));
+    }
+
+    let finalResult = null;
+    let progress = 0;
+
+    // イベント形式はサーバーの lib/event-stream.js を参照
+    await readEventStream(response, ({ event, data }) => {
+        switch (event) {
+            case 'start':
+                if (data.cached) addProgressLog('💾 キャッシュした結果を表示します');
+                break;
+            case 'queue':
+                addProgressLog(`⏳ Gemini API の順番待ち中... (${data.position}番目)`);
+                break;
+            case 'retry':
+                addProgressLog(`🔁 Gemini API の一時的なエラー (${data.status ?? '接続エラー'})。${Math.ceil(data.delayMs / 1000)}秒後に再試行します (${data.attempt}/${data.maxRetries})`);
+                break;
+            case 'text':
+                progress = Math.min(progress + 5, 90);
+                elements.progressFill.style.width = `${progress}%`;
+                break;
+            case 'code':
+                addProgressLog(`🔧 Pythonコード実行中... (#${data.index + 1})`);
+                break;
+            case 'code_result':
+                addProgressLog(data.outcome === 'OUTCOME_OK'
+                    ? `✅ 処理完了 (#${data.index + 1})`
+                    : `⚠️ 実行エラー (#${data.index + 1}): ${data.outcome}`);
+                break;
+            case 'error':
+                if (data.cancelled) {
+                    throw new DOMException(data.message, 'AbortError');
+                }
+                throw new Error(apiErrorMessage(data));
+            case 'final':
+                finalResult = data;
+                break;
+        }
+    });
+
+    if (!finalResult) {
+        throw new Error('ストリームが途中で終了しました');
+    }
+
+    return finalResult;
+}
+
+/**
+ * API のエラー（レスポンスの JSON または error イベント）の表示
+ * 401 にはトークンの設定を、利用上限などで返る retryAfter（秒）には再試行できるまでの目安を添える
+ */
+function apiErrorMessage(body, status) {
+    const message = body.error || body.message || `API Error: ${status}`;
+    if (status === 401) return `${message}。⚙️ 設定で APIトークンを入力してください`;
+    return body.retryAfter ? `${message}（${body.retryAfter}秒後から再試行できます）` : message;
+}
+
+/**
+ * SSEレスポンスを読み取り、イベントごとにコールバックを呼ぶ
+ * ネットワークのチャンク境界をまたぐイベントはバッファして結合する
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        let event = 'message';
+        let id = null;
+        const dataLines = [];
+
+        for (const rawLine of block.split('\n')) {
+            const line = rawLine.replace(/\r$/, '');
+            if (!line || line.startsWith(':')) continue;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            if (field === 'event') event = value;
+            else if (field === 'data') dataLines.push(value);
+            else if (field === 'id') id = value;
+        }
+
+        if (dataLines.length === 0) return;
+        onEvent({ event, id, data: JSON.parse(dataLines.join('\n')) });
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+
+            // 空行で区切られた完全なイベントだけを処理し、残りは次のチャンクへ持ち越す
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                dispatch(block);
+            }
+
+            if (done) break;
+        }
+
+        if (buffer.trim()) {
+            dispatch(buffer);
+        }
+    } catch (error) {
+        reader.cancel().catch(() => { });
+        throw error;
+    }
+}
+
+async function analyzeWithoutStreaming(url, body, request) {
+    addProgressLog('🚀 分析リクエスト送信...');
+    elements.progressFill.style.width = '30%';
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: requestHeaders(request),
+        body: JSON.stringify({ ...body, streaming: false }),
+        signal: request.controller.signal
+    });
+
+    elements.progressFill.style.width = '60%';
+    addProgressLog('📊 レスポンス受信...');
+
+    if (!response.ok) {
+        const error = await response.json();
+        if (error.cancelled) {
+            throw new DOMException(error.error, 'AbortError');
+        }
+        throw new Error(apiErrorMessage(error, response.status));
+    }
+
+    const result = await response.json();
+    elements.progressFill.style.width = '90%';
+    if (result.cached) addProgressLog('💾 キャッシュした結果を表示します');
+
+    return result;
+}
+
+function requestHeaders(request) {
+    return {
+        ...geminiHeaders(),
+        'Content-Type': 'application/json',
+        'X-Request-Id': request.id,
+        ...(request.bypassCache ? { 'Cache-Control': 'no-cache' } : {})
+    };
+}
+
+// position はまとめて分析したPDF・動画で表示中のページ・フレーム（表のセルのハイライトをそこに限る）
+function processResult(result, { prompt, position } = {}) {
+    state.lastResult = result;
+    state.lastPrompt = prompt ?? null;
+    elements.copyResultBtn.disabled = false;
+    elements.exportBtn.disabled = false;
+
+    clearResultTabs();
+
+    // 生データ表示
+    elements.rawContent.querySelector('code').textContent = JSON.stringify(result, null, 2);
+
+    // コード表示（実行結果があれば対応付けて表示）
+    if (result.executions?.length > 0) {
+        elements.codeContent.querySelector('code').textContent = result.executions
+            .map(({ code, outcome, output }) => {
+                const resultText = outcome ? `\n\n# >>> ${outcome}\n${(output || '').replace(/^/gm, '# ')}` : '';
+                return `${code || '# (コードなし)'}${resultText}`;
+            })
+            .join('\n\n# ---\n\n');
+    } else if (result.code?.length > 0) {
+        elements.codeContent.querySelector('code').textContent = result.code.join('\n\n# ---\n\n');
+    }
+
+    // メイン結果表示
+    const parsedData = result.parsedData || tryParseJson(result.text);
+
+    if (parsedData) {
+        if (result.mode === 'compare') {
+            displayCompareResult(parsedData);
+        } else if (result.mode === 'ocr') {
+            displayOcrResult(parsedData);
+        } else if (result.mode === 'table') {
+            displayTableResult(parsedData, { position });
+        } else if (result.mode === 'timeline') {
+            displayTimelineResult(parsedData);
+        } else {
+            displayParsedResult(parsedData);
+        }
+
+        if (result.schemaValid === false) {
+            displaySchemaWarning(result.validationErrors);
+        }
+        if (result.cached) {
+            displayCacheNotice(result);
+        }
+        if (result.billing) {
+            displayBillingNotice(result.billing);
+        }
+
+        // 処理画像があれば表示
+        if (parsedData.processed_image_base64 || parsedData.result_image_base64 || parsedData.annotated_base64) {
+            const imageBase64 = parsedData.processed_image_base64 || parsedData.result_image_base64 || parsedData.annotated_base64;
+            elements.processedImage.src = `data:image/png;base64,${imageBase64}`;
+            elements.processedImage.classList.add('visible');
+        }
+    } else {
+        elements.resultContent.innerHTML = `<div class="result-analysis"><p>${escapeHtml(result.text || 'No result')}</p></div>`;
+    }
+}
+
+// 前の結果の処理画像・コード・生データを残さない
+function clearResultTabs() {
+    elements.processedImage.removeAttribute('src');
+    elements.processedImage.classList.remove('visible');
+    elements.codeContent.querySelector('code').textContent = '// 実行されたPythonコードがここに表示されます';
+    elements.rawContent.querySelector('code').textContent = '{}';
+}
+
+// ========================================
+// バッチ分析
+// ========================================
+
+const BATCH_STATUS_LABELS = {
+    queued: '待機中',
+    running: '分析中',
+    done: '完了',
+    error: 'エラー',
+    cancelled: 'キャンセル'
+};
+
+function setupBatch() {
+    elements.batchJsonBtn.addEventListener('click', downloadBatchJson);
+    elements.batchCsvBtn.addEventListener('click', downloadBatchCsv);
+}
+
+function handleBatchFiles(files) {
+    clearBatchFiles();
+    clearPdf();
+    clearVideo();
+
+    state.currentImage = null;
+    state.currentImageBase64 = null;
+    state.batch = {
+        items: files.map((file, index) => ({
+            index,
+            file,
+            name: file.name || `image-${index + 1}`,
+            thumbUrl: URL.createObjectURL(file),
+            status: 'queued'
+        })),
+        summary: null
+    };
+
+    elements.batchThumbs.innerHTML = '';
+    for (const item of state.batch.items) {
+        const img = document.createElement('img');
+        img.src = item.thumbUrl;
+        img.alt = item.name;
+        img.title = item.name;
+        elements.batchThumbs.appendChild(img);
+    }
+
+    elements.batchThumbs.hidden = false;
+    elements.dropZone.classList.add('has-image', 'is-batch');
+    elements.batchTabBtn.hidden = false;
+    elements.analyzeBtn.disabled = false;
+
+    renderImageInfo();
+    updateRoiSection();
+    renderBatchResults();
+}
+
+function clearBatchFiles() {
+    if (!state.batch) return;
+
+    for (const item of state.batch.items) {
+        URL.revokeObjectURL(item.thumbUrl);
+    }
+    state.batch = null;
+
+    elements.batchThumbs.hidden = true;
+    elements.batchThumbs.innerHTML = '';
+    elements.dropZone.classList.remove('is-batch');
+    elements.batchTabBtn.hidden = true;
+    elements.batchResults.innerHTML = '';
+}
+
+async function analyzeBatch() {
+    const batch = state.batch;
+    const prompt = elements.promptInput.value.trim() || 'この画像を分析してください';
+    const streaming = elements.streamingToggle.checked;
+
+    state.isProcessing = true;
+    elements.analyzeBtn.classList.add('loading');
+    elements.analyzeBtn.disabled = true;
+    elements.progressSection.hidden = false;
+    elements.progressFill.style.width = '0%';
+    elements.progressLog.innerHTML = '';
+    resetChat();
+    clearSequence();
+
+    for (const item of batch.items) {
+        item.status = 'queued';
+        delete item.result;
+        delete item.error;
+        delete item.recorded;
+    }
+    batch.summary = null;
+    batch.request = {
+        prompt,
+        model: elements.modelSelect.value,
+        thinkingLevel: elements.thinkingLevel.value
+    };
+    renderBatchResults();
+    activateTab('batch');
+
+    const formData = new FormData();
+    for (const item of batch.items) {
+        formData.append('images', item.file, item.name);
+    }
+    formData.append('prompt', prompt);
+    formData.append('model', batch.request.model);
+    formData.append('thinkingLevel', batch.request.thinkingLevel);
+    if (appliedOutputSchema()) {
+        formData.append('outputSchema', JSON.stringify(appliedOutputSchema()));
+    }
+    formData.append('streaming', String(streaming));
+
+    const request = beginRequest();
+    addProgressLog(`🚀 ${batch.items.length}枚のバッチ分析を開始...`);
+
+    try {
+        const response = await fetch('/api/vision/batch', {
+            method: 'POST',
+            headers: { ...geminiHeaders(), 'X-Request-Id': request.id },
+            body: formData,
+            signal: request.controller.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(apiErrorMessage(error, response.status));
+        }
+
+        if (streaming) {
+            await readEventStream(response, ({ event, data }) => {
+                if (event === 'item') updateBatchItem(data);
+                if (event === 'final') applyBatchSummary(data);
+                if (event === 'error') throw new Error(data.message);
+            });
+        } else {
+            applyBatchSummary(await response.json());
+        }
+
+        addProgressLog(`✅ バッチ分析完了 (${batch.summary?.completed ?? 0} / ${batch.items.length})`);
+    } catch (error) {
+        if (isAbortError(error)) {
+            addProgressLog('⏹ キャンセルしました');
+        } else {
+            console.error('Batch error:', error);
+            addProgressLog(`❌ ${error.message}`);
+        }
+    } finally {
+        endRequest();
+        state.isProcessing = false;
+        elements.analyzeBtn.classList.remove('loading');
+        elements.analyzeBtn.disabled = false;
+        elements.progressFill.style.width = '100%';
+        renderBatchResults();
+    }
+}
+
+function updateBatchItem(data) {
+    const item = state.batch?.items[data.index];
+    if (!item) return;
+
+    item.status = data.status;
+    item.result = data.result;
+    item.error = data.error;
+
+    // 完了した項目は1件ずつ履歴に残す（final でも同じ項目が届くため1回だけ）
+    if (item.result && !item.recorded) {
+        item.recorded = true;
+        readFileAsDataUrl(item.file).then(base64 => recordHistory({
+            ...state.batch.request,
+            images: [{ label: item.name, base64 }],
+            result: item.result
+        })).catch(error => console.warn('Failed to read batch image:', error));
+    }
+
+    const finished = state.batch.items.filter(i => ['done', 'error', 'cancelled'].includes(i.status)).length;
+    elements.progressFill.style.width = `${Math.round(finished / state.batch.items.length * 100)}%`;
+
+    renderBatchResults();
+}
+
+function applyBatchSummary(summary) {
+    if (!state.batch) return;
+
+    state.batch.summary = summary;
+    for (const data of summary.items) {
+        updateBatchItem(data);
+    }
+}
+
+function renderBatchResults() {
+    const batch = state.batch;
+    if (!batch) return;
+
+    const finished = batch.items.filter(i => ['done', 'error', 'cancelled'].includes(i.status)).length;
+    elements.batchCounter.textContent = `${finished} / ${batch.items.length} 完了`;
+
+    const hasResults = batch.items.some(i => i.result);
+    elements.batchJsonBtn.disabled = !hasResults;
+    elements.batchCsvBtn.disabled = !hasResults;
+
+    elements.batchResults.innerHTML = '';
+    for (const item of batch.items) {
+        const card = document.createElement('div');
+        card.className = 'batch-card';
+
+        const parsedData = item.result?.parsedData;
+        const summary = item.error || parsedData?.summary || parsedData?.analysis || item.result?.text || '';
+
+        card.innerHTML = `
+          <img src="${item.thumbUrl}" alt="">
+          <span class="batch-card-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+          <span class="batch-status ${item.status}">${BATCH_STATUS_LABELS[item.status] || item.status}</span>
+          <span class="batch-card-summary">${escapeHtml(summary)}</span>
+        `;
+
+        // 完了した項目は通常の結果タブで詳細表示
+        if (item.result) {
+            card.addEventListener('click', () => {
+                clearSequence();
+                state.analyzedImage = item.thumbUrl;
+                processResult(item.result, { prompt: state.batch.request?.prompt });
+                activateTab('result');
+            });
+        }
+
+        elements.batchResults.appendChild(card);
+    }
+}
+
+function downloadBatchJson() {
+    const batch = state.batch;
+    if (!batch) return;
+
+    const payload = batch.summary || {
+        items: batch.items.map(({ index, name, status, result, error }) => ({ index, name, status, result, error }))
+    };
+    downloadFile(`batch_${timestampForFilename()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+}
+
+function downloadBatchCsv() {
+    const batch = state.batch;
+    if (!batch) return;
+
+    const rows = [['index', 'name', 'status', 'summary', 'analysis', 'detections', 'confidence', 'schemaValid', 'error']];
+    for (const item of batch.items) {
+        const data = item.result?.parsedData;
+        rows.push([
+            item.index + 1,
+            item.name,
+            item.status,
+            data?.summary,
+            data?.analysis,
+            data?.metadata?.detections?.length,
+            data?.metadata?.confidence,
+            item.result?.schemaValid,
+            item.error
+        ]);
+    }
+
+    // Excelで文字化けしないようBOMを付ける
+    downloadFile(`batch_${timestampForFilename()}.csv`, '\ufeff' + toDelimited(rows), 'text/csv');
+}
+
+// ========================================
+// 比較モード
+// ========================================
+
+const DEFAULT_COMPARE_LABELS = ['Before', 'After'];
+
+function setupCompare() {
+    const { modeSelect, addCompareSlotBtn, compareFileInput } = elements;
+
+    modeSelect.addEventListener('change', () => setMode(modeSelect.value));
+    addCompareSlotBtn.addEventListener('click', () => addCompareSlot());
+
+    compareFileInput.addEventListener('change', (e) => {
+        const file = e.target.files?.[0];
+        if (file) handleCompareFile(state.compareTarget, file);
+        compareFileInput.value = '';
+    });
+
+    for (const label of DEFAULT_COMPARE_LABELS) {
+        state.compareSlots.push(createCompareSlot(label));
+    }
+    renderCompareSlots();
+}
+
+function setMode(mode) {
+    state.mode = mode;
+
+    const comparing = mode === 'compare';
+    elements.dropZone.hidden = comparing;
+    elements.compareZone.hidden = !comparing;
+    renderImageInfo();
+    updatePdfSection();
+    updateVideoSection();
+    updateRoiSection();
+
+    updateAnalyzeButton();
+}
+
+function updateAnalyzeButton() {
+    elements.analyzeBtn.disabled = state.isProcessing || (state.mode === 'compare'
+        ? readyCompareSlots().length < 2
+        : !state.currentImageBase64 && !state.batch);
+}
+
+function createCompareSlot(label) {
+    return { label, base64: null, width: 0, height: 0 };
+}
+
+function addCompareSlot() {
+    const label = String.fromCharCode(65 + state.compareSlots.length);
+    state.compareSlots.push(createCompareSlot(label));
+    renderCompareSlots();
+}
+
+function removeCompareSlot(index) {
+    state.compareSlots.splice(index, 1);
+    renderCompareSlots();
+    updateAnalyzeButton();
+}
+
+function readyCompareSlots() {
+    return state.compareSlots.filter(slot => slot.base64);
+}
+
+function firstEmptyCompareSlot() {
+    const index = state.compareSlots.findIndex(slot => !slot.base64);
+    if (index !== -1) return index;
+
+    addCompareSlot();
+    return state.compareSlots.length - 1;
+}
+
+async function handleCompareFile(index, file) {
+    if (!file.type.startsWith('image/')) return;
+
+    try {
+        // bbox を割合に変換するため送信画像のサイズを控えておく
+        const { dataUrl, width, height } = await preprocessImage(file, state.preprocessOptions);
+        Object.assign(state.compareSlots[index], { base64: dataUrl, width, height });
+        renderCompareSlots();
+        updateAnalyzeButton();
+    } catch (error) {
+        console.error('Preprocess error:', error);
+    }
+}
+
+function renderCompareSlots() {
+    const { compareSlots } = elements;
+    compareSlots.innerHTML = '';
+
+    state.compareSlots.forEach((slot, index) => {
+        const card = document.createElement('div');
+        card.className = 'compare-slot';
+
+        const drop = document.createElement('div');
+        drop.className = `compare-drop${slot.base64 ? ' has-image' : ''}`;
+        drop.innerHTML = slot.base64
+            ? `<img src="${slot.base64}" alt="${escapeHtml(slot.label)}">`
+            : '<span>📷</span><p>クリックまたはドロップ</p>';
+
+        drop.addEventListener('click', () => {
+            state.compareTarget = index;
+            elements.compareFileInput.click();
+        });
+        drop.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            drop.classList.add('dragover');
+        });
+        drop.addEventListener('dragleave', () => drop.classList.remove('dragover'));
+        drop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            drop.classList.remove('dragover');
+            const file = e.dataTransfer.files?.[0];
+            if (file) handleCompareFile(index, file);
+        });
+
+        const footer = document.createElement('div');
+        footer.className = 'compare-slot-footer';
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = slot.label;
+        labelInput.placeholder = 'ラベル';
+        labelInput.addEventListener('input', () => {
+            slot.label = labelInput.value.trim() || String.fromCharCode(65 + index);
+        });
+        footer.appendChild(labelInput);
+
+        // 2枚未満にはしない
+        if (state.compareSlots.length > 2) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn-icon';
+            removeBtn.title = '削除';
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', () => removeCompareSlot(index));
+            footer.appendChild(removeBtn);
+        }
+
+        card.append(drop, footer);
+        compareSlots.appendChild(card);
+    });
+}
+
+const CHANGE_TYPE_LABELS = {
+    added: '追加',
+    removed: '削除',
+    modified: '変更',
+    moved: '移動'
+};
+
+function displayCompareResult(data) {
+    let html = '<div class="result-analysis">';
+
+    const similarity = typeof data.similarity === 'number'
+        ? ` <span class="compare-similarity">類似度 ${(data.similarity * 100).toFixed(1)}%</span>`
+        : '';
+    html += `<p><span class="compare-match ${data.match ? 'match' : 'mismatch'}">${data.match ? '✅ 一致' : '⚠️ 差分あり'}</span>${similarity}</p>`;
+
+    if (data.summary) {
+        html += `<h3>📝 要約</h3><p>${escapeHtml(data.summary)}</p>`;
+    }
+
+    const changes = Array.isArray(data.changes) ? data.changes : [];
+    if (changes.length > 0) {
+        html += '<h3>🔀 変更点</h3><ol class="compare-changes">';
+        changes.forEach((change) => {
+            const severity = change.severity ? `<span class="severity ${escapeHtml(change.severity)}">${escapeHtml(change.severity)}</span>` : '';
+            html += `<li><span class="change-type">${escapeHtml(CHANGE_TYPE_LABELS[change.type] || change.type || '')}</span>${severity} ${escapeHtml(change.description || '')}</li>`;
+        });
+        html += '</ol>';
+    }
+
+    html += '</div>';
+    elements.resultContent.innerHTML = html;
+
+    if (state.comparedImages.length > 0) {
+        elements.resultContent.appendChild(renderCompareImages(state.comparedImages, changes));
+    }
+}
+
+// 各画像の上に変更領域を重ねる（bbox は元画像のピクセル座標なので割合に変換）
+function renderCompareImages(images, changes) {
+    const container = document.createElement('div');
+    container.className = 'compare-images';
+
+    for (const image of images) {
+        const figure = document.createElement('figure');
+        figure.className = 'compare-figure';
+
+        const frame = document.createElement('div');
+        frame.className = 'compare-frame';
+
+        const img = document.createElement('img');
+        img.src = image.base64;
+        img.alt = image.label;
+        frame.appendChild(img);
+
+        changes.forEach((change, changeIndex) => {
+            for (const region of change.regions || []) {
+                if (region.image !== image.label || !Array.isArray(region.bbox) || !image.width) continue;
+
+                const [x1, y1, x2, y2] = region.bbox;
+                const box = document.createElement('div');
+                box.className = `compare-region ${change.type || ''}`;
+                box.style.left = `${(x1 / image.width) * 100}%`;
+                box.style.top = `${(y1 / image.height) * 100}%`;
+                box.style.width = `${((x2 - x1) / image.width) * 100}%`;
+                box.style.height = `${((y2 - y1) / image.height) * 100}%`;
+                box.title = change.description || '';
+                box.textContent = changeIndex + 1;
+                frame.appendChild(box);
+            }
+        });
+
+        const caption = document.createElement('figcaption');
+        caption.textContent = image.label;
+
+        figure.append(frame, caption);
+        container.appendChild(figure);
+    }
+
+    return container;
+}
+
+// ========================================
+// OCRモード
+// ========================================
+
+function displayOcrResult(data) {
+    const lines = orderedLines(data);
+    const confidences = lines.map(line => line.confidence).filter(c => typeof c === 'number');
+    const average = confidences.length > 0
+        ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+        : null;
+
+    const meta = [
+        data.language ? `言語: ${escapeHtml(data.language)}` : null,
+        `${lines.length}行`,
+        average !== null ? `平均信頼度 ${(average * 100).toFixed(1)}%` : null
+    ].filter(Boolean).join(' ・ ');
+
+    const container = document.createElement('div');
+    container.className = 'result-analysis ocr-result';
+    container.innerHTML = `
+      <div class="ocr-toolbar">
+        <span class="ocr-meta">${meta}</span>
+        <div class="ocr-actions">
+          <button class="btn-secondary" data-copy="text">📋 テキストをコピー</button>
+          <button class="btn-secondary" data-copy="markdown">📋 Markdownでコピー</button>
+        </div>
+      </div>
+      <div class="ocr-search">
+        <input type="search" placeholder="🔍 単語を検索">
+        <span class="ocr-match-count"></span>
+      </div>
+    `;
+
+    for (const button of container.querySelectorAll('[data-copy]')) {
+        button.addEventListener('click', () => {
+            const text = button.dataset.copy === 'markdown' ? toMarkdown(data) : toPlainText(data);
+            const label = button.textContent;
+            navigator.clipboard.writeText(text).then(() => {
+                button.textContent = '✅ コピー完了';
+                setTimeout(() => {
+                    button.textContent = label;
+                }, 2000);
+            });
+        });
+    }
+
+    // 画像の上に選択可能なテキストレイヤーを重ねる
+    const stage = state.analyzedImage ? createOcrStage(state.analyzedImage, lines) : null;
+    if (stage) container.appendChild(stage.element);
+
+    const list = document.createElement('ol');
+    list.className = 'ocr-lines';
+    for (const line of lines) {
+        const li = document.createElement('li');
+        const lowConfidence = typeof line.confidence === 'number' && line.confidence < 0.6;
+        li.classList.toggle('low-confidence', lowConfidence);
+        li.textContent = line.text;
+        if (typeof line.confidence === 'number') {
+            const badge = document.createElement('span');
+            badge.className = 'ocr-line-confidence';
+            badge.textContent = `${(line.confidence * 100).toFixed(0)}%`;
+            li.appendChild(badge);
+        }
+        list.appendChild(li);
+    }
+
+    const listHeader = document.createElement('h3');
+    listHeader.textContent = '📝 読み取り結果';
+    container.append(listHeader, list);
+
+    if (data.summary) {
+        const summaryHeader = document.createElement('h3');
+        summaryHeader.textContent = '📋 要約';
+        const summary = document.createElement('p');
+        summary.textContent = data.summary;
+        container.append(summaryHeader, summary);
+    }
+
+    const searchInput = container.querySelector('.ocr-search input');
+    const matchCount = container.querySelector('.ocr-match-count');
+    searchInput.addEventListener('input', () => {
+        const matches = findMatches(data, searchInput.value);
+        const matchedLines = new Set(matches.map(match => match.line));
+
+        matchCount.textContent = searchInput.value.trim() ? `${matches.length}件` : '';
+        list.querySelectorAll('li').forEach((li, index) => {
+            li.classList.toggle('is-match', matchedLines.has(lines[index]));
+        });
+        stage?.highlight(matches.map(match => (match.word || match.line).bbox));
+    });
+
+    elements.resultContent.innerHTML = '';
+    elements.resultContent.appendChild(container);
+}
+
+/**
+ * 画像・透明なテキストレイヤー・検索ハイライトを重ねた表示
+ * 文字の大きさと幅は、表示サイズに合わせて各行の bbox に収まるよう調整する
+ */
+function createOcrStage(imageSrc, lines) {
+    const element = document.createElement('div');
+    element.className = 'ocr-stage';
+
+    const img = document.createElement('img');
+    img.alt = '';
+    const textLayer = document.createElement('div');
+    textLayer.className = 'ocr-text-layer';
+    const highlightLayer = document.createElement('div');
+    highlightLayer.className = 'ocr-highlight-layer';
+
+    element.append(img, highlightLayer, textLayer);
+
+    const positioned = lines.filter(hasBbox);
+    const spans = positioned.map(line => {
+        const span = document.createElement('span');
+        span.textContent = line.text;
+        textLayer.appendChild(span);
+        // コピー時に行が連結されないよう改行を挟む
+        textLayer.appendChild(document.createElement('br'));
+        return span;
+    });
+
+    const place = (box, [x1, y1, x2, y2]) => {
+        box.style.left = `${(x1 / img.naturalWidth) * 100}%`;
+        box.style.top = `${(y1 / img.naturalHeight) * 100}%`;
+        box.style.width = `${((x2 - x1) / img.naturalWidth) * 100}%`;
+        box.style.height = `${((y2 - y1) / img.naturalHeight) * 100}%`;
+    };
+
+    const layout = () => {
+        if (!img.naturalWidth || !img.clientWidth) return;
+        const displayScale = img.clientWidth / img.naturalWidth;
+
+        positioned.forEach((line, i) => {
+            const span = spans[i];
+            const [x1, y1, x2, y2] = line.bbox;
+            place(span, line.bbox);
+            span.style.fontSize = `${Math.max(1, (y2 - y1) * displayScale * 0.85)}px`;
+            span.style.transform = 'none';
+
+            const naturalWidth = span.scrollWidth;
+            if (naturalWidth > 0) {
+                span.style.transform = `scaleX(${((x2 - x1) * displayScale) / naturalWidth})`;
+            }
+        });
+    };
+
+    img.addEventListener('load', layout);
+    new ResizeObserver(layout).observe(img);
+    img.src = imageSrc;
+
+    return {
+        element,
+        highlight(bboxes) {
+            highlightLayer.innerHTML = '';
+            if (!img.naturalWidth) return;
+
+            for (const bbox of bboxes) {
+                if (!Array.isArray(bbox) || bbox.length !== 4) continue;
+                const box = document.createElement('div');
+                box.className = 'ocr-highlight';
+                place(box, bbox);
+                highlightLayer.appendChild(box);
+            }
+            highlightLayer.firstElementChild?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    };
+}
+
+// ========================================
+// 表の抽出モード
+// ========================================
+
+// セルの編集は結果データに直接反映し、書き出し・コピーにも使う
+function displayTableResult(data, { position } = {}) {
+    const tables = Array.isArray(data.tables) ? data.tables : [];
+
+    const container = document.createElement('div');
+    container.className = 'result-analysis table-result';
+    container.innerHTML = `
+      <div class="table-toolbar">
+        <span class="table-meta">${tables.length}個の表 ・ セルをクリックすると編集できます</span>
+        <div class="table-actions">
+          <button class="btn-secondary" data-export="xlsx" ${tables.length === 0 ? 'disabled' : ''}>📥 XLSX（すべての表）</button>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('[data-export="xlsx"]').addEventListener('click', async () => {
+        try {
+            const blob = await toTablesXlsx(tables);
+            downloadFile(`tables_${timestampForFilename()}.xlsx`, blob);
+        } catch (error) {
+            showError(`XLSXの作成に失敗しました: ${error.message}`);
+        }
+    });
+
+    // 編集中のセルの位置を画像上にハイライトする（テキストレイヤーは使わない）
+    const stage = state.analyzedImage ? createOcrStage(state.analyzedImage, []) : null;
+    if (stage) container.appendChild(stage.element);
+
+    if (tables.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = '表は見つかりませんでした';
+        container.appendChild(empty);
+    }
+
+    tables.forEach((table, index) => {
+        container.appendChild(createTableSection(table, index, stage, position));
+    });
+
+    if (data.summary) {
+        const summaryHeader = document.createElement('h3');
+        summaryHeader.textContent = '📋 要約';
+        const summary = document.createElement('p');
+        summary.textContent = data.summary;
+        container.append(summaryHeader, summary);
+    }
+
+    elements.resultContent.innerHTML = '';
+    elements.resultContent.appendChild(container);
+}
+
+function createTableSection(table, index, stage, position) {
+    const section = document.createElement('section');
+    section.className = 'table-section';
+    section.innerHTML = `
+      <div class="table-toolbar">
+        <h3></h3>
+        <div class="table-actions">
+          <button class="btn-secondary" data-export="csv">📥 CSV</button>
+          <button class="btn-secondary" data-export="tsv">📥 TSV</button>
+          <button class="btn-secondary" data-export="markdown">📥 Markdown</button>
+          <button class="btn-secondary" data-copy="markdown">📋 Markdownをコピー</button>
+        </div>
+      </div>
+    `;
+    section.querySelector('h3').textContent = `📊 ${table.title || `表${index + 1}`}`;
+
+    const filename = extension => `table_${timestampForFilename()}_${index + 1}.${extension}`;
+    const exporters = {
+        // Excelで文字化けしないようBOMを付ける
+        csv: () => downloadFile(filename('csv'), '\ufeff' + toTableDelimited(table, ','), 'text/csv'),
+        tsv: () => downloadFile(filename('tsv'), '\ufeff' + toTableDelimited(table, '\t'), 'text/tab-separated-values'),
+        markdown: () => downloadFile(filename('md'), toTableMarkdown(table), 'text/markdown')
+    };
+    for (const button of section.querySelectorAll('[data-export]')) {
+        button.addEventListener('click', exporters[button.dataset.export]);
+    }
+
+    const copyButton = section.querySelector('[data-copy]');
+    copyButton.addEventListener('click', () => {
+        const label = copyButton.textContent;
+        navigator.clipboard.writeText(toTableMarkdown(table)).then(() => {
+            copyButton.textContent = '✅ コピー完了';
+            setTimeout(() => {
+                copyButton.textContent = label;
+            }, 2000);
+        });
+    });
+
+    const scroll = document.createElement('div');
+    scroll.className = 'table-scroll';
+    scroll.appendChild(createTableGrid(table, stage, position));
+    section.appendChild(scroll);
+
+    return section;
+}
+
+/**
+ * 編集可能なグリッド（結合セルは rowspan / colspan で表示）
+ * 行のセルが足りない位置は、編集できない空のセルで埋める
+ * position（{ key: 'page' | 'frame', number }）を指定すると、そのページ・フレームにあるセルだけを画像上にハイライトする
+ */
+function createTableGrid(table, stage, position) {
+    const onStage = cell => hasBbox(cell) && (!position || cellNumber(cell, table, position.key) === position.number);
+
+    const { slots, merges } = expandTable(table);
+    const headerRows = headerRowCount(table);
+
+    const element = document.createElement('table');
+    element.className = 'table-grid';
+
+    slots.forEach((row, r) => {
+        const tr = document.createElement('tr');
+
+        row.forEach((slot, c) => {
+            // 結合セルに覆われた位置
+            if (slot && !slot.origin) return;
+
+            const td = document.createElement(r < headerRows ? 'th' : 'td');
+            tr.appendChild(td);
+
+            if (!slot) {
+                td.className = 'table-cell-missing';
+                return;
+            }
+
+            const merge = merges.find(m => m.row === r && m.col === c);
+            if (merge) {
+                td.rowSpan = merge.rowSpan;
+                td.colSpan = merge.colSpan;
+            }
+
+            const { cell } = slot;
+            td.textContent = cell.text ?? '';
+            td.contentEditable = 'true';
+            td.spellcheck = false;
+
+            td.addEventListener('input', () => {
+                cell.text = td.innerText.replace(/\n$/, '');
+            });
+            td.addEventListener('focus', () => stage?.highlight(onStage(cell) ? [cell.bbox] : []));
+            td.addEventListener('blur', () => stage?.highlight([]));
+        });
+
+        element.appendChild(tr);
+    });
+
+    return element;
+}
+
+// ========================================
+// 動画のまとめ
+// ========================================
+
+// 時刻をクリックすると、その時刻のフレーム（なければ直前のフレーム）の結果を表示する
+function displayTimelineResult(data) {
+    const events = Array.isArray(data.events) ? data.events : [];
+
+    const container = document.createElement('div');
+    container.className = 'result-analysis timeline-result';
+
+    if (data.summary) {
+        const summaryHeader = document.createElement('h3');
+        summaryHeader.textContent = '📋 何が起きたか';
+        const summary = document.createElement('p');
+        summary.textContent = data.summary;
+        container.append(summaryHeader, summary);
+    }
+
+    const eventsHeader = document.createElement('h3');
+    eventsHeader.textContent = `🕒 タイムライン（${events.length}件）`;
+    container.appendChild(eventsHeader);
+
+    const list = document.createElement('ol');
+    list.className = 'timeline';
+    for (const event of events) {
+        const item = document.createElement('li');
+
+        const time = document.createElement('button');
+        time.className = 'timeline-time';
+        time.textContent = formatTimeRange(event.time, event.end_time);
+
+        const index = frameIndexAt(Number(event.time));
+        time.disabled = index < 0;
+        time.addEventListener('click', () => showSequenceItem(index));
+
+        const description = document.createElement('span');
+        description.textContent = event.description || '';
+
+        item.append(time, description);
+        list.appendChild(item);
+    }
+    container.appendChild(list);
+
+    if (events.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = 'まとめる出来事はありませんでした';
+        container.appendChild(empty);
+    }
+
+    elements.resultContent.innerHTML = '';
+    elements.resultContent.appendChild(container);
+}
+
+// 表示中の動画で、指定した時刻以前の最後のフレームの位置（なければ -1）
+function frameIndexAt(time) {
+    const sequence = state.sequence;
+    if (sequence?.kind !== 'video' || !Number.isFinite(time)) return -1;
+
+    return sequence.items.findLastIndex(item => item.time <= time);
+}
+
+// ========================================
+// 分析履歴
+// ========================================
+
+const MODE_LABELS = {
+    analyze: '通常分析',
+    compare: '比較',
+    ocr: 'OCR',
+    table: '表の抽出',
+    timeline: '動画のまとめ'
+};
+
+function setupHistory() {
+    const { historyBtn, closeHistory, historySearch } = elements;
+
+    historyBtn.addEventListener('click', () => toggleHistory());
+    closeHistory.addEventListener('click', () => toggleHistory(false));
+
+    let searchTimer = null;
+    historySearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(renderHistory, 200);
+    });
+}
+
+function toggleHistory(open = elements.historySidebar.hidden) {
+    elements.historySidebar.hidden = !open;
+    if (open) renderHistory();
+}
+
+async function recordHistory(entry) {
+    try {
+        await saveHistoryEntry(entry);
+        if (!elements.historySidebar.hidden) renderHistory();
+    } catch (error) {
+        // 履歴の保存に失敗しても分析結果の表示には影響させない
+        console.warn('Failed to save history:', error);
+    }
+}
+
+async function renderHistory() {
+    const { historyList, historySearch } = elements;
+
+    let entries;
+    try {
+        entries = await listHistoryEntries({ query: historySearch.value });
+    } catch (error) {
+        console.warn('Failed to load history:', error);
+        historyList.innerHTML = '<p class="history-empty">履歴を読み込めませんでした</p>';
+        return;
+    }
+
+    historyList.innerHTML = '';
+    if (entries.length === 0) {
+        historyList.innerHTML = `<p class="history-empty">${historySearch.value.trim() ? '一致する履歴がありません' : '履歴はまだありません'}</p>`;
+        return;
+    }
+
+    for (const entry of entries) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+
+        const thumbnail = entry.thumbnail ? `<img src="${entry.thumbnail}" alt="">` : '<span class="history-thumb-empty">🖼️</span>';
+        const imageCount = entry.images?.length > 1 ? ` · ${entry.images.length}枚` : '';
+        item.innerHTML = `
+          ${thumbnail}
+          <div class="history-item-body">
+            <span class="history-prompt" title="${escapeHtml(entry.prompt || '')}">${escapeHtml(entry.prompt || '(プロンプトなし)')}</span>
+            <span class="history-meta">${new Date(entry.createdAt).toLocaleString()} · ${escapeHtml(MODE_LABELS[entry.mode] || entry.mode)}${imageCount}</span>
+            <span class="history-meta">${escapeHtml(entry.model || '')} / ${escapeHtml(entry.thinkingLevel || '')}</span>
+            <div class="history-actions">
+              <button class="btn-secondary" data-action="open">開く</button>
+              <button class="btn-secondary" data-action="rerun">再実行</button>
+              <button class="btn-secondary" data-action="delete">削除</button>
+            </div>
+          </div>
+        `;
+
+        item.querySelector('[data-action="open"]').addEventListener('click', () => openHistoryEntry(entry.id));
+        item.querySelector('[data-action="rerun"]').addEventListener('click', () => rerunHistoryEntry(entry.id));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => removeHistoryEntry(entry.id));
+
+        historyList.appendChild(item);
+    }
+}
+
+// 過去の結果を4つのタブにそのまま表示する（セッションは期限切れの可能性があるためチャットは開かない）
+async function openHistoryEntry(id) {
+    const entry = await getHistoryEntry(id);
+    if (!entry || state.isProcessing) return;
+
+    resetChat();
+    clearSequence();
+    state.comparedImages = entry.mode === 'compare' ? entry.images : [];
+    activateTab('result');
+
+    // まとめて分析したPDF・動画は、保存したページ・フレームの画像でそれぞれ表示する
+    const { pages, frames } = entry.result;
+    if (entry.mode !== 'compare' && (Array.isArray(pages) || Array.isArray(frames))) {
+        const items = Array.isArray(pages)
+            ? pages.map(page => ({ number: page }))
+            : frames.map((time, i) => ({ number: i + 1, time }));
+
+        state.sequence = {
+            kind: Array.isArray(pages) ? 'pdf' : 'video',
+            name: 'history',
+            scope: 'combined',
+            mode: entry.mode,
+            prompt: entry.prompt,
+            model: entry.model,
+            thinkingLevel: entry.thinkingLevel,
+            items: items.map((item, i) => ({ ...item, status: 'done', base64: entry.images[i]?.base64 })),
+            result: entry.result
+        };
+        showSequenceItem(0);
+        return;
+    }
+
+    state.analyzedImage = entry.mode === 'compare' ? null : entry.images[0]?.base64;
+    processResult(entry.result, { prompt: entry.prompt });
+}
+
+// 入力・設定を復元し、編集してから再度分析できるようにする
+async function rerunHistoryEntry(id) {
+    const entry = await getHistoryEntry(id);
+    if (!entry || state.isProcessing) return;
+
+    elements.modeSelect.value = entry.mode;
+    if (entry.mode === 'compare') {
+        state.compareSlots = entry.images.map(image => ({ ...image }));
+    } else {
+        clearBatchFiles();
+        clearPdf();
+        clearVideo();
+        showImage(entry.images[0].base64, null, entry.regions || [], entry.images[0].info);
+    }
+    setMode(entry.mode);
+    renderCompareSlots();
+
+    if ([...elements.modelSelect.options].some(option => option.value === entry.model)) {
+        elements.modelSelect.value = entry.model;
+        renderThinkingLevels(entry.model);
+    }
+    if ([...elements.thinkingLevel.options].some(option => option.value === entry.thinkingLevel)) {
+        elements.thinkingLevel.value = entry.thinkingLevel;
+    }
+
+    elements.promptInput.value = entry.prompt || '';
+    elements.promptInput.focus();
+}
+
+async function removeHistoryEntry(id) {
+    if (!confirm('この履歴を削除しますか？')) return;
+
+    await deleteHistoryEntry(id);
+    renderHistory();
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// ========================================
+// フォローアップチャット
+// ========================================
+
+function setupChat() {
+    elements.chatSendBtn.addEventListener('click', sendFollowUp);
+
+    // Ctrl+Enter / Cmd+Enter で送信
+    elements.chatInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            sendFollowUp();
+        }
+    });
+}
+
+function resetChat() {
+    state.sessionId = null;
+    elements.chatThread.innerHTML = '';
+    elements.chatInput.value = '';
+    elements.chatSection.hidden = true;
+}
+
+function startChat(result) {
+    if (!result.sessionId) return;
+
+    state.sessionId = result.sessionId;
+    elements.chatSessionInfo.textContent = `Session ${result.sessionId.slice(0, 8)}`;
+    elements.chatSection.hidden = false;
+}
+
+async function sendFollowUp() {
+    const prompt = elements.chatInput.value.trim();
+    if (!prompt || !state.sessionId || state.isProcessing) return;
+
+    const streaming = elements.streamingToggle.checked;
+
+    state.isProcessing = true;
+    elements.chatSendBtn.disabled = true;
+    elements.analyzeBtn.disabled = true;
+    elements.progressSection.hidden = false;
+    elements.progressFill.style.width = '0%';
+    elements.progressLog.innerHTML = '';
+
+    elements.chatInput.value = '';
+    addChatMessage('user', prompt);
+
+    const request = beginRequest();
+
+    try {
+        const url = `/api/vision/${encodeURIComponent(state.sessionId)}/messages`;
+        const result = streaming
+            ? await analyzeWithStreaming(url, { prompt }, request)
+            : await analyzeWithoutStreaming(url, { prompt }, request);
+
+        if (state.sequence) {
+            updateSequenceResult(result, prompt);
+        } else {
+            processResult(result, { prompt });
+        }
+
+        const parsedData = result.parsedData || tryParseJson(result.text);
+        addChatMessage('model', parsedData?.summary || parsedData?.analysis || result.text || 'No result');
+    } catch (error) {
+        if (isAbortError(error)) {
+            addChatMessage('error', '⏹ キャンセルしました');
+        } else {
+            console.error('Follow-up error:', error);
+            addChatMessage('error', error.message);
+        }
+    } finally {
+        endRequest();
+        state.isProcessing = false;
+        elements.chatSendBtn.disabled = false;
+        updateAnalyzeButton();
+        elements.progressFill.style.width = '100%';
+    }
+}
+
+function addChatMessage(role, text) {
+    const div = document.createElement('div');
+    div.className = `chat-message ${role}`;
+    div.textContent = text;
+    elements.chatThread.appendChild(div);
+    elements.chatThread.scrollTop = elements.chatThread.scrollHeight;
+}
+
+// 組み込みスキーマの項目（それ以外はテンプレートの独自スキーマの項目としてJSONのまま表示する）
+const ANALYZE_RESULT_KEYS = [
+    'schema_version', 'analysis', 'summary', 'metadata',
+    'processed_image_base64', 'result_image_base64', 'annotated_base64'
+];
+
+function displayParsedResult(data) {
+    let html = '<div class="result-analysis">';
+
+    if (data.analysis) {
+        html += `<h3>📋 分析結果</h3><p>${escapeHtml(data.analysis)}</p>`;
+    }
+
+    if (data.summary) {
+        html += `<h3>📝 要約</h3><p>${escapeHtml(data.summary)}</p>`;
+    }
+
+    // 元画像に重ねて表示できる検出結果は、一覧もオーバーレイ側で表示する
+    const detections = Array.isArray(data.metadata?.detections) ? data.metadata.detections : [];
+    const showOverlay = Boolean(state.analyzedImage) && detections.some(hasBbox);
+
+    if (data.metadata) {
+        html += '<div class="result-metadata"><h4>🔍 メタデータ</h4>';
+
+        if (detections.length > 0 && !showOverlay) {
+            html += '<ul class="detection-list">';
+            for (const detection of data.metadata.detections) {
+                html += `<li>${escapeHtml(JSON.stringify(detection))}</li>`;
+            }
+            html += '</ul>';
+        }
+
+        if (data.metadata.confidence !== undefined) {
+            const confidence = data.metadata.confidence;
+            const level = confidence >= 0.8 ? '' : confidence >= 0.5 ? 'low' : 'very-low';
+            html += `<p>信頼度: <span class="confidence-badge ${level}">${(confidence * 100).toFixed(1)}%</span></p>`;
+        }
+
+        html += '</div>';
+    }
+
+    for (const key of Object.keys(data).filter(key => !ANALYZE_RESULT_KEYS.includes(key))) {
+        html += `<h3>📦 ${escapeHtml(key)}</h3><pre class="result-json">${escapeHtml(JSON.stringify(data[key], null, 2))}</pre>`;
+    }
+
+    html += '</div>';
+    elements.resultContent.innerHTML = html;
+
+    if (showOverlay) {
+        elements.resultContent.querySelector('.result-metadata h4')
+            .after(createDetectionOverlay(state.analyzedImage, detections));
+    }
+}
+
+/**
+ * 元画像に検出枠を重ねたキャンバスと、クラス別の表示切替・信頼度しきい値・検出一覧
+ * 一覧の項目にホバーすると対応する枠を強調する
+ */
+function createDetectionOverlay(imageSrc, detections) {
+    const view = { threshold: 0, hiddenLabels: new Set(), highlight: null };
+    const labels = [...new Set(detections.map(d => String(d.label ?? '')))];
+
+    const container = document.createElement('div');
+    container.className = 'detection-overlay';
+    container.innerHTML = `
+      <div class="overlay-controls">
+        <label class="overlay-threshold">
+          信頼度しきい値 <input type="range" min="0" max="1" step="0.05" value="0"> <output>0%</output>
+        </label>
+        <div class="overlay-classes"></div>
+      </div>
+      <canvas class="overlay-canvas"></canvas>
+      <ul class="detection-list"></ul>
+    `;
+
+    const canvas = container.querySelector('canvas');
+    const slider = container.querySelector('input[type="range"]');
+    const output = container.querySelector('output');
+    const classes = container.querySelector('.overlay-classes');
+    const list = container.querySelector('.detection-list');
+
+    const isVisible = (index) => {
+        const detection = detections[index];
+        const confidence = typeof detection.confidence === 'number' ? detection.confidence : 1;
+        return !view.hiddenLabels.has(String(detection.label ?? '')) && confidence >= view.threshold;
+    };
+
+    const image = new Image();
+    const redraw = () => {
+        if (image.complete && image.naturalWidth) {
+            drawDetections(canvas, image, detections, { isVisible, highlight: view.highlight });
+        }
+        list.querySelectorAll('li').forEach((li, index) => {
+            li.classList.toggle('is-filtered', !isVisible(index));
+            li.classList.toggle('is-active', index === view.highlight);
+        });
+    };
+    image.onload = redraw;
+    image.src = imageSrc;
+
+    slider.addEventListener('input', () => {
+        view.threshold = Number(slider.value);
+        output.textContent = `${Math.round(view.threshold * 100)}%`;
+        redraw();
+    });
+
+    for (const label of labels) {
+        const count = detections.filter(d => String(d.label ?? '') === label).length;
+        const toggle = document.createElement('label');
+        toggle.className = 'overlay-class';
+        toggle.innerHTML = `
+          <input type="checkbox" checked>
+          <span class="overlay-swatch" style="background: ${colorForLabel(label)}"></span>
+          ${escapeHtml(label || '(ラベルなし)')} (${count})
+        `;
+        toggle.querySelector('input').addEventListener('change', (e) => {
+            if (e.target.checked) view.hiddenLabels.delete(label);
+            else view.hiddenLabels.add(label);
+            redraw();
+        });
+        classes.appendChild(toggle);
+    }
+
+    detections.forEach((detection, index) => {
+        const li = document.createElement('li');
+        const confidence = typeof detection.confidence === 'number'
+            ? `<span class="detection-confidence">${(detection.confidence * 100).toFixed(1)}%</span>`
+            : '';
+        const bbox = hasBbox(detection)
+            ? `<span class="detection-bbox">[${detection.bbox.map(v => Math.round(v)).join(', ')}]</span>`
+            : '';
+        li.innerHTML = `
+          <span class="overlay-swatch" style="background: ${colorForLabel(detection.label)}"></span>
+          <span class="detection-label">${escapeHtml(String(detection.label ?? ''))}</span>
+          ${confidence}${bbox}
+        `;
+
+        li.addEventListener('mouseenter', () => {
+            view.highlight = index;
+            redraw();
+        });
+        li.addEventListener('mouseleave', () => {
+            view.highlight = null;
+            redraw();
+        });
+        list.appendChild(li);
+    });
+
+    return container;
+}
+
+function displaySchemaWarning(errors = []) {
+    const warning = document.createElement('div');
+    warning.className = 'schema-warning';
+    warning.innerHTML = '<h4>⚠️ 出力がスキーマを満たしていません</h4>';
+
+    const list = document.createElement('ul');
+    for (const error of errors) {
+        const li = document.createElement('li');
+        li.textContent = error;
+        list.appendChild(li);
+    }
+    warning.appendChild(list);
+
+    elements.resultContent.prepend(warning);
+}
+
+// キャッシュした結果の表示（1枚の画像・比較の結果は、キャッシュを使わずに分析し直せる）
+function displayCacheNotice(result) {
+    const notice = document.createElement('div');
+    notice.className = 'cache-notice';
+    notice.innerHTML = `<span>💾 ${escapeHtml(new Date(result.cachedAt).toLocaleString())} に分析した結果をキャッシュから表示しています</span>`;
+
+    if (!state.sequence) {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.textContent = '🔄 キャッシュを使わずに再分析';
+        button.addEventListener('click', () => {
+            if (!state.isProcessing) analyzeImage({ bypassCache: true });
+        });
+        notice.appendChild(button);
+    }
+
+    elements.resultContent.prepend(notice);
+}
+
+// どちらの Gemini API キーで分析したか（キャッシュから返した結果には付かない）
+function displayBillingNotice(billing) {
+    const notice = document.createElement('p');
+    notice.className = 'billing-notice';
+    notice.textContent = `🔑 ${billingLabel(billing)}で分析しました`;
+    elements.resultContent.prepend(notice);
+}
+
+function tryParseJson(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        // JSONブロックを抽出
+        const match = text.match(/```json\s*([\s\S]*?)\s*```/);
+        if (match) {
+            try {
+                return JSON.parse(match[1]);
+            } catch { }
+        }
+        return null;
     }
 }
 
@@ -415,6 +3407,16 @@ function showError(message) {
   `;
 }
 
+function showCancelled() {
+    elements.resultContent.innerHTML = `
+    <div class="placeholder">
+      <span>⏹</span>
+      <p>分析をキャンセルしました</p>
+    </div>
+  `;
+    addProgressLog('⏹ キャンセルしました');
+}
+
 function addProgressLog(message) {
     const p = document.createElement('p');
     p.textContent = message;
@@ -440,14 +3442,103 @@ function setupCopyButton() {
     });
 }
 
+// ========================================
+// エクスポート
+// ========================================
+
+function setupExport() {
+    const { exportBtn, exportMenu } = elements;
+
+    const toggleMenu = (open) => {
+        exportMenu.hidden = !open;
+        exportBtn.setAttribute('aria-expanded', String(open));
+    };
+
+    exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleMenu(exportMenu.hidden);
+    });
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.hidden && !exportMenu.contains(e.target)) toggleMenu(false);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleMenu(false);
+    });
+
+    for (const button of exportMenu.querySelectorAll('[data-export]')) {
+        button.addEventListener('click', async () => {
+            toggleMenu(false);
+            if (!state.lastResult) return;
+
+            exportBtn.disabled = true;
+            try {
+                await exportResult(button.dataset.export);
+            } catch (error) {
+                console.error('Export error:', error);
+                showError(`エクスポートに失敗しました: ${error.message}`);
+            } finally {
+                exportBtn.disabled = false;
+            }
+        });
+    }
+}
+
+async function exportResult(format) {
+    const result = state.lastResult;
+    const mode = result.mode || 'analyze';
+    const data = result.parsedData || tryParseJson(result.text);
+
+    const images = collectReportImages({
+        mode,
+        data,
+        analyzedImage: state.analyzedImage,
+        comparedImages: state.comparedImages
+    });
+    if (format === 'png' && images.length === 0) {
+        throw new Error('注釈を描く画像がありません');
+    }
+
+    const report = await prepareReport({
+        result,
+        data,
+        prompt: state.lastPrompt,
+        modeLabel: MODE_LABELS[mode] || mode,
+        images
+    });
+    const basename = `report_${timestampForFilename(report.createdAt)}`;
+
+    switch (format) {
+        case 'markdown':
+            downloadFile(`${basename}.md`, buildMarkdownReport(report), 'text/markdown');
+            break;
+        case 'html':
+            downloadFile(`${basename}.html`, buildHtmlReport(report), 'text/html');
+            break;
+        case 'png':
+            // 比較モードでは画像ごとに1枚ずつ保存する
+            for (const image of report.images) {
+                const suffix = report.images.length > 1 ? `_${image.name}` : '';
+                downloadFile(`annotated_${timestampForFilename(report.createdAt)}${suffix}.png`, image.annotated);
+            }
+            break;
+        case 'zip':
+            downloadFile(`${basename}.zip`, await buildReportZip(report));
+            break;
+    }
+}
+
 // ========================================
 // ユーティリティ
 // ========================================
 
+// 属性値（title="..." など）にも埋め込むため、引用符もエスケープする
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // ========================================
@@ -1,191 +1,1154 @@
 import 'dotenv/config';
 import express from 'express';
 import multer from 'multer';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs/promises';
+import { createSession, getSession, sessionExpiresAt } from './lib/sessions.js';
+import { openEventStream } from './lib/event-stream.js';
+import { startRequest, cancelRequest } from './lib/inflight.js';
+import { mapWithConcurrency } from './lib/concurrency.js';
+import { createAnalysisStore } from './lib/analysis-store.js';
+import { TEMPLATE_EXPORT_VERSION, createTemplateStore, validateTemplate } from './lib/template-store.js';
+import { parseRegions, mapRegionDetections } from './lib/regions.js';
+import { parsePreprocessInfo, addOriginalCoordinates } from './lib/image-scale.js';
+import {
+    TIMELINE_SCHEMA,
+    parseDocumentPages,
+    parseVideoFrames,
+    parseTimelineFrames,
+    formatTimestamp
+} from './lib/sequences.js';
+import {
+    DEFAULT_MODEL,
+    DEFAULT_THINKING_LEVEL,
+    listModels,
+    validateModelSelection,
+    buildModelParams
+} from './lib/models.js';
+import { RESULT_MODES, isSupportedMode, parseOutputSchema } from './lib/result-schema.js';
+import {
+    buildAgenticPrompt,
+    buildSingleImagePrompt,
+    buildComparePrompt,
+    buildTimelinePrompt,
+    buildFollowUpPrompt
+} from './lib/prompts.js';
+import { parseAgenticResponse, validateWithRepair, sendMessageWithRetry, startChat } from './lib/agentic.js';
+import { createResponseCache, buildCacheKey, parseCacheControl } from './lib/response-cache.js';
+import { callGemini, acquireGeminiSlot, withGeminiRetry, describeGeminiError } from './lib/gemini-call.js';
+import { parseApiTokens, authenticate, createRateLimiter } from './lib/access-control.js';
+import { GEMINI_KEY_HEADER, createGeminiKeys } from './lib/gemini-keys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
+const imageUpload = upload.fields([{ name: 'image', maxCount: 1 }, { name: 'images' }]);
 const PORT = process.env.PORT || 3000;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 3);
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 100);
 
-// Gemini API初期化
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Gemini API初期化（リクエストごとに、利用者のキーかサーバーのキーのクライアントを選ぶ）
+const geminiKeys = createGeminiKeys({
+    source: process.env.GEMINI_KEY_SOURCE || 'both',
+    serverKey: process.env.GEMINI_API_KEY
+});
+
+// 分析結果の保存先（ANALYSIS_STORE=none で無効）
+const analysisStore = await createAnalysisStore({
+    driver: process.env.ANALYSIS_STORE || 'json',
+    path: process.env.ANALYSIS_STORE_PATH
+});
+
+// チームで共有するプロンプトテンプレート
+const templateStore = await createTemplateStore({ path: process.env.TEMPLATE_STORE_PATH });
+
+// 同じリクエストの分析結果のキャッシュ（RESPONSE_CACHE=none で無効）
+const responseCache = await createResponseCache({
+    driver: process.env.RESPONSE_CACHE || 'disk',
+    path: process.env.RESPONSE_CACHE_PATH,
+    ttlSeconds: Number(process.env.RESPONSE_CACHE_TTL_SECONDS) || undefined,
+    maxEntries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || undefined,
+    maxFiles: Number(process.env.RESPONSE_CACHE_MAX_FILES) || undefined
+});
+
+// APIトークン（API_TOKENS が空なら認証しない）と、Gemini を呼ぶリクエストの回数の制限（0 は無制限）
+const { tokens: apiTokens, error: apiTokensError } = parseApiTokens(process.env.API_TOKENS);
+if (apiTokensError) throw new Error(apiTokensError);
+const tokenLimiter = createRateLimiter({
+    perMinute: Number(process.env.RATE_LIMIT_TOKEN_PER_MINUTE) || 0,
+    perDay: Number(process.env.RATE_LIMIT_TOKEN_PER_DAY) || 0
+});
+const ipLimiter = createRateLimiter({
+    perMinute: Number(process.env.RATE_LIMIT_IP_PER_MINUTE) || 0,
+    perDay: Number(process.env.RATE_LIMIT_IP_PER_DAY) || 0
+});
+
+// リバースプロキシの後ろでは、IPアドレスごとの制限に X-Forwarded-For を使う（TRUST_PROXY=1 など）
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
 
 // 静的ファイル配信
 app.use(express.static(join(__dirname, 'dist')));
+
+// 認証は本文を読む前に行う（モデル一覧は画面の表示に使うため、トークンなしで返す）
+app.use('/api', (req, res, next) => {
+    if (apiTokens.length === 0 || PUBLIC_API_PATHS.includes(req.path)) return next();
+
+    const { client, error } = authenticate(apiTokens, req.get('Authorization'));
+    if (error) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="agentic-vision"');
+        return res.status(401).json({ error, unauthorized: true });
+    }
+
+    req.client = client;
+    next();
+});
+
 app.use(express.json({ limit: '50mb' }));
 
+// 利用可能なモデルと思考レベル一覧
+app.get('/api/models', (req, res) => {
+    res.json({
+        defaultModel: DEFAULT_MODEL,
+        defaultThinkingLevel: DEFAULT_THINKING_LEVEL,
+        models: listModels()
+    });
+});
+
+// Gemini API キーの確認（トークン数を数えるだけで、生成はしない）
+app.post('/api/gemini-key/test', useGeminiKey, async (req, res) => {
+    if (!chargeRequest(req, res)) return;
+
+    const { billing } = req.gemini;
+    try {
+        const model = req.gemini.genAI.getGenerativeModel({ model: DEFAULT_MODEL });
+        await callGemini(() => model.countTokens('ping'));
+        res.json({ valid: true, billing });
+    } catch (error) {
+        // 正しくないキーは 400（API_KEY_INVALID）、使えないキーは 403 で返る
+        const message = error.status === 400 || error.status === 403
+            ? 'API キーが正しくないか、このキーでは Gemini API を使えません'
+            : describeGeminiError(error)?.message ?? error.message;
+        res.json({ valid: false, billing, error: message });
+    }
+});
+
 // Agentic Vision API エンドポイント
-app.post('/api/vision', upload.single('image'), async (req, res) => {
+app.post('/api/vision', imageUpload, useGeminiKey, async (req, res) => {
     try {
-        const { prompt, thinkingLevel = 'medium', streaming = false } = req.body;
+        const {
+            prompt,
+            mode = 'analyze',
+            model: modelName = DEFAULT_MODEL,
+            thinkingLevel = DEFAULT_THINKING_LEVEL,
+            streaming = false
+        } = req.body;
+
+        if (!isSupportedMode(mode)) {
+            return res.status(400).json({ error: `未対応のモードです: ${mode}（${RESULT_MODES.join(', ')}）` });
+        }
+
+        const selectionError = validateModelSelection(modelName, thinkingLevel);
+        if (selectionError) {
+            return res.status(400).json({ error: selectionError });
+        }
 
         // 画像データ取得（アップロードまたはBase64）
-        let imageBase64;
-        let mimeType = 'image/png';
-
-        if (req.file) {
-            imageBase64 = req.file.buffer.toString('base64');
-            mimeType = req.file.mimetype;
-        } else if (req.body.imageBase64) {
-            // Base64データからデータURLプレフィックスを除去
-            const base64Data = req.body.imageBase64.replace(/^data:image\/\w+;base64,/, '');
-            imageBase64 = base64Data;
-            const match = req.body.imageBase64.match(/^data:(image\/\w+);base64,/);
-            if (match) mimeType = match[1];
-        } else {
+        const { images, error: imagesError } = collectImages(req);
+        if (imagesError) {
+            return res.status(400).json({ error: imagesError });
+        }
+        if (images.length === 0) {
             return res.status(400).json({ error: '画像が提供されていません' });
         }
+        if (mode === 'compare' && images.length < 2) {
+            return res.status(400).json({ error: '比較モードには2枚以上の画像が必要です' });
+        }
 
-        // Gemini モデル設定（Agentic Vision有効化）
-        const model = genAI.getGenerativeModel({
-            model: 'gemini-3-flash-preview',
-            tools: [{ codeExecution: {} }],
-            generationConfig: {
-                temperature: 0.2
-            }
-        });
+        // 複数ページの文書をまとめて分析する場合の、各画像のページ番号（比較モード以外）
+        const { pages, error: pagesError } = parseDocumentPages(req.body.pages, images.length);
+        if (pagesError) {
+            return res.status(400).json({ error: pagesError });
+        }
+
+        // 動画のフレームをまとめて分析する場合の、各画像の動画内の時刻（比較モード以外）
+        const { frames, error: framesError } = parseVideoFrames(req.body.frames, images.length);
+        if (framesError) {
+            return res.status(400).json({ error: framesError });
+        }
+        if (pages && frames) {
+            return res.status(400).json({ error: 'pages と frames は同時に指定できません' });
+        }
+
+        const sequence = pages || frames;
+        if (mode === 'compare' && sequence) {
+            return res.status(400).json({ error: 'pages と frames は比較モードでは指定できません' });
+        }
+        if (mode !== 'compare' && images.length > 1 && !sequence) {
+            return res.status(400).json({ error: '複数の画像を送る場合は比較モードかバッチ分析を使用するか、pages でページ番号か frames でフレームの時刻を指定してください' });
+        }
+
+        // 注目領域（比較モード以外）
+        const { regions, error: regionError } = parseRegions(req.body.regions);
+        if (regionError) {
+            return res.status(400).json({ error: regionError });
+        }
+        if ((mode === 'compare' || sequence) && regions.length > 0) {
+            return res.status(400).json({ error: '注目領域は比較モードと複数ページ・フレームの分析では指定できません' });
+        }
 
-        // プロンプト構築
-        const enhancedPrompt = buildAgenticPrompt(prompt);
+        // クライアント側で縮小した場合の縮小率（比較モード以外）
+        const { preprocess, error: preprocessError } = parsePreprocessInfo(req.body.preprocess);
+        if (preprocessError) {
+            return res.status(400).json({ error: preprocessError });
+        }
+        if ((mode === 'compare' || sequence) && preprocess) {
+            return res.status(400).json({ error: 'preprocess は比較モードと複数ページ・フレームの分析では指定できません' });
+        }
+
+        // テンプレートに添付した独自の出力スキーマ（通常分析のみ）
+        const { outputSchema, error: outputSchemaError } = parseOutputSchema(req.body.outputSchema);
+        if (outputSchemaError) {
+            return res.status(400).json({ error: outputSchemaError });
+        }
+        if (mode !== 'analyze' && outputSchema) {
+            return res.status(400).json({ error: 'outputSchema は通常分析モードでのみ指定できます' });
+        }
+
+        // Gemini モデル設定（Agentic Vision有効化）
+        const modelParams = buildModelParams(modelName, thinkingLevel);
+        const model = req.gemini.genAI.getGenerativeModel(modelParams);
 
+        // プロンプト構築（比較モードでは各画像の直前にラベルを、複数ページではページ番号を、動画ではフレーム番号と時刻を置く）
+        const labels = images.map(image => image.label);
+        const imageParts = images.flatMap((image, i) => [
+            ...(mode === 'compare' ? [{ text: `[画像: ${image.label}]` }] : []),
+            ...(pages ? [{ text: `[ページ ${pages[i]}]` }] : []),
+            ...(frames ? [{ text: `[フレーム ${i + 1}・${formatTimestamp(frames[i])}]` }] : []),
+            { inlineData: { data: image.data, mimeType: image.mimeType } }
+        ]);
         const userMessage = [
+            ...imageParts,
             {
-                inlineData: {
-                    data: imageBase64,
-                    mimeType: mimeType
-                }
-            },
-            { text: enhancedPrompt }
+                text: mode === 'compare'
+                    ? buildComparePrompt(prompt, labels)
+                    : buildSingleImagePrompt(mode, prompt, { regions, pages: pages ?? [], frames: frames ?? [], outputSchema })
+            }
         ];
 
-        // ストリーミングまたは通常レスポンス
-        if (streaming === 'true' || streaming === true) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
+        // 同じ画像・プロンプト・設定の結果がキャッシュにあれば、Gemini を呼ばずに返す
+        // （Cache-Control: no-cache で使わない、no-store で保存もしない）
+        const cachePolicy = parseCacheControl(req.get('Cache-Control'));
+        const cacheKey = responseCache && cachePolicy.store
+            ? buildCacheKey({
+                images: images.map(({ data, mimeType, label }) => ({ data, mimeType, label: mode === 'compare' ? label : undefined })),
+                prompt,
+                modelParams,
+                options: { mode, regions, pages, frames, preprocess, outputSchema },
+                // 結果は同じ APIトークン・同じ Gemini API キーのリクエストにだけ返す
+                scope: { client: req.client?.name ?? null, key: req.gemini.fingerprint }
+            })
+            : null;
+        const cached = cacheKey && cachePolicy.lookup ? await responseCache.get(cacheKey) : null;
+        if (responseCache) res.setHeader('X-Cache', cached ? 'HIT' : cachePolicy.lookup ? 'MISS' : 'BYPASS');
 
-            const stream = await model.generateContentStream(userMessage);
+        // キャッシュから返す場合は Gemini を呼ばないため、回数に数えない
+        if (!cached && !chargeRequest(req, res)) return;
 
-            for await (const chunk of stream.stream) {
-                const text = chunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
-                if (text) {
-                    res.write(`data: ${JSON.stringify({ chunk: text })}\n\n`);
-                }
+        // チャットセッションを開始（フォローアップ質問のために保持。キャッシュの結果は保存した履歴から続ける）
+        const chat = startChat(model, cached ? { history: [{ role: 'user', parts: userMessage }, ...cached.history] } : undefined);
+        const session = createSession(chat, {
+            mode,
+            labels: mode === 'compare' ? labels : undefined,
+            regions: regions.length > 0 ? regions : undefined,
+            preprocess: preprocess ?? undefined,
+            pages: pages ?? undefined,
+            frames: frames ?? undefined,
+            outputSchema: outputSchema ?? undefined,
+            model: modelName,
+            thinkingLevel,
+            billing: req.gemini.billing,
+            keyFingerprint: req.gemini.fingerprint
+        });
 
-                // コード実行結果もストリーム
-                const parts = chunk.candidates?.[0]?.content?.parts || [];
-                for (const part of parts) {
-                    if (part.executableCode) {
-                        res.write(`data: ${JSON.stringify({ code: part.executableCode.code })}\n\n`);
-                    }
-                    if (part.codeExecutionResult) {
-                        res.write(`data: ${JSON.stringify({ result: part.codeExecutionResult.output })}\n\n`);
-                    }
-                }
-            }
+        const record = { source: 'vision', owner: storeOwner(req), prompt, images: describeImages(images) };
+        if (cached) {
+            return sendCachedResponse(req, res, session, cached, { streaming: isStreamingRequest(streaming), record });
+        }
 
-            res.write('data: [DONE]\n\n');
-            res.end();
-        } else {
-            const chat = model.startChat();
-            const result = await chat.sendMessage(userMessage);
+        await sendChatMessage(req, res, session, userMessage, {
+            streaming: isStreamingRequest(streaming),
+            record,
+            cacheKey
+        });
+    } catch (error) {
+        console.error('Vision API Error:', error);
+        sendServerError(res, error);
+    }
+});
 
-            // レスポンス解析
-            const response = parseAgenticResponse(result);
-            res.json(response);
+// フォローアップ質問エンドポイント（同じチャット履歴で続ける）
+app.post('/api/vision/:sessionId/messages', useGeminiKey, async (req, res) => {
+    try {
+        const session = getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'セッションが見つからないか、有効期限が切れています' });
+        }
+        // セッションのチャットは作ったときのキーで呼ぶため、別のキー（またはキーなし）では続けさせない
+        if (session.meta.keyFingerprint !== req.gemini.fingerprint) {
+            return res.status(403).json({ error: 'このセッションは別の Gemini API キーで開始されています' });
         }
+
+        const { prompt, streaming = false } = req.body;
+        if (!prompt?.trim()) {
+            return res.status(400).json({ error: '質問が入力されていません' });
+        }
+        if (!chargeRequest(req, res)) return;
+
+        const userMessage = [{ text: buildFollowUpPrompt(prompt) }];
+        await sendChatMessage(req, res, session, userMessage, {
+            streaming: isStreamingRequest(streaming),
+            record: { source: 'follow-up', owner: storeOwner(req), prompt }
+        });
     } catch (error) {
-        console.error('Vision API Error:', error);
-        res.status(500).json({
-            error: error.message,
-            details: error.stack
+        console.error('Vision Follow-up Error:', error);
+        sendServerError(res, error);
+    }
+});
+
+// バッチ分析エンドポイント（複数画像に同じプロンプトを適用）
+app.post('/api/vision/batch', imageUpload, useGeminiKey, async (req, res) => {
+    try {
+        const {
+            prompt,
+            model: modelName = DEFAULT_MODEL,
+            thinkingLevel = DEFAULT_THINKING_LEVEL,
+            streaming = false
+        } = req.body;
+
+        const selectionError = validateModelSelection(modelName, thinkingLevel);
+        if (selectionError) {
+            return res.status(400).json({ error: selectionError });
+        }
+
+        // 画像データ取得（multipart の images[] または JSON の images: [{ name, imageBase64 }]）
+        const { images, error: imagesError } = collectImages(req);
+        if (imagesError) {
+            return res.status(400).json({ error: imagesError });
+        }
+        if (images.length === 0) {
+            return res.status(400).json({ error: '画像が提供されていません' });
+        }
+        if (images.length > BATCH_MAX_ITEMS) {
+            return res.status(400).json({ error: `一度に分析できる画像は ${BATCH_MAX_ITEMS} 枚までです` });
+        }
+
+        const { outputSchema, error: outputSchemaError } = parseOutputSchema(req.body.outputSchema);
+        if (outputSchemaError) {
+            return res.status(400).json({ error: outputSchemaError });
+        }
+        if (!chargeRequest(req, res, images.length)) return;
+
+        await runBatch(req, res, {
+            images,
+            prompt,
+            outputSchema,
+            modelName,
+            thinkingLevel,
+            streaming: isStreamingRequest(streaming)
         });
+    } catch (error) {
+        console.error('Vision Batch Error:', error);
+        sendServerError(res, error);
+    }
+});
+
+// 動画のまとめエンドポイント（フレームごとの観察結果から、何が起きたかを時刻順にまとめる）
+app.post('/api/vision/summary', useGeminiKey, async (req, res) => {
+    try {
+        const {
+            prompt,
+            context,
+            model: modelName = DEFAULT_MODEL,
+            thinkingLevel = DEFAULT_THINKING_LEVEL
+        } = req.body;
+
+        const selectionError = validateModelSelection(modelName, thinkingLevel);
+        if (selectionError) {
+            return res.status(400).json({ error: selectionError });
+        }
+
+        const { frames, error: framesError } = parseTimelineFrames(req.body.frames);
+        if (framesError) {
+            return res.status(400).json({ error: framesError });
+        }
+        if (!chargeRequest(req, res)) return;
+
+        const request = startRequest(req.get('X-Request-Id'), requestOwner(req));
+        res.setHeader('X-Request-Id', request.id);
+        res.on('close', () => {
+            if (!res.writableFinished) request.abort('client disconnected');
+            request.finish();
+        });
+
+        const requestOptions = { signal: request.signal };
+
+        try {
+            // 画像は送らないため、セッションは作らない
+            const model = req.gemini.genAI.getGenerativeModel(buildModelParams(modelName, thinkingLevel));
+            const chat = startChat(model);
+            const result = await sendMessageWithRetry(chat, [
+                { text: buildTimelinePrompt(prompt, frames, typeof context === 'string' ? context.trim() : '') }
+            ], requestOptions);
+
+            const response = parseAgenticResponse(result);
+            await validateWithRepair(chat, response, requestOptions, { outputSchema: TIMELINE_SCHEMA });
+
+            Object.assign(response, { requestId: request.id, mode: 'timeline', model: modelName, thinkingLevel, billing: req.gemini.billing });
+            res.json(await recordAnalysis(response, { source: 'summary', owner: storeOwner(req), prompt }));
+        } catch (error) {
+            if (!request.signal.aborted) throw error;
+            if (!res.writableEnded) {
+                res.status(499).json({ error: '分析はキャンセルされました', cancelled: true, requestId: request.id });
+            }
+        }
+    } catch (error) {
+        console.error('Vision Summary Error:', error);
+        sendServerError(res, error);
     }
 });
 
-// Agentic Vision用プロンプト構築
-function buildAgenticPrompt(userPrompt) {
-    return `
-あなたはAgentic Visionモードで画像を分析します。
-Think-Act-Observeループを使用して、正確な結果を提供してください。
-
-[ユーザーリクエスト]
-${userPrompt}
-
-[処理指示]
-THINK:
-1. 画像の内容を分析
-2. ユーザーリクエストに必要な処理を計画
-3. 使用するアルゴリズムを決定
-
-ACT:
-Pythonコードを使用して画像処理を実行してください。
-必要に応じて: cv2, numpy, PIL, matplotlib を使用できます。
-
-OBSERVE:
-処理結果を確認し、必要に応じて調整してください。
-
-[出力形式]
-以下のJSON形式で返してください:
-{
-  "analysis": "画像分析の説明",
-  "processed_image_base64": "処理後の画像（Base64、ある場合）",
-  "metadata": {
-    "detections": [],
-    "measurements": {},
-    "confidence": 0.0
-  },
-  "summary": "処理結果の要約"
-}
-`.trim();
-}
-
-// レスポンス解析
-function parseAgenticResponse(result) {
-    const response = {
-        success: true,
-        text: '',
-        code: [],
-        codeResults: [],
-        parsedData: null
+// 保存済みの分析一覧（新しい順）
+app.get('/api/analyses', async (req, res) => {
+    if (!analysisStore) {
+        return res.status(404).json({ error: '分析結果の保存は無効です（ANALYSIS_STORE=none）' });
+    }
+
+    try {
+        const query = parseAnalysisQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const { total, items } = await analysisStore.list({ ...query, owner: storeOwner(req) });
+        res.json({ total, limit: query.limit, offset: query.offset, items });
+    } catch (error) {
+        console.error('Analysis Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 保存済みの分析（リクエストとレスポンス全体）
+app.get('/api/analyses/:id', async (req, res) => {
+    try {
+        const record = await analysisStore?.get(req.params.id, storeOwner(req));
+        if (!record) {
+            return res.status(404).json({ error: '分析結果が見つかりません' });
+        }
+        res.json(record);
+    } catch (error) {
+        console.error('Analysis Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/analyses/:id', async (req, res) => {
+    try {
+        if (!await analysisStore?.remove(req.params.id, storeOwner(req))) {
+            return res.status(404).json({ error: '分析結果が見つかりません' });
+        }
+        res.json({ id: req.params.id, deleted: true });
+    } catch (error) {
+        console.error('Analysis Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 分析結果のキャッシュ（件数・ヒット数と、有効期限内の一覧）
+app.get('/api/cache', async (req, res) => {
+    if (!responseCache) {
+        return res.status(404).json({ error: '分析結果のキャッシュは無効です（RESPONSE_CACHE=none）' });
+    }
+
+    try {
+        const items = await responseCache.list(storeOwner(req));
+        res.json({ ...responseCache.stats(), total: items.length, items });
+    } catch (error) {
+        console.error('Response Cache Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// キャッシュをすべて削除（認証した場合は、そのトークンのキャッシュだけ）
+app.delete('/api/cache', async (req, res) => {
+    if (!responseCache) {
+        return res.status(404).json({ error: '分析結果のキャッシュは無効です（RESPONSE_CACHE=none）' });
+    }
+
+    try {
+        res.json({ cleared: await responseCache.clear(storeOwner(req)) });
+    } catch (error) {
+        console.error('Response Cache Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/cache/:key', async (req, res) => {
+    try {
+        if (!await responseCache?.remove(req.params.key, storeOwner(req))) {
+            return res.status(404).json({ error: 'キャッシュが見つかりません' });
+        }
+        res.json({ key: req.params.key, deleted: true });
+    } catch (error) {
+        console.error('Response Cache Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// プロンプトテンプレート一覧（並び順どおり）
+app.get('/api/templates', async (req, res) => {
+    res.json({ templates: await templateStore.list() });
+});
+
+// 共有用のJSONファイルとしてダウンロード（POST /api/templates/import で取り込める）
+app.get('/api/templates/export', async (req, res) => {
+    res.attachment('templates.json');
+    res.json({
+        version: TEMPLATE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        templates: await templateStore.list()
+    });
+});
+
+app.get('/api/templates/:id', async (req, res) => {
+    const template = await templateStore.get(req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'テンプレートが見つかりません' });
+    }
+    res.json(template);
+});
+
+app.post('/api/templates', async (req, res) => {
+    try {
+        const { template, error } = validateTemplate(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const created = await templateStore.create(template);
+        if (created.error) {
+            return res.status(400).json({ error: created.error });
+        }
+        res.status(201).json(created.template);
+    } catch (error) {
+        console.error('Template Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// エクスポートしたJSON（{ templates: [...] } または配列）を取り込む
+// 同じIDのテンプレートは上書きし、replace: true の場合は全件を置き換える
+app.post('/api/templates/import', async (req, res) => {
+    try {
+        const inputs = Array.isArray(req.body) ? req.body : req.body?.templates;
+        if (!Array.isArray(inputs)) {
+            return res.status(400).json({ error: 'templates は配列で指定してください' });
+        }
+
+        const validated = [];
+        for (const [i, input] of inputs.entries()) {
+            const { template, error } = validateTemplate(input);
+            if (error) {
+                return res.status(400).json({ error: `templates[${i}]: ${error}` });
+            }
+            validated.push({ id: input.id, createdAt: input.createdAt, input: template });
+        }
+
+        const imported = await templateStore.import(validated, { replace: req.body?.replace === true });
+        if (imported.error) {
+            return res.status(400).json({ error: imported.error });
+        }
+        res.json({ imported: validated.length, templates: imported.templates });
+    } catch (error) {
+        console.error('Template Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 並び替え（/:id より先に定義する）
+app.put('/api/templates/order', async (req, res) => {
+    try {
+        const ids = req.body?.ids;
+        if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+            return res.status(400).json({ error: 'ids はテンプレートIDの配列で指定してください' });
+        }
+        res.json({ templates: await templateStore.reorder(ids) });
+    } catch (error) {
+        console.error('Template Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/templates/:id', async (req, res) => {
+    try {
+        const { template, error } = validateTemplate(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const updated = await templateStore.update(req.params.id, template);
+        if (!updated) {
+            return res.status(404).json({ error: 'テンプレートが見つかりません' });
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error('Template Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+    try {
+        if (!await templateStore.remove(req.params.id)) {
+            return res.status(404).json({ error: 'テンプレートが見つかりません' });
+        }
+        res.json({ id: req.params.id, deleted: true });
+    } catch (error) {
+        console.error('Template Store Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 実行中の分析をキャンセル（別タブやスクリプトから。開始したのと同じトークン・IPアドレスからのみ）
+app.delete('/api/vision/:requestId', (req, res) => {
+    if (!cancelRequest(req.params.requestId, requestOwner(req))) {
+        return res.status(404).json({ error: '実行中のリクエストが見つかりません' });
+    }
+    res.json({ requestId: req.params.requestId, cancelled: true });
+});
+
+function isStreamingRequest(streaming) {
+    return streaming === 'true' || streaming === true;
+}
+
+const PUBLIC_API_PATHS = ['/models'];
+
+/**
+ * Gemini を呼ぶリクエストの回数を、トークンごと（認証した場合）と IPアドレスごとに数える
+ * リクエストを検証し終え、Gemini を呼ぶ直前に呼ぶ（不正なリクエストは数えない）
+ * どちらかが上限を超える場合は、どちらも数えずに 429 を、cost だけで上限を超える場合は 400 を返す
+ * @param {number} cost 1回のリクエストで数える回数（バッチ分析は画像の枚数）
+ * @returns {boolean} false ならレスポンスを返し済み
+ */
+function chargeRequest(req, res, cost = 1) {
+    const limits = [
+        ...(req.client && tokenLimiter.enabled ? [{ limiter: tokenLimiter, key: req.client.name, label: 'APIトークン' }] : []),
+        ...(ipLimiter.enabled ? [{ limiter: ipLimiter, key: req.ip, label: 'IPアドレス' }] : [])
+    ];
+
+    for (const { limiter, key, label } of limits) {
+        const result = limiter.check(key, cost);
+        if (result.allowed) continue;
+
+        const period = result.window === 'day' ? '1日' : '1分間';
+        // 待っても通らないため、Retry-After は付けない
+        if (result.oversized) {
+            res.status(400).json({
+                error: `このリクエストは${cost}回と数えるため、${label}ごとの${period}のリクエスト数の上限（${result.limit}回）を超えます`,
+                limit: result.limit,
+                window: result.window
+            });
+            return false;
+        }
+
+        res.setHeader('Retry-After', String(result.retryAfterSeconds));
+        res.status(429).json({
+            error: `${label}ごとの${period}のリクエスト数の上限（${result.limit}回）に達しました`,
+            limit: result.limit,
+            window: result.window,
+            retryAfter: result.retryAfterSeconds
+        });
+        return false;
+    }
+
+    for (const { limiter, key } of limits) limiter.consume(key, cost);
+    return true;
+}
+
+// 実行中のリクエストをキャンセルできる相手（認証した場合はトークン、しなければ IPアドレス）
+function requestOwner(req) {
+    return req.client ? `token:${req.client.name}` : `ip:${req.ip}`;
+}
+
+// 保存した分析・キャッシュを一覧・削除できる相手（認証した場合はトークン。しなければ null で、全員で共有する）
+function storeOwner(req) {
+    return req.client ? `token:${req.client.name}` : null;
+}
+
+// リクエストのキー（X-Gemini-Api-Key）で使う Gemini のクライアントを決め、req.gemini に置く
+function useGeminiKey(req, res, next) {
+    const { error, ...gemini } = geminiKeys.resolve(req.get(GEMINI_KEY_HEADER));
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    req.gemini = gemini;
+    next();
+}
+
+// TRUST_PROXY: true / false / プロキシの段数 / loopback などのサブネット（Express の trust proxy と同じ）
+function parseTrustProxy(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * リクエストから画像を取り出す
+ * multipart: image / images（ラベルは labels で同じ順に指定）
+ * JSON: imageBase64 または images: [{ name, label, imageBase64 }]
+ * @returns {{ images: object[] } | { error: string }}
+ */
+function collectImages(req) {
+    const labels = [].concat(req.body.labels ?? []);
+    const defaultLabel = (i) => String.fromCharCode(65 + i);
+    const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+
+    if (files.length > 0) {
+        return {
+            images: files.map((file, i) => ({
+                name: file.originalname,
+                label: labels[i] || defaultLabel(i),
+                data: file.buffer.toString('base64'),
+                mimeType: file.mimetype
+            }))
+        };
+    }
+
+    if (Array.isArray(req.body.images)) {
+        const entries = req.body.images.filter(image => image?.imageBase64);
+        const invalid = entries.findIndex(image => typeof image.imageBase64 !== 'string');
+        if (invalid >= 0) {
+            return { error: `images[${invalid}].imageBase64 はデータURLかBase64の文字列で指定してください` };
+        }
+        return {
+            images: entries.map((image, i) => ({
+                name: typeof image.name === 'string' && image.name ? image.name : `image-${i + 1}`,
+                label: typeof image.label === 'string' && image.label ? image.label : defaultLabel(i),
+                ...parseImageDataUrl(image.imageBase64)
+            }))
+        };
+    }
+
+    if (req.body.imageBase64) {
+        if (typeof req.body.imageBase64 !== 'string') {
+            return { error: 'imageBase64 はデータURLかBase64の文字列で指定してください' };
+        }
+        return { images: [{ name: 'image', label: defaultLabel(0), ...parseImageDataUrl(req.body.imageBase64) }] };
+    }
+
+    return { images: [] };
+}
+
+// 保存用の画像情報（画像データ自体は保存しない）
+function describeImages(images) {
+    return images.map(({ name, label, mimeType, data }) => ({
+        name,
+        label,
+        mimeType,
+        bytes: Buffer.byteLength(data, 'base64')
+    }));
+}
+
+const ANALYSES_PAGE_SIZE = 20;
+const ANALYSES_MAX_PAGE_SIZE = 100;
+
+/**
+ * GET /api/analyses のクエリを解釈する
+ * from / to は ISO 8601 の日時または日付（日付のみの to はその日の終わりまで含む）
+ */
+function parseAnalysisQuery({ limit, offset, from, to, q, model, mode }) {
+    const query = {
+        limit: Math.min(Number(limit ?? ANALYSES_PAGE_SIZE), ANALYSES_MAX_PAGE_SIZE),
+        offset: Number(offset ?? 0),
+        q: q || undefined,
+        model: model || undefined,
+        mode: mode || undefined
     };
 
+    if (!Number.isInteger(query.limit) || query.limit < 1 || !Number.isInteger(query.offset) || query.offset < 0) {
+        return { error: 'limit は1以上、offset は0以上の整数で指定してください' };
+    }
+
+    for (const [key, value] of [['from', from], ['to', to]]) {
+        if (!value) continue;
+
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${key} は日付（例: 2026-01-31）または ISO 8601 の日時で指定してください` };
+        }
+        if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCMilliseconds(-1);
+        }
+        query[key] = date.toISOString();
+    }
+
+    return query;
+}
+
+/**
+ * 分析結果を保存し、レスポンスに analysisId を付ける
+ * 保存に失敗しても分析結果自体は返す
+ */
+async function recordAnalysis(response, record) {
+    if (!analysisStore) return response;
+
     try {
-        const candidates = result.response.candidates || [];
+        const { id } = await analysisStore.save({
+            mode: response.mode ?? 'analyze',
+            model: response.model,
+            thinkingLevel: response.thinkingLevel,
+            ...record,
+            response
+        });
+        response.analysisId = id;
+    } catch (error) {
+        console.error('Analysis Store Error:', error);
+    }
+
+    return response;
+}
+
+// データURL（またはプレフィックスなしのBase64）を分解
+function parseImageDataUrl(dataUrl) {
+    const match = dataUrl.match(/^data:(image\/[\w.+-]+);base64,/);
+    return {
+        data: match ? dataUrl.slice(match[0].length) : dataUrl,
+        mimeType: match ? match[1] : 'image/png'
+    };
+}
+
+// バッチ内の各画像を同時実行数を制限して分析し、項目ごとの状態を返す
+async function runBatch(req, res, { images, prompt, outputSchema, modelName, thinkingLevel, streaming }) {
+    const request = startRequest(req.get('X-Request-Id'), requestOwner(req));
+    res.setHeader('X-Request-Id', request.id);
+    res.on('close', () => {
+        if (!res.writableFinished) request.abort('client disconnected');
+        request.finish();
+    });
+
+    const items = images.map((image, index) => ({ index, name: image.name, status: 'queued' }));
+    const events = streaming ? openEventStream(res) : null;
+    events?.send('start', { requestId: request.id, total: items.length, concurrency: BATCH_CONCURRENCY });
+
+    await mapWithConcurrency(images, BATCH_CONCURRENCY, async (image, index) => {
+        const item = items[index];
+        item.status = 'running';
+        events?.send('item', item);
+
+        try {
+            const response = await analyzeImageOnce({
+                gemini: req.gemini,
+                image,
+                prompt,
+                outputSchema,
+                modelName,
+                thinkingLevel,
+                requestOptions: { signal: request.signal }
+            });
+            item.result = await recordAnalysis(response, {
+                source: 'batch',
+                owner: storeOwner(req),
+                batchRequestId: request.id,
+                model: modelName,
+                thinkingLevel,
+                prompt,
+                images: describeImages([image])
+            });
+            item.status = 'done';
+        } catch (error) {
+            item.status = request.signal.aborted ? 'cancelled' : 'error';
+            item.error = request.signal.aborted ? '分析はキャンセルされました' : describeGeminiError(error)?.message ?? error.message;
+        }
+
+        events?.send('item', item);
+    }, { signal: request.signal });
+
+    // 中断により開始されなかった項目
+    for (const item of items) {
+        if (item.status === 'queued') {
+            item.status = 'cancelled';
+            item.error = '分析はキャンセルされました';
+        }
+    }
+
+    const summary = {
+        requestId: request.id,
+        model: modelName,
+        thinkingLevel,
+        billing: req.gemini.billing,
+        total: items.length,
+        completed: items.filter(item => item.status === 'done').length,
+        failed: items.filter(item => item.status === 'error').length,
+        cancelled: items.filter(item => item.status === 'cancelled').length,
+        items
+    };
+
+    if (events) {
+        events.send('final', summary);
+        events.close();
+    } else if (!res.writableEnded) {
+        res.json(summary);
+    }
+}
+
+// 1枚の画像を単発で分析（セッションは作らない）
+async function analyzeImageOnce({ gemini, image, prompt, outputSchema, modelName, thinkingLevel, requestOptions }) {
+    const model = gemini.genAI.getGenerativeModel(buildModelParams(modelName, thinkingLevel));
+    const chat = startChat(model);
 
-        for (const candidate of candidates) {
-            const parts = candidate.content?.parts || [];
+    const result = await sendMessageWithRetry(chat, [
+        { inlineData: { data: image.data, mimeType: image.mimeType } },
+        { text: buildAgenticPrompt(prompt, { outputSchema }) }
+    ], requestOptions);
 
-            for (const part of parts) {
-                if (part.text) {
-                    response.text += part.text;
-                }
-                if (part.executableCode) {
-                    response.code.push(part.executableCode.code);
-                }
-                if (part.codeExecutionResult) {
-                    response.codeResults.push(part.codeExecutionResult.output);
-                }
+    const response = parseAgenticResponse(result);
+    await validateWithRepair(chat, response, requestOptions, { mode: 'analyze', outputSchema });
+    response.billing = gemini.billing;
+    return response;
+}
+
+// セッションのチャットにメッセージを送信し、結果を返す
+// cacheKey を指定すると、スキーマを満たした結果をキャッシュする
+async function sendChatMessage(req, res, session, userMessage, { streaming, record, cacheKey = null }) {
+    session.turns++;
+
+    // クライアントが X-Request-Id を指定すれば、そのIDでキャンセルできる
+    const request = startRequest(req.get('X-Request-Id'), requestOwner(req));
+    res.setHeader('X-Request-Id', request.id);
+
+    // クライアント切断時は上流の生成も中断する
+    // （req の 'close' はボディ受信完了でも発火するため、未完了の res で判定）
+    res.on('close', () => {
+        if (!res.writableFinished) request.abort('client disconnected');
+        request.finish();
+    });
+
+    const requestOptions = { signal: request.signal };
+
+    if (!streaming) {
+        try {
+            const result = await sendMessageWithRetry(session.chat, userMessage, requestOptions);
+
+            // レスポンス解析とスキーマ検証
+            const response = parseAgenticResponse(result);
+            await validateWithRepair(session.chat, response, requestOptions, session.meta);
+            mapDetectionCoordinates(response.parsedData, session.meta);
+            await cacheResponse(cacheKey, response, session, record);
+
+            withSessionInfo(response, session, request.id);
+            res.json(await recordAnalysis(response, record));
+        } catch (error) {
+            if (!request.signal.aborted) throw error;
+            if (!res.writableEnded) {
+                res.status(499).json({ error: '分析はキャンセルされました', cancelled: true, requestId: request.id });
             }
         }
+        return;
+    }
+
+    // ストリーミング（イベント形式は lib/event-stream.js を参照）
+    const events = openEventStream(res);
+    events.send('start', streamStartInfo(session, request.id, false));
 
-        // JSONパース試行
+    try {
+        // 順番待ちの間は queue、再試行の前は retry で知らせる
+        // 枠は応答を読み終えるまで持ち、修復の再プロンプト（validateWithRepair）の前に返す
+        const slot = await acquireGeminiSlot({
+            signal: request.signal,
+            onQueue: (position) => events.send('queue', { position })
+        });
+        let aggregated;
         try {
-            response.parsedData = JSON.parse(response.text);
-        } catch {
-            // JSONでない場合はテキストのまま
+            const stream = await withGeminiRetry(() => session.chat.sendMessageStream(userMessage, requestOptions), {
+                signal: request.signal,
+                onRetry: ({ attempt, maxRetries, delayMs, status }) => events.send('retry', { attempt, maxRetries, delayMs, status })
+            });
+            const sendPart = createPartSender(events);
+
+            for await (const chunk of stream.stream) {
+                if (request.signal.aborted) break;
+
+                const parts = chunk.candidates?.[0]?.content?.parts || [];
+                parts.forEach(sendPart);
+            }
+
+            if (!request.signal.aborted) aggregated = await stream.response;
+        } finally {
+            slot.release();
+        }
+
+        if (request.signal.aborted) {
+            events.send('error', { message: '分析はキャンセルされました', cancelled: true });
+            return;
         }
+
+        // 集約済みレスポンスから非ストリーミングと同じ結果を構築
+        const response = parseAgenticResponse({ response: aggregated });
+        await validateWithRepair(session.chat, response, requestOptions, session.meta);
+        mapDetectionCoordinates(response.parsedData, session.meta);
+        await cacheResponse(cacheKey, response, session, record);
+
+        withSessionInfo(response, session, request.id);
+        events.send('final', await recordAnalysis(response, record));
     } catch (error) {
-        response.success = false;
-        response.error = error.message;
+        if (request.signal.aborted) {
+            events.send('error', { message: '分析はキャンセルされました', cancelled: true });
+        } else {
+            console.error('Vision Stream Error:', error);
+            const upstream = describeGeminiError(error);
+            events.send('error', upstream
+                ? { message: upstream.message, status: upstream.status, retryAfter: upstream.retryAfterSeconds }
+                : { message: error.message });
+        }
+    } finally {
+        events.close();
     }
+}
+
+/**
+ * キャッシュした結果を返す（ストリーミングでは、保存したモデルの出力を text / code / code_result として送り直す）
+ * 分析の履歴には、キャッシュから返したことを付けて保存する
+ */
+async function sendCachedResponse(req, res, session, entry, { streaming, record }) {
+    session.turns++;
+
+    const request = startRequest(req.get('X-Request-Id'), requestOwner(req));
+    res.setHeader('X-Request-Id', request.id);
+    request.finish();
+
+    const response = { ...structuredClone(entry.response), cached: true, cachedAt: entry.createdAt };
+    withSessionInfo(response, session, request.id);
+    // Gemini は呼んでいない（フォローアップはセッションのキーで呼ぶ）
+    response.billing = null;
+
+    if (!streaming) {
+        res.json(await recordAnalysis(response, { ...record, cached: true }));
+        return;
+    }
+
+    const events = openEventStream(res);
+    events.send('start', streamStartInfo(session, request.id, true));
+
+    // 履歴の最初のモデルの出力が、最初にストリーミングで送った内容
+    const sendPart = createPartSender(events);
+    entry.history.find(content => content.role === 'model')?.parts.forEach(sendPart);
+
+    events.send('final', await recordAnalysis(response, { ...record, cached: true }));
+    events.close();
+}
+
+// スキーマを満たした結果を、最初のメッセージより後のチャット履歴と一緒にキャッシュする（失敗しても結果は返す）
+async function cacheResponse(cacheKey, response, session, record) {
+    response.cached = false;
+    if (!cacheKey || !response.schemaValid) return;
+
+    try {
+        const history = await session.chat.getHistory();
+        await responseCache.set(cacheKey, {
+            meta: {
+                mode: session.meta.mode,
+                model: session.meta.model,
+                thinkingLevel: session.meta.thinkingLevel,
+                owner: record.owner,
+                prompt: record.prompt,
+                images: record.images
+            },
+            response: structuredClone(response),
+            history: history.slice(1)
+        });
+    } catch (error) {
+        console.error('Response Cache Error:', error);
+    }
+}
+
+function streamStartInfo(session, requestId, cached) {
+    return {
+        requestId,
+        mode: session.meta.mode,
+        sessionId: session.id,
+        expiresAt: sessionExpiresAt(session),
+        model: session.meta.model,
+        thinkingLevel: session.meta.thinkingLevel,
+        cached
+    };
+}
+
+// モデルの出力のパートを text / code / code_result のイベントとして送る（code_result は直前の code と同じ index）
+function createPartSender(events) {
+    let codeIndex = -1;
+
+    return (part) => {
+        if (part.text) {
+            events.send('text', { text: part.text });
+        }
+        if (part.executableCode) {
+            codeIndex++;
+            events.send('code', {
+                index: codeIndex,
+                language: part.executableCode.language,
+                code: part.executableCode.code
+            });
+        }
+        if (part.codeExecutionResult) {
+            events.send('code_result', {
+                index: codeIndex,
+                outcome: part.codeExecutionResult.outcome,
+                output: part.codeExecutionResult.output
+            });
+        }
+    };
+}
+
+/**
+ * 再試行しても失敗した Gemini の一時的なエラー（429・503 など）はそのステータスと Retry-After で、
+ * それ以外は 500 で返す
+ */
+function sendServerError(res, error) {
+    const upstream = describeGeminiError(error);
+    // スタックトレースはサーバーのログにだけ残す（呼び出し側で console.error 済み）
+    if (!upstream) {
+        return res.status(500).json({ error: error.message });
+    }
+
+    if (upstream.retryAfterSeconds !== null) res.setHeader('Retry-After', String(upstream.retryAfterSeconds));
+    res.status(upstream.status).json({ error: upstream.message, retryAfter: upstream.retryAfterSeconds });
+}
+
+// 検出・OCRの行・表の座標を、領域内から送信画像全体に、さらに縮小前の元画像（original_bbox）に変換
+function mapDetectionCoordinates(data, meta) {
+    mapRegionDetections(data, meta.regions || []);
+    addOriginalCoordinates(data, meta.preprocess);
+}
 
+function withSessionInfo(response, session, requestId) {
+    response.requestId = requestId;
+    response.mode = session.meta.mode;
+    if (session.meta.labels) response.labels = session.meta.labels;
+    if (session.meta.regions) response.regions = session.meta.regions;
+    if (session.meta.preprocess) response.preprocess = session.meta.preprocess;
+    if (session.meta.pages) response.pages = session.meta.pages;
+    if (session.meta.frames) response.frames = session.meta.frames;
+    response.sessionId = session.id;
+    response.expiresAt = sessionExpiresAt(session);
+    response.turn = session.turns;
+    response.model = session.meta.model;
+    response.thinkingLevel = session.meta.thinkingLevel;
+    response.billing = session.meta.billing;
     return response;
 }
 
@@ -0,0 +1,42 @@
+/**
+ * api-auth.js - サーバーの APIトークンと、利用者の Gemini API キー
+ *
+ * 設定モーダルで入力した値を保存し、/api へのリクエストのヘッダーにします。
+ *   APIトークン      Authorization: Bearer（サーバーで API_TOKENS を設定している場合）
+ *   Gemini API キー  X-Gemini-Api-Key（分析のリクエストだけ。省略するとサーバーのキーを使う）
+ */
+
+const STORAGE_KEY = 'api_token';
+const GEMINI_KEY_STORAGE_KEY = 'gemini_api_key';
+
+export const GEMINI_KEY_HEADER = 'X-Gemini-Api-Key';
+
+export function loadApiToken() {
+    return localStorage.getItem(STORAGE_KEY) || '';
+}
+
+// 空なら削除する
+export function saveApiToken(token) {
+    if (token) localStorage.setItem(STORAGE_KEY, token);
+    else localStorage.removeItem(STORAGE_KEY);
+}
+
+export function loadGeminiKey() {
+    return localStorage.getItem(GEMINI_KEY_STORAGE_KEY) || '';
+}
+
+// 空なら削除する
+export function saveGeminiKey(key) {
+    if (key) localStorage.setItem(GEMINI_KEY_STORAGE_KEY, key);
+    else localStorage.removeItem(GEMINI_KEY_STORAGE_KEY);
+}
+
+export function authHeaders() {
+    const token = loadApiToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Gemini を呼ぶリクエスト用（テンプレートなど、Gemini を呼ばないリクエストにはキーを送らない）
+export function geminiHeaders(key = loadGeminiKey()) {
+    return { ...authHeaders(), ...(key ? { [GEMINI_KEY_HEADER]: key } : {}) };
+}
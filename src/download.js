@@ -0,0 +1,39 @@
+/**
+ * download.js - ファイルダウンロード・表形式の書き出し
+ */
+
+export function downloadFile(filename, content, mimeType = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+
+    // クリック処理が終わってから解放する
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 2次元配列を CSV / TSV 文字列に変換
+ * 区切り文字・改行・ダブルクォートを含むセルはクォートする
+ */
+export function toDelimited(rows, delimiter = ',') {
+    return rows
+        .map(row => row.map(cell => escapeCell(cell, delimiter)).join(delimiter))
+        .join('\r\n');
+}
+
+export function timestampForFilename(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+function escapeCell(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
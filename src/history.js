@@ -0,0 +1,111 @@
+/**
+ * history.js - 分析履歴の保存（IndexedDB）
+ *
+ * 分析ごとに入力画像・プロンプト・設定・結果を1件のエントリとして保存し、
+ * ページを再読み込みしても履歴から結果を開き直せるようにします。
+ */
+
+const DB_NAME = 'agentic-vision';
+const DB_VERSION = 1;
+const STORE_NAME = 'analyses';
+const THUMBNAIL_SIZE = 160;
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('createdAt', 'createdAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+// 1回のトランザクションで callback を実行し、その IDBRequest の結果を返す
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 分析結果を履歴に追加
+ * @param {{ mode, prompt, model, thinkingLevel, images: { label, base64, width?, height? }[], regions?, result }} entry
+ * @returns {Promise<object>} 保存したエントリ
+ */
+export async function saveHistoryEntry({ mode = 'analyze', prompt, model, thinkingLevel, images, regions = [], result }) {
+    const entry = {
+        id: crypto.randomUUID(),
+        createdAt: Date.now(),
+        mode,
+        prompt,
+        model,
+        thinkingLevel,
+        thumbnail: images[0] ? await createThumbnail(images[0].base64) : null,
+        images,
+        regions,
+        result
+    };
+
+    await withStore('readwrite', store => store.put(entry));
+    return entry;
+}
+
+/**
+ * 新しい順に履歴を返す
+ * query を指定した場合はプロンプトに含むものだけ（大文字小文字は区別しない）
+ */
+export async function listHistoryEntries({ query = '' } = {}) {
+    const entries = await withStore('readonly', store => store.index('createdAt').getAll());
+    const needle = query.trim().toLowerCase();
+
+    return entries
+        .filter(entry => !needle || (entry.prompt || '').toLowerCase().includes(needle))
+        .reverse();
+}
+
+export function getHistoryEntry(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+export function deleteHistoryEntry(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+// 一覧表示用の縮小画像（JPEG のデータURL）
+function createThumbnail(dataUrl) {
+    return new Promise((resolve) => {
+        const img = new Image();
+
+        img.onload = () => {
+            const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.7));
+        };
+        // 読み込めない画像でも履歴の保存自体は続ける
+        img.onerror = () => resolve(null);
+
+        img.src = dataUrl;
+    });
+}
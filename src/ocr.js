@@ -0,0 +1,73 @@
+/**
+ * ocr.js - OCR結果の整形
+ *
+ * OCRモードの結果（lines と読み順 order）からプレーンテキスト・Markdownを組み立て、
+ * 単語検索の一致箇所を求めます。
+ */
+
+// 読み順に並べた行（order がない行は元の順番のまま後ろに回す）
+export function orderedLines(data) {
+    const lines = Array.isArray(data?.lines) ? data.lines : [];
+
+    return lines
+        .map((line, index) => ({ line, index }))
+        .sort((a, b) => (a.line.order ?? Infinity) - (b.line.order ?? Infinity) || a.index - b.index)
+        .map(({ line }) => line);
+}
+
+export function toPlainText(data) {
+    const lines = orderedLines(data);
+    return lines.length > 0 ? lines.map(line => line.text).join('\n') : (data?.text || '');
+}
+
+/**
+ * 同じ block の行を1段落にまとめた Markdown
+ * 段落内の改行は行末の2スペースで保持する
+ */
+export function toMarkdown(data) {
+    const paragraphs = [];
+    let current = null;
+    let currentBlock;
+
+    for (const line of orderedLines(data)) {
+        if (!current || line.block === undefined || line.block !== currentBlock) {
+            current = [];
+            paragraphs.push(current);
+            currentBlock = line.block;
+        }
+        current.push(escapeMarkdown(line.text));
+    }
+
+    return paragraphs.map(lines => lines.join('  \n')).join('\n\n');
+}
+
+/**
+ * 検索語を含む単語（単語がない行は行全体）を返す
+ * 大文字小文字・全角半角の違いは区別しない
+ * @returns {{ line: object, word?: object }[]}
+ */
+export function findMatches(data, query) {
+    const needle = normalize(query);
+    if (!needle) return [];
+
+    const matches = [];
+    for (const line of orderedLines(data)) {
+        const words = Array.isArray(line.words) ? line.words : [];
+        const matchedWords = words.filter(word => normalize(word.text).includes(needle));
+
+        if (matchedWords.length > 0) {
+            matchedWords.forEach(word => matches.push({ line, word }));
+        } else if (normalize(line.text).includes(needle)) {
+            matches.push({ line });
+        }
+    }
+    return matches;
+}
+
+function normalize(text) {
+    return String(text ?? '').normalize('NFKC').toLowerCase().trim();
+}
+
+function escapeMarkdown(text) {
+    return String(text ?? '').replace(/([\\`*_[\]#<>|])/g, '\\$1');
+}
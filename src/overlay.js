@@ -0,0 +1,83 @@
+/**
+ * overlay.js - 検出結果のキャンバス描画
+ *
+ * metadata.detections の bbox（元画像のピクセル座標 [x1, y1, x2, y2]）を
+ * 元画像の上にラベル・信頼度付きで描画します。
+ */
+
+// ラベルごとに一定の色を割り当てる
+export function colorForLabel(label = '') {
+    let hash = 0;
+    for (const ch of String(label)) {
+        hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    }
+    return `hsl(${hash % 360}, 85%, 60%)`;
+}
+
+export function hasBbox(detection) {
+    return Array.isArray(detection?.bbox)
+        && detection.bbox.length === 4
+        && detection.bbox.every(Number.isFinite);
+}
+
+/**
+ * 元画像と検出枠をキャンバスに描画する
+ * @param {HTMLCanvasElement} canvas
+ * @param {HTMLImageElement} image 読み込み済みの元画像
+ * @param {object[]} detections
+ * @param {{ isVisible?: (index: number) => boolean, highlight?: number|null }} options
+ */
+export function drawDetections(canvas, image, detections, { isVisible = () => true, highlight = null } = {}) {
+    const { naturalWidth: width, naturalHeight: height } = image;
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0);
+
+    // 表示サイズが縮小されても読めるよう、線と文字の太さは画像サイズに合わせる
+    const unit = Math.max(1, Math.max(width, height) / 600);
+    const fontSize = Math.round(12 * unit);
+    ctx.font = `600 ${fontSize}px Inter, sans-serif`;
+    ctx.textBaseline = 'top';
+
+    const dimmed = highlight !== null && highlight !== undefined;
+
+    detections.forEach((detection, index) => {
+        if (!hasBbox(detection) || !isVisible(index)) return;
+
+        const [x1, y1, x2, y2] = detection.bbox;
+        const color = colorForLabel(detection.label);
+        const active = index === highlight;
+
+        ctx.globalAlpha = dimmed && !active ? 0.35 : 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = (active ? 4 : 2) * unit;
+        ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+
+        if (active) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.15;
+            ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+            ctx.globalAlpha = 1;
+        }
+
+        const text = typeof detection.confidence === 'number'
+            ? `${detection.label} ${(detection.confidence * 100).toFixed(0)}%`
+            : String(detection.label ?? '');
+        const padding = 3 * unit;
+        const textWidth = ctx.measureText(text).width;
+
+        // ラベルは枠の上側に置き、画像の外にはみ出す場合は枠の内側に置く
+        const labelHeight = fontSize + padding * 2;
+        const labelY = y1 - labelHeight >= 0 ? y1 - labelHeight : y1;
+
+        ctx.fillStyle = color;
+        ctx.fillRect(x1, labelY, textWidth + padding * 2, labelHeight);
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillText(text, x1 + padding, labelY + padding);
+    });
+
+    ctx.globalAlpha = 1;
+}
@@ -0,0 +1,103 @@
+/**
+ * pdf.js - PDF文書の入力
+ *
+ * PDF.js でPDFのページをブラウザ内で画像に描画し、分析するページ範囲を解釈します。
+ * PDF.js は大きいため、最初にPDFを開いたときに読み込みます。
+ */
+
+export const PDF_MIME_TYPE = 'application/pdf';
+
+// 前処理が無効な場合の描画サイズ（長辺）と、小さいページを拡大しすぎないための上限倍率
+const DEFAULT_RENDER_DIMENSION = 2048;
+const MAX_RENDER_SCALE = 4;
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+    pdfjsPromise ??= Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+        pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+        return pdfjs;
+    });
+    return pdfjsPromise;
+}
+
+export function isPdfFile(file) {
+    return file?.type === PDF_MIME_TYPE || /\.pdf$/i.test(file?.name || '');
+}
+
+/**
+ * @returns {Promise<{ name: string, pageCount: number, document: object }>}
+ */
+export async function openPdf(file) {
+    const pdfjs = await loadPdfjs();
+    const pdfDocument = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+
+    return {
+        name: file.name.replace(/\.pdf$/i, '') || 'document',
+        pageCount: pdfDocument.numPages,
+        document: pdfDocument
+    };
+}
+
+export function closePdf(pdf) {
+    pdf?.document.destroy();
+}
+
+/**
+ * ページを長辺が maxDimension になるよう描画し、PNG の画像ファイルにする
+ * PDFには元の画素数がないため、前処理で縮小するのではなく描画する大きさで合わせる
+ * @returns {Promise<File>}
+ */
+export async function renderPdfPage(pdf, pageNumber, { maxDimension } = {}) {
+    const page = await pdf.document.getPage(pageNumber);
+
+    try {
+        const { width, height } = page.getViewport({ scale: 1 });
+        const target = Number(maxDimension) || DEFAULT_RENDER_DIMENSION;
+        const viewport = page.getViewport({ scale: Math.min(MAX_RENDER_SCALE, target / Math.max(width, height)) });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.floor(viewport.width));
+        canvas.height = Math.max(1, Math.floor(viewport.height));
+
+        // 透明な背景は白として描画する
+        await page.render({ canvas, viewport, background: '#ffffff' }).promise;
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => (result ? resolve(result) : reject(new Error('ページを画像にできませんでした'))), 'image/png');
+        });
+        return new File([blob], `${pdf.name}_p${pageNumber}.png`, { type: 'image/png' });
+    } finally {
+        page.cleanup();
+    }
+}
+
+/**
+ * 「1-3, 5, 8-」のようなページ範囲を解釈する（空欄はすべてのページ）
+ * @returns {{ pages: number[] } | { error: string }}
+ */
+export function parsePageRange(text, pageCount) {
+    const value = String(text ?? '').trim();
+    if (!value) return { pages: Array.from({ length: pageCount }, (_, i) => i + 1) };
+
+    const pages = new Set();
+    for (const part of value.split(/[,、\s]+/).filter(Boolean)) {
+        const match = part.match(/^(\d*)[-〜~](\d*)$|^(\d+)$/);
+        if (!match || (match[1] === '' && match[2] === '')) {
+            return { error: `ページ範囲は「1-3, 5」のように指定してください: ${part}` };
+        }
+
+        const start = Number(match[3] ?? (match[1] || 1));
+        const end = Number(match[3] ?? (match[2] || pageCount));
+        if (start < 1 || end > pageCount || start > end) {
+            return { error: `ページ範囲が正しくありません: ${part}（1〜${pageCount}ページ）` };
+        }
+
+        for (let page = start; page <= end; page++) pages.add(page);
+    }
+
+    return { pages: [...pages].sort((a, b) => a - b) };
+}
@@ -0,0 +1,148 @@
+/**
+ * preprocess.js - アップロード前の画像前処理
+ *
+ * EXIFの向き補正・長辺の縮小・JPEG/WebP への再エンコード・
+ * OCR向けのグレースケール化／コントラスト強調をブラウザ内で行います。
+ * 縮小率（scale = 送信画像の幅 / 元画像の幅）を返し、座標を元画像に戻せるようにします。
+ */
+
+export const PREPROCESS_FORMATS = [
+    { id: 'image/jpeg', label: 'JPEG' },
+    { id: 'image/webp', label: 'WebP' },
+    { id: 'image/png', label: 'PNG' }
+];
+
+export const DEFAULT_PREPROCESS_OPTIONS = {
+    enabled: true,
+    maxDimension: 2048,
+    format: 'image/jpeg',
+    quality: 0.9,
+    grayscale: false,
+    contrast: false
+};
+
+const CONTRAST_FACTOR = 1.5;
+const STORAGE_KEY = 'preprocess_options';
+
+export function loadPreprocessOptions() {
+    try {
+        return { ...DEFAULT_PREPROCESS_OPTIONS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+        return { ...DEFAULT_PREPROCESS_OPTIONS };
+    }
+}
+
+export function savePreprocessOptions(options) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+}
+
+/**
+ * 画像ファイルを前処理してデータURLにする
+ * @returns {Promise<{ dataUrl, mimeType, width, height, originalWidth, originalHeight, scale, bytes, originalBytes }>}
+ */
+export async function preprocessImage(file, options = DEFAULT_PREPROCESS_OPTIONS) {
+    // 向きは EXIF に従って補正した状態で読み込む
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const originalWidth = bitmap.width;
+    const originalHeight = bitmap.height;
+
+    try {
+        // 無効の場合は元ファイルをそのまま送る
+        if (!options.enabled) {
+            return {
+                dataUrl: await readAsDataUrl(file),
+                mimeType: file.type,
+                width: originalWidth,
+                height: originalHeight,
+                originalWidth,
+                originalHeight,
+                scale: 1,
+                bytes: file.size,
+                originalBytes: file.size
+            };
+        }
+
+        const maxDimension = Number(options.maxDimension) || Infinity;
+        const ratio = Math.min(1, maxDimension / Math.max(originalWidth, originalHeight));
+        const width = Math.max(1, Math.round(originalWidth * ratio));
+        const height = Math.max(1, Math.round(originalHeight * ratio));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(bitmap, 0, 0, width, height);
+
+        if (options.grayscale || options.contrast) {
+            applyPixelFilters(ctx, width, height, options);
+        }
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(
+                b => (b ? resolve(b) : reject(new Error('画像のエンコードに失敗しました'))),
+                options.format,
+                Number(options.quality)
+            );
+        });
+
+        return {
+            dataUrl: await readAsDataUrl(blob),
+            // WebP 非対応のブラウザでは PNG になるため、実際の形式を返す
+            mimeType: blob.type,
+            width,
+            height,
+            originalWidth,
+            originalHeight,
+            scale: width / originalWidth,
+            bytes: blob.size,
+            originalBytes: file.size
+        };
+    } finally {
+        bitmap.close();
+    }
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+// ctx.filter は一部ブラウザで未対応のため、画素を直接処理する
+function applyPixelFilters(ctx, width, height, { grayscale, contrast }) {
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const { data } = imageData;
+
+    for (let i = 0; i < data.length; i += 4) {
+        let r = data[i];
+        let g = data[i + 1];
+        let b = data[i + 2];
+
+        if (grayscale) {
+            r = g = b = 0.299 * r + 0.587 * g + 0.114 * b;
+        }
+        if (contrast) {
+            r = (r - 128) * CONTRAST_FACTOR + 128;
+            g = (g - 128) * CONTRAST_FACTOR + 128;
+            b = (b - 128) * CONTRAST_FACTOR + 128;
+        }
+
+        // Uint8ClampedArray なので 0〜255 に丸められる
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+}
+
+function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
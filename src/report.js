@@ -0,0 +1,390 @@
+/**
+ * report.js - 分析結果のレポート書き出し
+ *
+ * 分析した画像・注釈付き画像・分析内容・要約・検出一覧・実行コードをまとめた
+ * Markdown / HTML レポートと、それらに result.json を加えた ZIP 一式を作成します。
+ */
+
+import { drawDetections, hasBbox } from './overlay.js';
+import { orderedLines, toPlainText } from './ocr.js';
+import { expandTable, headerRowCount, toTableMarkdown } from './table.js';
+import { formatTimeRange } from './sequence.js';
+import { createZip } from './zip.js';
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+/**
+ * 画像ごとに、注釈として描く枠（drawDetections に渡す { label, confidence, bbox }）を集める
+ * @param {{ mode: string, data: object|null, analyzedImage: string|null, comparedImages: object[] }} source
+ * @returns {{ label: string, src: string, boxes: object[] }[]}
+ */
+export function collectReportImages({ mode, data, analyzedImage, comparedImages = [] }) {
+    if (mode === 'compare') {
+        const changes = Array.isArray(data?.changes) ? data.changes : [];
+        return comparedImages.map(image => ({
+            label: image.label,
+            src: image.base64,
+            boxes: changes.flatMap((change, index) => (change.regions || [])
+                .filter(region => region.image === image.label)
+                .map(region => ({ label: `#${index + 1} ${change.type || ''}`.trim(), bbox: region.bbox })))
+        }));
+    }
+
+    if (!analyzedImage) return [];
+    return [{ label: 'image', src: analyzedImage, boxes: collectBoxes(mode, data) }];
+}
+
+function collectBoxes(mode, data) {
+    if (!data) return [];
+
+    switch (mode) {
+        case 'ocr':
+            return orderedLines(data).map(line => ({ label: line.text, confidence: line.confidence, bbox: line.bbox }));
+        case 'table':
+            return (Array.isArray(data.tables) ? data.tables : [])
+                .map((table, index) => ({ label: table.title || `表${index + 1}`, bbox: table.bbox }));
+        default:
+            return Array.isArray(data.metadata?.detections) ? data.metadata.detections : [];
+    }
+}
+
+/**
+ * 画像に注釈を描いた PNG を作成する
+ * @returns {Promise<Blob>}
+ */
+export async function renderAnnotatedImage(src, boxes) {
+    const image = new Image();
+    image.src = src;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    drawDetections(canvas, image, boxes);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('注釈付き画像の作成に失敗しました'))), 'image/png');
+    });
+}
+
+/**
+ * レポートに必要な画像（元画像・注釈付き画像）を読み込む
+ * @param {{ result: object, data: object|null, prompt?: string, modeLabel: string,
+ *           images: { label: string, src: string, boxes: object[] }[] }} input
+ */
+export async function prepareReport(input) {
+    const images = [];
+
+    for (const [index, image] of input.images.entries()) {
+        // data URL と blob URL（バッチのサムネイル）のどちらも fetch で読める
+        const original = await (await fetch(image.src)).blob();
+        const annotated = await renderAnnotatedImage(image.src, image.boxes);
+        const name = `${index + 1}-${slugify(image.label)}`;
+
+        images.push({
+            ...image,
+            name,
+            original,
+            annotated,
+            originalPath: `images/${name}.${IMAGE_EXTENSIONS[original.type] || 'bin'}`,
+            annotatedPath: `images/${name}-annotated.png`,
+            originalDataUrl: await readAsDataUrl(original),
+            annotatedDataUrl: await readAsDataUrl(annotated)
+        });
+    }
+
+    return { ...input, images, createdAt: new Date() };
+}
+
+/**
+ * @param {object} report prepareReport の戻り値
+ * @param {{ embedImages?: boolean }} options false の場合は ZIP 内の画像ファイルを参照する
+ */
+export function buildMarkdownReport(report, { embedImages = true } = {}) {
+    const { result, data } = report;
+    const imageUrl = (image, kind) => (embedImages ? image[`${kind}DataUrl`] : image[`${kind}Path`]);
+    const out = ['# 分析レポート', ''];
+
+    out.push('| 項目 | 値 |', '| --- | --- |');
+    for (const [name, value] of reportFields(report)) {
+        out.push(`| ${name} | ${escapeMarkdownCell(value)} |`);
+    }
+    out.push('');
+
+    if (report.prompt) {
+        out.push('## プロンプト', '', report.prompt.replace(/^/gm, '> '), '');
+    }
+
+    if (report.images.length > 0) {
+        out.push('## 画像', '');
+        for (const image of report.images) {
+            if (report.images.length > 1) out.push(`### ${image.label}`, '');
+            out.push(`![元画像](${imageUrl(image, 'original')})`, '', `![注釈付き画像](${imageUrl(image, 'annotated')})`, '');
+        }
+    }
+
+    out.push('## 分析', '');
+    if (!data) {
+        out.push(fence(result.text || 'No result'), '');
+    } else if (result.mode === 'compare') {
+        out.push(`${data.match ? '✅ 一致' : '⚠️ 差分あり'}${typeof data.similarity === 'number' ? `（類似度 ${formatPercent(data.similarity)}）` : ''}`, '');
+        (Array.isArray(data.changes) ? data.changes : []).forEach((change, index) => {
+            const severity = change.severity ? ` [${change.severity}]` : '';
+            out.push(`${index + 1}. **${change.type || ''}**${severity} ${change.description || ''}`);
+        });
+        out.push('');
+    } else if (result.mode === 'ocr') {
+        out.push(fence(toPlainText(data), 'text'), '');
+    } else if (result.mode === 'table') {
+        (Array.isArray(data.tables) ? data.tables : []).forEach((table, index) => {
+            out.push(`### ${table.title || `表${index + 1}`}`, '', toTableMarkdown(table), '');
+        });
+    } else if (result.mode === 'timeline') {
+        timelineEvents(data).forEach(event => out.push(`- **${event.time}** ${event.description}`));
+        out.push('');
+    } else if (data.analysis) {
+        out.push(data.analysis, '');
+    }
+
+    if (data?.summary) {
+        out.push('## 要約', '', data.summary, '');
+    }
+
+    const rows = detectionRows(report);
+    if (rows.length > 0) {
+        out.push('## 検出一覧', '', '| # | 画像 | ラベル | 信頼度 | bbox |', '| --- | --- | --- | --- | --- |');
+        for (const row of rows) {
+            out.push(`| ${row.map(escapeMarkdownCell).join(' | ')} |`);
+        }
+        out.push('');
+    }
+
+    const executions = listExecutions(result);
+    if (executions.length > 0) {
+        out.push('## 実行コード', '');
+        executions.forEach(({ code, outcome, output }, index) => {
+            out.push(`### 実行 ${index + 1}`, '', fence(code || '# (コードなし)', 'python'), '');
+            if (outcome) out.push(`結果: ${outcome}`, '');
+            if (output) out.push(fence(output, 'text'), '');
+        });
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * 1ファイルで完結する HTML（画像は data URL で埋め込む）
+ * @param {object} report prepareReport の戻り値
+ * @param {{ embedImages?: boolean }} options false の場合は ZIP 内の画像ファイルを参照する
+ */
+export function buildHtmlReport(report, { embedImages = true } = {}) {
+    const { result, data } = report;
+    const imageUrl = (image, kind) => (embedImages ? image[`${kind}DataUrl`] : image[`${kind}Path`]);
+    const body = ['<h1>分析レポート</h1>'];
+
+    body.push(`<table class="fields">${reportFields(report)
+        .map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('')}</table>`);
+
+    if (report.prompt) {
+        body.push(`<h2>プロンプト</h2><blockquote>${escapeHtml(report.prompt)}</blockquote>`);
+    }
+
+    if (report.images.length > 0) {
+        body.push('<h2>画像</h2>');
+        for (const image of report.images) {
+            const caption = report.images.length > 1 ? `<figcaption>${escapeHtml(image.label)}</figcaption>` : '';
+            body.push(`<figure>${caption}<div class="images">
+<img src="${escapeHtml(imageUrl(image, 'original'))}" alt="元画像">
+<img src="${escapeHtml(imageUrl(image, 'annotated'))}" alt="注釈付き画像">
+</div></figure>`);
+        }
+    }
+
+    body.push('<h2>分析</h2>');
+    if (!data) {
+        body.push(`<pre>${escapeHtml(result.text || 'No result')}</pre>`);
+    } else if (result.mode === 'compare') {
+        const similarity = typeof data.similarity === 'number' ? `（類似度 ${formatPercent(data.similarity)}）` : '';
+        body.push(`<p>${data.match ? '✅ 一致' : '⚠️ 差分あり'}${similarity}</p>`);
+        body.push(`<ol>${(Array.isArray(data.changes) ? data.changes : [])
+            .map(change => `<li><strong>${escapeHtml(change.type || '')}</strong>${change.severity ? ` [${escapeHtml(change.severity)}]` : ''} ${escapeHtml(change.description || '')}</li>`)
+            .join('')}</ol>`);
+    } else if (result.mode === 'ocr') {
+        body.push(`<pre>${escapeHtml(toPlainText(data))}</pre>`);
+    } else if (result.mode === 'table') {
+        (Array.isArray(data.tables) ? data.tables : []).forEach((table, index) => {
+            body.push(`<h3>${escapeHtml(table.title || `表${index + 1}`)}</h3>${tableToHtml(table)}`);
+        });
+    } else if (result.mode === 'timeline') {
+        body.push(`<ul>${timelineEvents(data)
+            .map(event => `<li><strong>${escapeHtml(event.time)}</strong> ${escapeHtml(event.description)}</li>`)
+            .join('')}</ul>`);
+    } else if (data.analysis) {
+        body.push(`<p class="text">${escapeHtml(data.analysis)}</p>`);
+    }
+
+    if (data?.summary) {
+        body.push(`<h2>要約</h2><p class="text">${escapeHtml(data.summary)}</p>`);
+    }
+
+    const rows = detectionRows(report);
+    if (rows.length > 0) {
+        body.push(`<h2>検出一覧</h2><table class="grid"><tr><th>#</th><th>画像</th><th>ラベル</th><th>信頼度</th><th>bbox</th></tr>${rows
+            .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+            .join('')}</table>`);
+    }
+
+    const executions = listExecutions(result);
+    if (executions.length > 0) {
+        body.push('<h2>実行コード</h2>');
+        executions.forEach(({ code, outcome, output }, index) => {
+            body.push(`<h3>実行 ${index + 1}</h3><pre><code>${escapeHtml(code || '# (コードなし)')}</code></pre>`);
+            if (outcome) body.push(`<p>結果: ${escapeHtml(outcome)}</p>`);
+            if (output) body.push(`<pre class="output">${escapeHtml(output)}</pre>`);
+        });
+    }
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>分析レポート</title>
+<style>
+body { font-family: sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1a1a28; line-height: 1.6; }
+table { border-collapse: collapse; margin: 0.5rem 0; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f3f3f7; }
+blockquote { margin: 0; padding-left: 1rem; border-left: 4px solid #ccc; white-space: pre-wrap; }
+.images { display: flex; flex-wrap: wrap; gap: 1rem; }
+.images img { max-width: 100%; max-height: 480px; border: 1px solid #ccc; }
+.text { white-space: pre-wrap; }
+pre { background: #f3f3f7; padding: 0.75rem; overflow-x: auto; white-space: pre-wrap; }
+pre.output { background: #fafafa; border-left: 4px solid #ccc; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * レポート（Markdown・HTML）・result.json・画像をまとめた ZIP
+ * @returns {Promise<Blob>}
+ */
+export function buildReportZip(report) {
+    return createZip([
+        { name: 'result.json', content: JSON.stringify(report.result, null, 2) },
+        { name: 'report.md', content: buildMarkdownReport(report, { embedImages: false }) },
+        { name: 'report.html', content: buildHtmlReport(report, { embedImages: false }) },
+        ...report.images.flatMap(image => [
+            { name: image.originalPath, content: image.original },
+            { name: image.annotatedPath, content: image.annotated }
+        ])
+    ]);
+}
+
+function reportFields({ result, modeLabel, createdAt }) {
+    const fields = [
+        ['作成日時', createdAt.toLocaleString()],
+        ['モード', modeLabel],
+        ['モデル', result.model],
+        ['思考レベル', result.thinkingLevel],
+        ['リクエストID', result.requestId],
+        ['分析ID', result.analysisId],
+        ['ターン', result.turn > 1 ? String(result.turn) : undefined]
+    ];
+
+    if (result.schemaValid === false) {
+        fields.push(['スキーマ検証', `不一致（${(result.validationErrors || []).join(' / ')}）`]);
+    } else if (result.schemaValid) {
+        fields.push(['スキーマ検証', 'OK']);
+    }
+
+    return fields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+}
+
+function detectionRows(report) {
+    const boxes = report.images.flatMap(image => image.boxes.map(box => ({ image, box })));
+
+    return boxes.map(({ image, box }, index) => [
+        String(index + 1),
+        image.label,
+        String(box.label ?? ''),
+        typeof box.confidence === 'number' ? formatPercent(box.confidence) : '',
+        hasBbox(box) ? `[${box.bbox.map(v => Math.round(v)).join(', ')}]` : ''
+    ]);
+}
+
+function listExecutions(result) {
+    if (result.executions?.length > 0) return result.executions;
+    return (result.code || []).map(code => ({ code }));
+}
+
+function tableToHtml(table) {
+    const { slots, merges } = expandTable(table);
+    const headerRows = headerRowCount(table);
+
+    const rows = slots.map((row, r) => {
+        const tag = r < headerRows ? 'th' : 'td';
+        const cells = row.map((slot, c) => {
+            if (slot && !slot.origin) return '';
+            const merge = merges.find(m => m.row === r && m.col === c);
+            const spans = merge ? ` rowspan="${merge.rowSpan}" colspan="${merge.colSpan}"` : '';
+            return `<${tag}${spans}>${escapeHtml(slot?.cell.text ?? '')}</${tag}>`;
+        });
+        return `<tr>${cells.join('')}</tr>`;
+    });
+
+    return `<table class="grid">${rows.join('')}</table>`;
+}
+
+// 動画のまとめの出来事
+function timelineEvents(data) {
+    return (Array.isArray(data.events) ? data.events : []).map(event => ({
+        time: formatTimeRange(event.time, event.end_time),
+        description: event.description || ''
+    }));
+}
+
+// コード中のバッククォートより長いフェンスで囲む
+function fence(text, language = '') {
+    const longest = Math.max(2, ...[...String(text).matchAll(/`+/g)].map(m => m[0].length));
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}${language}\n${text}\n${marker}`;
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+function slugify(text) {
+    return String(text || 'image').replace(/[^\w.-]+/g, '_').slice(0, 40) || 'image';
+}
+
+function escapeMarkdownCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -0,0 +1,54 @@
+/**
+ * sequence.js - ページ・フレームの並び
+ *
+ * PDFのページや動画のフレームのように、1つの入力から取り出した複数の画像をまとめて分析した結果から、
+ * 1ページ（1フレーム）分の要素を取り出します。要素の番号は page または frame に入っています。
+ */
+
+/**
+ * まとめて分析した結果から、1ページ（1フレーム）分の検出・OCRの行・表を取り出す
+ * 要素は元の結果と同じオブジェクトのまま（表のセルの編集が全体の結果にも反映される）
+ * ページをまたぐ表は、セルのあるどのページにも含める
+ * @param {'page' | 'frame'} key
+ */
+export function sequenceItemData(data, key, number) {
+    if (!data || typeof data !== 'object') return data;
+
+    const matches = item => item?.[key] === number;
+    const view = { ...data };
+
+    if (Array.isArray(data.metadata?.detections)) {
+        view.metadata = { ...data.metadata, detections: data.metadata.detections.filter(matches) };
+    }
+    if (Array.isArray(data.lines)) {
+        view.lines = data.lines.filter(matches);
+    }
+    if (Array.isArray(data.tables)) {
+        view.tables = data.tables.filter(table => matches(table)
+            || (Array.isArray(table.rows) ? table.rows : []).flat().some(matches));
+    }
+
+    return view;
+}
+
+// 表のセルのページ・フレーム（省略時は表の番号）
+export function cellNumber(cell, table, key) {
+    return cell?.[key] ?? table?.[key];
+}
+
+// 秒数を 1:05.5 / 1:02:03.0 の形にする（サーバーの lib/sequences.js と同じ表記）
+export function formatTimestamp(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const h = Math.floor(tenths / 36000);
+    const m = Math.floor((tenths % 36000) / 600);
+    const s = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// 出来事の時刻（終わりの時刻があれば 0:05.0〜0:08.0 の形）
+export function formatTimeRange(time, endTime) {
+    if (!Number.isFinite(time)) return '—';
+    return Number.isFinite(endTime) && endTime > time
+        ? `${formatTimestamp(time)}〜${formatTimestamp(endTime)}`
+        : formatTimestamp(time);
+}
@@ -0,0 +1,113 @@
+/**
+ * table.js - 表の抽出結果の整形
+ *
+ * 結合セルを省いた rows（HTML の <table> と同じ表し方）を行×列のグリッドに展開し、
+ * CSV / TSV / Markdown / XLSX に書き出します。
+ */
+
+import { toDelimited } from './download.js';
+import { createXlsx } from './xlsx.js';
+
+/**
+ * 表をグリッドに展開する
+ * slots[r][c] は、その位置を占めるセルと、そのセルの左上かどうか
+ * @returns {{ slots: ({ cell: object, origin: boolean } | null)[][], rowCount: number, colCount: number,
+ *             merges: { row: number, col: number, rowSpan: number, colSpan: number }[] }}
+ */
+export function expandTable(table) {
+    const rows = Array.isArray(table?.rows) ? table.rows : [];
+    const slots = [];
+    const merges = [];
+
+    rows.forEach((row, r) => {
+        slots[r] ??= [];
+        let c = 0;
+
+        for (const cell of Array.isArray(row) ? row : []) {
+            // 上の行から縦に結合されたセルが占める位置は飛ばす
+            while (slots[r][c]) c++;
+
+            const rowSpan = spanOf(cell?.row_span);
+            const colSpan = spanOf(cell?.col_span);
+            for (let dr = 0; dr < rowSpan; dr++) {
+                slots[r + dr] ??= [];
+                for (let dc = 0; dc < colSpan; dc++) {
+                    slots[r + dr][c + dc] = { cell, origin: dr === 0 && dc === 0 };
+                }
+            }
+            if (rowSpan > 1 || colSpan > 1) merges.push({ row: r, col: c, rowSpan, colSpan });
+            c += colSpan;
+        }
+    });
+
+    // 結合が表の下端を越えても行数はそのまま広げ、列数は最も長い行にそろえる
+    const rowCount = slots.length;
+    const colCount = Math.max(0, ...slots.map(row => row.length));
+    for (let r = 0; r < rowCount; r++) {
+        slots[r] = Array.from({ length: colCount }, (_, c) => slots[r][c] ?? null);
+    }
+
+    return { slots, rowCount, colCount, merges };
+}
+
+// 行×列の文字列（結合セルの文字は左上にだけ置く）
+export function toMatrix(table) {
+    return expandTable(table).slots.map(row => row.map(slot => (slot?.origin ? slot.cell.text ?? '' : '')));
+}
+
+export function toTableDelimited(table, delimiter = ',') {
+    return toDelimited(toMatrix(table), delimiter);
+}
+
+/**
+ * Markdown の表（結合は表せないため、本文の結合セルの文字は左上にだけ置く）
+ * 見出し行がない場合は空の見出しを付ける
+ */
+export function toTableMarkdown(table) {
+    const { slots, rowCount, colCount } = expandTable(table);
+    if (rowCount === 0) return '';
+
+    const headerRows = Math.min(headerRowCount(table), rowCount);
+
+    // Markdown の見出しは1行のみのため、複数行の見出しは列ごとに連結する
+    // （横に結合した見出しは、結合したすべての列に付ける）
+    const header = Array.from({ length: colCount }, (_, c) => uniqueValues(
+        slots.slice(0, headerRows).map(row => row[c]?.cell.text)
+    ).join(' / '));
+    const body = toMatrix(table).slice(headerRows);
+
+    const line = cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`;
+    return [line(header), `| ${Array(colCount).fill('---').join(' | ')} |`, ...body.map(line)].join('\n');
+}
+
+/**
+ * すべての表を1表1シートの XLSX にする
+ * @returns {Promise<Blob>}
+ */
+export function toTablesXlsx(tables) {
+    return createXlsx(tables.map((table, i) => {
+        const { merges } = expandTable(table);
+        return {
+            name: table.title || `表${i + 1}`,
+            rows: toMatrix(table),
+            headerRows: headerRowCount(table),
+            merges
+        };
+    }));
+}
+
+export function headerRowCount(table) {
+    return Number.isInteger(table?.header_rows) && table.header_rows > 0 ? table.header_rows : 0;
+}
+
+function spanOf(value) {
+    return Number.isInteger(value) && value > 1 ? value : 1;
+}
+
+function uniqueValues(values) {
+    return [...new Set(values.filter(Boolean))];
+}
+
+function escapeMarkdownCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
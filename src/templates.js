@@ -0,0 +1,92 @@
+/**
+ * templates.js - プロンプトテンプレート
+ *
+ * サーバー（/api/templates）に保存したテンプレートの取得・保存と、
+ * プロンプト中の {{変数}} の抽出・置き換えを行います。
+ */
+
+import { authHeaders } from './api-auth.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// プロンプトに現れる変数名（重複なし・出現順）
+export function extractVariables(prompt) {
+    return [...new Set([...String(prompt ?? '').matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * テンプレートの変数定義（ラベル・既定値）と、プロンプトに現れる変数を合わせた入力欄の一覧
+ * @returns {{ name: string, label: string, default: string }[]}
+ */
+export function templateFields(template) {
+    const definitions = new Map((template.variables || []).map(variable => [variable.name, variable]));
+
+    return extractVariables(template.prompt).map(name => ({
+        name,
+        label: definitions.get(name)?.label || name,
+        default: definitions.get(name)?.default || ''
+    }));
+}
+
+// 値のない変数はそのまま残す
+export function fillTemplate(prompt, values) {
+    return String(prompt ?? '').replace(VARIABLE_PATTERN, (placeholder, name) => values[name] || placeholder);
+}
+
+export async function fetchTemplates() {
+    const { templates } = await request('/api/templates');
+    return templates;
+}
+
+// id があれば更新、なければ作成
+export function saveTemplate(template) {
+    const { id, ...body } = template;
+    return id
+        ? request(`/api/templates/${encodeURIComponent(id)}`, { method: 'PUT', body })
+        : request('/api/templates', { method: 'POST', body });
+}
+
+export function deleteTemplate(id) {
+    return request(`/api/templates/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+export async function reorderTemplates(ids) {
+    const { templates } = await request('/api/templates/order', { method: 'PUT', body: { ids } });
+    return templates;
+}
+
+/**
+ * エクスポートしたJSON（{ templates: [...] } または配列）を取り込む
+ * @returns {Promise<{ imported: number, templates: object[] }>}
+ */
+export function importTemplates(data, { replace = false } = {}) {
+    const templates = Array.isArray(data) ? data : data?.templates;
+    return request('/api/templates/import', { method: 'POST', body: { templates, replace } });
+}
+
+/**
+ * エクスポートしたJSONをファイルとして取得する（APIトークンのヘッダーが必要なため、リンクではなく fetch で取る）
+ * @returns {Promise<Blob>}
+ */
+export async function exportTemplates() {
+    const response = await fetch('/api/templates/export', { headers: authHeaders() });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `API Error: ${response.status}`);
+    }
+    return response.blob();
+}
+
+async function request(url, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: { ...authHeaders(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `API Error: ${response.status}`);
+    }
+    return data;
+}
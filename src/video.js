@@ -0,0 +1,188 @@
+/**
+ * video.js - 動画の入力
+ *
+ * 動画をブラウザ内で再生せずにシークし、分析するフレームを画像として取り出します。
+ * フレームは一定間隔か、画面が大きく変わった位置（シーンの切り替わり）で選びます。
+ */
+
+// 前処理が無効な場合の取り出すサイズ（長辺）
+const DEFAULT_CAPTURE_DIMENSION = 2048;
+
+// シーンの切り替わりは、縮小したグレースケールの画素の平均的な差（0〜1）で判定する
+const SCENE_SIGNATURE_WIDTH = 64;
+const SCENE_SCAN_INTERVAL = 0.5;
+const SCENE_MAX_SCANS = 240;
+
+// 動画の末尾ちょうどにはシークできないことがあるため、少し手前を使う
+const END_MARGIN = 0.05;
+
+export function isVideoFile(file) {
+    return Boolean(file?.type?.startsWith('video/')) || /\.(mp4|m4v|mov|webm|ogv)$/i.test(file?.name || '');
+}
+
+/**
+ * 動画を読み込み、長さと大きさを確かめる
+ * @returns {Promise<{ name: string, duration: number, width: number, height: number, element: HTMLVideoElement, url: string }>}
+ */
+export async function openVideo(file) {
+    const url = URL.createObjectURL(file);
+    const element = document.createElement('video');
+    element.muted = true;
+    element.playsInline = true;
+    element.preload = 'auto';
+
+    try {
+        element.src = url;
+        await waitForEvent(element, 'loadedmetadata');
+
+        // MediaRecorder で録画した WebM などは、末尾までシークするまで長さが分からない
+        if (!Number.isFinite(element.duration)) {
+            element.currentTime = Number.MAX_SAFE_INTEGER;
+            await waitForEvent(element, 'durationchange');
+            element.currentTime = 0;
+        }
+        if (!Number.isFinite(element.duration) || element.duration <= 0 || !element.videoWidth) {
+            throw new Error('動画の長さまたは大きさを読み取れませんでした');
+        }
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        throw error;
+    }
+
+    return {
+        name: file.name.replace(/\.[^.]+$/, '') || 'video',
+        duration: element.duration,
+        width: element.videoWidth,
+        height: element.videoHeight,
+        element,
+        url
+    };
+}
+
+export function closeVideo(video) {
+    if (!video) return;
+
+    video.element.removeAttribute('src');
+    video.element.load();
+    URL.revokeObjectURL(video.url);
+}
+
+/**
+ * 指定した時刻のフレームを長辺が maxDimension 以下になるよう取り出し、PNG の画像ファイルにする
+ * @returns {Promise<File>}
+ */
+export async function captureFrame(video, time, { maxDimension } = {}) {
+    await seek(video, time);
+
+    const target = Number(maxDimension) || DEFAULT_CAPTURE_DIMENSION;
+    const scale = Math.min(1, target / Math.max(video.width, video.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(video.width * scale));
+    canvas.height = Math.max(1, Math.round(video.height * scale));
+    canvas.getContext('2d').drawImage(video.element, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('フレームを画像にできませんでした'))), 'image/png');
+    });
+    return new File([blob], `${video.name}_${time.toFixed(1)}s.png`, { type: 'image/png' });
+}
+
+/**
+ * 分析するフレームの時刻（秒）を選ぶ
+ * interval: 先頭から interval 秒ごと（maxFrames を超える分は分析しない）
+ * scene: 先頭と、直前の位置から画面が threshold 以上変わった位置（変化の大きい順に maxFrames まで）
+ * @returns {Promise<{ times: number[], skipped: number }>} skipped は上限を超えて選ばなかった数
+ */
+export async function sampleFrameTimes(video, { method, interval, threshold, maxFrames }, { signal, onProgress } = {}) {
+    const last = Math.max(0, video.duration - END_MARGIN);
+
+    if (method === 'interval') {
+        const times = [];
+        for (let i = 0; i * interval <= last; i++) times.push(roundTime(i * interval));
+        return { times: times.slice(0, maxFrames), skipped: Math.max(0, times.length - maxFrames) };
+    }
+
+    // 長い動画は、調べる位置の数が上限に収まるよう間隔を広げる
+    const step = Math.max(SCENE_SCAN_INTERVAL, last / SCENE_MAX_SCANS);
+    const scans = Math.floor(last / step) + 1;
+    const changes = [];
+    let previous = null;
+
+    for (let i = 0; i < scans; i++) {
+        if (signal?.aborted) throw new DOMException('フレームの抽出はキャンセルされました', 'AbortError');
+
+        const time = roundTime(i * step);
+        await seek(video, time);
+        const signature = sceneSignature(video);
+
+        if (previous) {
+            const score = signatureDistance(previous, signature);
+            if (score >= threshold) changes.push({ time, score });
+        }
+        previous = signature;
+        onProgress?.((i + 1) / scans);
+    }
+
+    const selected = changes
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxFrames - 1)
+        .map(change => change.time);
+
+    return {
+        times: [0, ...selected].sort((a, b) => a - b),
+        skipped: changes.length - selected.length
+    };
+}
+
+function sceneSignature(video) {
+    const width = SCENE_SIGNATURE_WIDTH;
+    const height = Math.max(1, Math.round(width * video.height / video.width));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video.element, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+    }
+    return gray;
+}
+
+function signatureDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+    return sum / a.length;
+}
+
+async function seek(video, time) {
+    const target = Math.min(Math.max(0, time), Math.max(0, video.duration - END_MARGIN));
+    if (Math.abs(video.element.currentTime - target) < 0.001 && video.element.readyState >= 2) return;
+
+    const seeked = waitForEvent(video.element, 'seeked');
+    video.element.currentTime = target;
+    await seeked;
+}
+
+function waitForEvent(element, type) {
+    return new Promise((resolve, reject) => {
+        const onEvent = () => {
+            element.removeEventListener('error', onError);
+            resolve();
+        };
+        const onError = () => {
+            element.removeEventListener(type, onEvent);
+            reject(new Error(element.error?.message || 'この動画は再生できない形式です'));
+        };
+        element.addEventListener(type, onEvent, { once: true });
+        element.addEventListener('error', onError, { once: true });
+    });
+}
+
+// 時刻は0.1秒単位で扱う（JSONやラベルに浮動小数点の誤差を出さない）
+function roundTime(time) {
+    return Math.round(time * 10) / 10;
+}
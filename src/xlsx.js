@@ -0,0 +1,137 @@
+/**
+ * xlsx.js - XLSX（Office Open XML）ブックの作成
+ *
+ * 表の抽出結果を書き出すための最小限の実装です。
+ * 1表を1シートとし、見出し行の太字とセル結合だけに対応します。
+ */
+
+import { createZip } from './zip.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// 先頭ゼロや桁区切りのある値は書かれたとおり文字列で残す
+const PLAIN_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+const CONTENT_TYPES = (sheetCount) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${range(sheetCount).map(i => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+// cellXfs: 0 = 標準、1 = 見出し（太字）
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * @param {{ name: string, rows: string[][], headerRows?: number,
+ *           merges?: { row: number, col: number, rowSpan: number, colSpan: number }[] }[]} sheets
+ * @returns {Promise<Blob>}
+ */
+export function createXlsx(sheets) {
+    const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+
+    const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>
+${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('\n')}
+</sheets>
+</workbook>`;
+
+    const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+    return createZip([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES(sheets.length) },
+        { name: '_rels/.rels', content: ROOT_RELS },
+        { name: 'xl/workbook.xml', content: workbook },
+        { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+        { name: 'xl/styles.xml', content: STYLES },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildSheet(sheet) }))
+    ], XLSX_MIME_TYPE);
+}
+
+function buildSheet({ rows, headerRows = 0, merges = [] }) {
+    const rowXml = rows.map((row, r) => {
+        const style = r < headerRows ? ' s="1"' : '';
+        const cells = row.map((value, c) => {
+            const ref = cellRef(r, c);
+            const text = value === null || value === undefined ? '' : String(value);
+
+            if (text === '') return style ? `<c r="${ref}"${style}/>` : '';
+            if (PLAIN_NUMBER.test(text)) return `<c r="${ref}"${style}><v>${text}</v></c>`;
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+
+    const mergeXml = merges.length > 0
+        ? `<mergeCells count="${merges.length}">${merges
+            .map(({ row, col, rowSpan, colSpan }) => `<mergeCell ref="${cellRef(row, col)}:${cellRef(row + rowSpan - 1, col + colSpan - 1)}"/>`)
+            .join('')}</mergeCells>`
+        : '';
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>${rowXml.join('')}</sheetData>${mergeXml}
+</worksheet>`;
+}
+
+// (0, 0) → A1、(0, 26) → AA1
+function cellRef(row, col) {
+    let letters = '';
+    for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return `${letters}${row + 1}`;
+}
+
+// シート名は31文字まで、\ / ? * [ ] : は使えず、重複も不可
+function uniqueSheetNames(names) {
+    const used = new Set();
+
+    return names.map((name, i) => {
+        const base = (String(name || '').replace(/[\\/?*[\]:]/g, ' ').trim() || `Sheet${i + 1}`)
+            .slice(0, MAX_SHEET_NAME_LENGTH);
+
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+function escapeXml(text) {
+    return String(text)
+        // XML 1.0 で使えない制御文字を取り除く
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function range(n) {
+    return Array.from({ length: n }, (_, i) => i);
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseApiTokens, authenticate, createRateLimiter } from '../lib/access-control.js';
+
+const ALICE = 'alice-token-0123456789';
+const BOB = 'bob-token-0123456789ab';
+
+test('parseApiTokens は名前を省略したトークンに連番の名前を付ける', () => {
+    const { tokens } = parseApiTokens(` alice:${ALICE}, ${BOB} `);
+    assert.deepEqual(tokens.map(token => token.name), ['alice', 'token2']);
+    assert.deepEqual(parseApiTokens('').tokens, []);
+});
+
+test('parseApiTokens は短いトークンと重複した名前を拒否する', () => {
+    assert.match(parseApiTokens('alice:short').error, /alice.*16文字以上/);
+    assert.match(parseApiTokens(`a:${ALICE},a:${BOB}`).error, /名前が重複/);
+});
+
+test('authenticate は Bearer のトークンを照合する', () => {
+    const { tokens } = parseApiTokens(`alice:${ALICE},bob:${BOB}`);
+    assert.deepEqual(authenticate(tokens, `Bearer ${BOB}`), { client: { name: 'bob' } });
+    assert.deepEqual(authenticate(tokens, `bearer ${ALICE} `), { client: { name: 'alice' } });
+    assert.match(authenticate(tokens, `Bearer ${ALICE}x`).error, /正しくありません/);
+    assert.match(authenticate(tokens, ALICE).error, /必要です/);
+    assert.match(authenticate(tokens, undefined).error, /必要です/);
+});
+
+test('1分あたりの上限は次の分の0秒に戻る', () => {
+    const limiter = createRateLimiter({ perMinute: 2 });
+    const now = new Date(2026, 0, 1, 12, 0, 15);
+
+    limiter.consume('a', 2, now);
+    assert.deepEqual(limiter.check('a', 1, now), { allowed: false, window: 'minute', limit: 2, retryAfterSeconds: 45 });
+    assert.deepEqual(limiter.check('b', 1, now), { allowed: true });
+    assert.deepEqual(limiter.check('a', 1, new Date(2026, 0, 1, 12, 1, 0)), { allowed: true });
+});
+
+test('check は数えず、cost 回分をまとめて確かめる', () => {
+    const limiter = createRateLimiter({ perMinute: 5 });
+    const now = new Date(2026, 0, 1, 12, 0, 0);
+
+    assert.equal(limiter.check('a', 5, now).allowed, true);
+    assert.equal(limiter.check('a', 6, now).allowed, false);
+    limiter.consume('a', 3, now);
+    assert.equal(limiter.check('a', 2, now).allowed, true);
+    assert.equal(limiter.check('a', 3, now).allowed, false);
+});
+
+test('1日の上限はローカル時刻の0時に戻る', () => {
+    const limiter = createRateLimiter({ perMinute: 10, perDay: 3 });
+
+    limiter.consume('a', 2, new Date(2026, 0, 1, 23, 58, 0));
+    limiter.consume('a', 1, new Date(2026, 0, 1, 23, 59, 0));
+    assert.deepEqual(limiter.check('a', 1, new Date(2026, 0, 1, 23, 59, 30)), {
+        allowed: false, window: 'day', limit: 3, retryAfterSeconds: 30
+    });
+    assert.deepEqual(limiter.check('a', 3, new Date(2026, 0, 2, 0, 0, 0)), { allowed: true });
+});
+
+test('cost だけで上限を超える場合は oversized を返す', () => {
+    const limiter = createRateLimiter({ perMinute: 3, perDay: 10 });
+    const now = new Date(2026, 0, 1, 12, 0, 0);
+
+    assert.deepEqual(limiter.check('a', 4, now), { allowed: false, window: 'minute', limit: 3, oversized: true });
+    assert.deepEqual(createRateLimiter({ perDay: 2 }).check('a', 3, now), { allowed: false, window: 'day', limit: 2, oversized: true });
+    assert.deepEqual(limiter.check('a', 3, now), { allowed: true });
+});
+
+test('上限が0なら制限しない', () => {
+    const limiter = createRateLimiter();
+    assert.equal(limiter.enabled, false);
+    limiter.consume('a', 1000);
+    assert.deepEqual(limiter.check('a', 1000), { allowed: true });
+});
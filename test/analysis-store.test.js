@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createAnalysisStore } from '../lib/analysis-store.js';
+
+const QUERY = { limit: 10, offset: 0 };
+
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(join(tmpdir(), 'analysis-store-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('json は owner を指定すると、その owner のレコードだけを一覧・取得・削除する', async () => {
+    await withTempDir(async (dir) => {
+        const store = await createAnalysisStore({ driver: 'json', path: dir });
+        const a = await store.save({ source: 'vision', owner: 'token:a', prompt: 'a' });
+        const b = await store.save({ source: 'vision', owner: 'token:b', prompt: 'b' });
+
+        assert.deepEqual((await store.list({ ...QUERY, owner: 'token:a' })).items.map(item => item.id), [a.id]);
+        assert.equal(await store.get(b.id, 'token:a'), null);
+        assert.equal(await store.remove(b.id, 'token:a'), false);
+        assert.equal((await store.get(b.id, 'token:b')).prompt, 'b');
+        assert.equal(await store.remove(a.id, 'token:a'), true);
+
+        // owner を指定しなければすべて
+        assert.equal((await store.list(QUERY)).total, 1);
+    });
+});
+
+test('json は再起動後も索引から一覧し、owner で絞り込める', async () => {
+    await withTempDir(async (dir) => {
+        const store = await createAnalysisStore({ driver: 'json', path: dir });
+        await store.save({ source: 'vision', owner: 'token:a', prompt: 'a' });
+        await store.save({ source: 'vision', owner: 'token:b', prompt: 'b' });
+
+        const restarted = await createAnalysisStore({ driver: 'json', path: dir });
+        const { total, items } = await restarted.list({ ...QUERY, owner: 'token:b' });
+        assert.equal(total, 1);
+        assert.equal(items[0].prompt, 'b');
+    });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runCli } from '../lib/cli.js';
+
+// Gemini を呼ぶ前に終わる場合だけを試す（API キーは形だけのもの）
+process.env.GEMINI_API_KEY = 'test-key';
+
+const tempDir = await fs.mkdtemp(join(tmpdir(), 'image-analyst-'));
+process.env.TEMPLATE_STORE_PATH = join(tempDir, 'templates.json');
+
+async function run(...argv) {
+    let stdout = '';
+    let stderr = '';
+    const exitCode = await runCli(argv, {
+        stdout: { write: (text) => { stdout += text; } },
+        stderr: { write: (text) => { stderr += text; } }
+    });
+    return { exitCode, stdout, stderr };
+}
+
+test.after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+test('help は使い方を標準出力に出して 0 で終わる', async () => {
+    for (const argv of [[], ['help'], ['analyze', '--help']]) {
+        const { exitCode, stdout } = await run(...argv);
+        assert.equal(exitCode, 0);
+        assert.match(stdout, /^使い方: image-analyst/);
+    }
+});
+
+test('引数の誤りは 2 で終わる', async () => {
+    const cases = [
+        [['resize', 'a.png'], /未対応のコマンドです: resize/],
+        [['analyze', 'a.png', '--unknown'], /引数が正しくありません/],
+        [['analyze'], /画像のパス（標準入力は -）か --desktop/],
+        [['analyze', 'a.png', '--desktop'], /どちらか1つ/],
+        [['analyze', 'a.png', '--window', 'x'], /--window は --desktop と一緒に/],
+        [['analyze', 'a.png', '-p', 'x', '-t', 'y'], /--prompt と --template は同時に指定できません/],
+        [['analyze', 'a.png', '--var', 'a=b'], /--var は --template と一緒に/],
+        [['analyze', 'a.png', '--mode', 'compare'], /未対応のモードです: compare/],
+        [['analyze', 'a.png', '-f', 'xml'], /--format は text \/ json \/ markdown/],
+        [['analyze', 'a.png', '--delay=-1'], /--delay は0以上の秒数/],
+        [['analyze', 'a.png', '--every', '5'], /--every は monitor でのみ/],
+        [['digest', '--date', '2026-02-30'], /--date は YYYY-MM-DD/],
+        [['monitor', '--threshold', '300'], /--threshold は0〜256の整数/],
+        [['monitor', '--threshold', '1.5'], /--threshold は0〜256の整数/],
+        [['analyze', 'a.png', '-t', '存在しないテンプレート'], /テンプレート「存在しないテンプレート」が見つかりません/]
+    ];
+
+    for (const [argv, message] of cases) {
+        const { exitCode, stderr } = await run(...argv);
+        assert.equal(exitCode, 2, argv.join(' '));
+        assert.match(stderr, message, argv.join(' '));
+    }
+});
+
+test('GEMINI_API_KEY がなければ 5 で終わる', async () => {
+    const key = process.env.GEMINI_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+    try {
+        const { exitCode, stderr } = await run('analyze', 'a.png');
+        assert.equal(exitCode, 5);
+        assert.match(stderr, /GEMINI_API_KEY/);
+    } finally {
+        process.env.GEMINI_API_KEY = key;
+    }
+});
+
+test('画像や記録を読み込めなければ 3 で終わる', async () => {
+    const image = await run('analyze', join(tempDir, 'missing.png'), '-q');
+    assert.equal(image.exitCode, 3);
+
+    const digest = await run('digest', '--date', '2026-01-01', '--log', join(tempDir, 'timeline.jsonl'));
+    assert.equal(digest.exitCode, 3);
+    assert.match(digest.stderr, /2026-01-01 の記録がありません/);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 同時実行数・再試行の設定は読み込み時に読むため、先に決めておく（待ち時間は短く）
+process.env.GEMINI_MAX_CONCURRENCY = '1';
+process.env.GEMINI_MAX_RETRIES = '2';
+process.env.GEMINI_RETRY_BASE_MS = '1';
+process.env.GEMINI_RETRY_MAX_MS = '50';
+const { callGemini, acquireGeminiSlot, withGeminiRetry, describeGeminiError } = await import('../lib/gemini-call.js');
+
+// SDK の GoogleGenerativeAIFetchError と同じ形のエラー
+function geminiError(status, retryDelay) {
+    return Object.assign(new Error(`[${status}] error`), {
+        status,
+        errorDetails: retryDelay ? [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay }] : undefined
+    });
+}
+
+// 指定した回数だけ失敗してから成功する呼び出し
+function failingCall(errors) {
+    const call = async () => {
+        call.count++;
+        if (errors.length > 0) throw errors.shift();
+        return 'ok';
+    };
+    call.count = 0;
+    return call;
+}
+
+test('429・503 は RetryInfo の時間だけ待って再試行する', async () => {
+    const call = failingCall([geminiError(429, '0.01s'), geminiError(503)]);
+    const retries = [];
+
+    assert.equal(await withGeminiRetry(call, { onRetry: retry => retries.push(retry) }), 'ok');
+    assert.equal(call.count, 3);
+    assert.deepEqual(retries.map(({ attempt, maxRetries, status }) => ({ attempt, maxRetries, status })), [
+        { attempt: 1, maxRetries: 2, status: 429 },
+        { attempt: 2, maxRetries: 2, status: 503 }
+    ]);
+    assert.equal(retries[0].delayMs, 10);
+    assert.ok(retries[1].delayMs <= 50);
+});
+
+test('400 は再試行しない', async () => {
+    const call = failingCall([geminiError(400)]);
+    await assert.rejects(withGeminiRetry(call), { status: 400 });
+    assert.equal(call.count, 1);
+});
+
+test('RetryInfo の時間が上限より長い場合と、再試行の回数を使い切った場合はあきらめる', async () => {
+    const tooLong = failingCall([geminiError(429, '60s')]);
+    await assert.rejects(withGeminiRetry(tooLong), { status: 429 });
+    assert.equal(tooLong.count, 1);
+
+    const exhausted = failingCall([geminiError(503), geminiError(503), geminiError(503)]);
+    await assert.rejects(withGeminiRetry(exhausted), { status: 503 });
+    assert.equal(exhausted.count, 3);
+});
+
+test('接続のエラーは再試行し、中断は再試行しない', async () => {
+    const network = failingCall([new TypeError('fetch failed')]);
+    assert.equal(await withGeminiRetry(network), 'ok');
+    assert.equal(network.count, 2);
+
+    const controller = new AbortController();
+    controller.abort();
+    const aborted = failingCall([geminiError(503)]);
+    await assert.rejects(withGeminiRetry(aborted, { signal: controller.signal }), { status: 503 });
+    assert.equal(aborted.count, 1);
+});
+
+test('describeGeminiError は一時的なエラーだけを HTTP ステータスと説明にする', () => {
+    assert.deepEqual(describeGeminiError(geminiError(429, '23s')), {
+        status: 429,
+        message: 'Gemini API の利用上限に達しました。しばらくしてから再試行してください',
+        retryAfterSeconds: 23
+    });
+
+    const unavailable = describeGeminiError(geminiError(500));
+    assert.equal(unavailable.status, 503);
+    assert.equal(unavailable.retryAfterSeconds, null);
+    assert.equal(describeGeminiError(new TypeError('fetch failed')).status, 503);
+
+    assert.equal(describeGeminiError(geminiError(400)), null);
+    assert.equal(describeGeminiError(new Error('想定外のエラー')), null);
+});
+
+test('順番待ちは先着順に枠を渡し、待っている呼び出しに順番を知らせる', async () => {
+    const first = await acquireGeminiSlot();
+    const order = [];
+    const positions = { second: [], third: [] };
+
+    const second = callGemini(async () => order.push('second'), { onQueue: position => positions.second.push(position) });
+    const third = callGemini(async () => order.push('third'), { onQueue: position => positions.third.push(position) });
+
+    first.release();
+    await Promise.all([second, third]);
+
+    assert.deepEqual(order, ['second', 'third']);
+    assert.deepEqual(positions, { second: [1], third: [2, 1] });
+});
+
+test('順番を待っている間に中断すると、待つのをやめて後ろの順番を繰り上げる', async () => {
+    const first = await acquireGeminiSlot();
+    const controller = new AbortController();
+    const positions = [];
+
+    const cancelled = acquireGeminiSlot({ signal: controller.signal });
+    const next = acquireGeminiSlot({ onQueue: position => positions.push(position) });
+
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(cancelled, { message: 'cancelled' });
+    assert.deepEqual(positions, [2, 1]);
+
+    first.release();
+    (await next).release();
+
+    // 中断済みの signal では待たずに reject する
+    await assert.rejects(acquireGeminiSlot({ signal: controller.signal }), { message: 'cancelled' });
+});
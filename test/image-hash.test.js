@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'zlib';
+import { perceptualHash, hashDistance } from '../lib/image-hash.js';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'latin1'), body])));
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), body, crc]);
+}
+
+/**
+ * 8ビットの PNG を作る（colorType 0 はグレー、2 は RGB）
+ * filter 1（Sub）では、左の画素との差で書き込む
+ */
+function encodePng(width, height, pixelAt, { colorType = 0, filter = 0 } = {}) {
+    const channels = colorType === 2 ? 3 : 1;
+    const stride = width * channels;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = Buffer.alloc(stride);
+        for (let x = 0; x < width; x++) {
+            const value = pixelAt(x, y);
+            for (let c = 0; c < channels; c++) row[x * channels + c] = Array.isArray(value) ? value[c] : value;
+        }
+        const start = y * (stride + 1);
+        raw[start] = filter;
+        for (let i = 0; i < stride; i++) {
+            raw[start + 1 + i] = filter === 1 ? (row[i] - (i >= channels ? row[i - channels] : 0)) & 0xff : row[i];
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// 横方向に波打つ明るさ（隣り合うマスの明るさの大小が混ざるように）
+const pattern = (x, y) => Math.round(128 + 100 * Math.sin(x / 7 + y / 11));
+
+test('PNG の差分ハッシュは64桁の16進数になる', () => {
+    const hash = perceptualHash(encodePng(170, 96, pattern));
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(perceptualHash(encodePng(170, 96, pattern)), hash);
+});
+
+test('小さな変化ではほとんど変わらず、画面が変わると大きく変わる', () => {
+    const base = perceptualHash(encodePng(170, 96, pattern));
+    const cursor = perceptualHash(encodePng(170, 96, (x, y) => (x < 3 && y < 3 ? 255 : pattern(x, y))));
+    const inverted = perceptualHash(encodePng(170, 96, (x, y) => 255 - pattern(x, y)));
+
+    assert.ok(hashDistance(base, cursor) <= 4);
+    assert.ok(hashDistance(base, inverted) > 100);
+});
+
+test('フィルターとカラータイプが違っても、同じ明るさなら同じハッシュになる', () => {
+    const gray = perceptualHash(encodePng(170, 96, pattern));
+    assert.equal(perceptualHash(encodePng(170, 96, pattern, { filter: 1 })), gray);
+
+    const rgb = perceptualHash(encodePng(170, 96, (x, y) => [pattern(x, y), pattern(x, y), pattern(x, y)], { colorType: 2, filter: 1 }));
+    assert.equal(hashDistance(gray, rgb), 0);
+});
+
+test('読み取れない画像はバイト列の SHA-256 にし、同じ場合だけ一致とする', () => {
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+    const tiny = encodePng(8, 8, pattern);
+
+    assert.match(perceptualHash(jpeg), /^sha256:[0-9a-f]{64}$/);
+    assert.match(perceptualHash(tiny), /^sha256:/);
+    assert.equal(hashDistance(perceptualHash(jpeg), perceptualHash(Buffer.from(jpeg))), 0);
+    assert.equal(hashDistance(perceptualHash(jpeg), perceptualHash(tiny)), null);
+    assert.equal(hashDistance(perceptualHash(jpeg), perceptualHash(encodePng(170, 96, pattern))), null);
+});
+
+test('hashDistance は異なるビットの数を数える', () => {
+    const zero = '0'.repeat(64);
+    assert.equal(hashDistance(zero, zero), 0);
+    assert.equal(hashDistance(zero, `${'0'.repeat(63)}7`), 3);
+    assert.equal(hashDistance(zero, 'f'.repeat(64)), 256);
+});
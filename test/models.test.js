@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// ALLOWED_MODELS・GEMINI_MODEL は読み込み時に読むため、先に消しておく
+delete process.env.ALLOWED_MODELS;
+delete process.env.GEMINI_MODEL;
+const { isAllowedModel, isSupportedThinkingLevel, validateModelSelection, buildModelParams, listModels } = await import('../lib/models.js');
+
+test('登録したモデルと思考レベルの組み合わせを受け付ける', () => {
+    assert.equal(isAllowedModel('gemini-3-flash-preview'), true);
+    assert.equal(isSupportedThinkingLevel('gemini-2.5-flash', 'minimal'), true);
+    assert.equal(validateModelSelection('gemini-2.5-pro', 'high'), null);
+    assert.deepEqual(buildModelParams('gemini-2.5-flash', 'low').generationConfig.thinkingConfig, { thinkingBudget: 1024 });
+});
+
+test('組み込みのプロパティ名はモデルとみなさない', () => {
+    for (const id of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        assert.equal(isAllowedModel(id), false, id);
+        assert.equal(validateModelSelection(id, 'medium'), `利用できないモデルです: ${id}`);
+        assert.throws(() => buildModelParams(id, 'medium'), /未対応のモデルです/);
+    }
+});
+
+test('組み込みのプロパティ名は思考レベルとみなさない', () => {
+    for (const level of ['constructor', 'toString', '__proto__', 'valueOf']) {
+        assert.equal(isSupportedThinkingLevel('gemini-3-flash-preview', level), false, level);
+        assert.match(validateModelSelection('gemini-3-flash-preview', level), /対応していません/);
+        assert.throws(() => buildModelParams('gemini-3-flash-preview', level), /対応していません/);
+    }
+});
+
+test('文字列でないモデル・思考レベルと、対応していない思考レベルを拒否する', () => {
+    assert.equal(isAllowedModel(['gemini-3-flash-preview']), false);
+    assert.equal(isAllowedModel(undefined), false);
+    assert.equal(isSupportedThinkingLevel('gemini-3-flash-preview', ['high']), false);
+    assert.equal(isSupportedThinkingLevel('gemini-2.5-pro', 'minimal'), false);
+});
+
+test('listModels は思考レベルの一覧と既定の思考レベルを返す', () => {
+    const pro = listModels().find(model => model.id === 'gemini-2.5-pro');
+    assert.deepEqual(pro.thinkingLevels.map(level => level.id), ['low', 'medium', 'high']);
+    assert.equal(pro.defaultThinkingLevel, 'medium');
+});
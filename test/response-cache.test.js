@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildCacheKey, parseCacheControl, createResponseCache } from '../lib/response-cache.js';
+
+const IMAGE = { data: Buffer.from('image').toString('base64'), mimeType: 'image/png' };
+const REQUEST = { images: [IMAGE], prompt: '赤いものを数えて', modelParams: { model: 'm' } };
+
+const keyOf = (n) => String(n).repeat(64);
+const entry = (summary) => ({ meta: { mode: 'analyze' }, response: { parsedData: { summary } }, history: [] });
+
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(join(tmpdir(), 'response-cache-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// 索引（.index.json）を除いた結果のファイル
+const entryFiles = async (dir) => (await fs.readdir(dir)).filter(name => !name.startsWith('.')).sort();
+
+test('buildCacheKey はプロンプトの空白と改行コードの違いを同じとみなす', () => {
+    const key = buildCacheKey(REQUEST);
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(buildCacheKey({ ...REQUEST, prompt: ' 赤いものを数えて \r\n' }), key);
+    assert.notEqual(buildCacheKey({ ...REQUEST, prompt: '青いものを数えて' }), key);
+    assert.notEqual(buildCacheKey({ ...REQUEST, options: { mode: 'ocr' } }), key);
+});
+
+test('buildCacheKey は利用者（scope）が違えば別のキーにする', () => {
+    const alice = buildCacheKey({ ...REQUEST, scope: { client: 'alice', key: 'server' } });
+    assert.notEqual(buildCacheKey({ ...REQUEST, scope: { client: 'bob', key: 'server' } }), alice);
+    assert.notEqual(buildCacheKey({ ...REQUEST, scope: { client: 'alice', key: 'abc' } }), alice);
+});
+
+test('parseCacheControl は no-cache で読まず、no-store で読みも保存もしない', () => {
+    assert.deepEqual(parseCacheControl(undefined), { lookup: true, store: true });
+    assert.deepEqual(parseCacheControl('no-cache'), { lookup: false, store: true });
+    assert.deepEqual(parseCacheControl('max-age=0'), { lookup: false, store: true });
+    assert.deepEqual(parseCacheControl('No-Store'), { lookup: false, store: false });
+});
+
+test('memory は件数の上限を超えると最も長く使っていないものから捨てる', async () => {
+    const cache = await createResponseCache({ driver: 'memory', maxEntries: 2 });
+
+    await cache.set(keyOf(1), entry('1'));
+    await cache.set(keyOf(2), entry('2'));
+    await cache.get(keyOf(1));
+    await cache.set(keyOf(3), entry('3'));
+
+    assert.equal(await cache.get(keyOf(2)), null);
+    assert.equal((await cache.get(keyOf(1))).hits, 2);
+    assert.deepEqual(cache.stats(), { driver: 'memory', ttlSeconds: 86400, maxEntries: 2, entries: 2, memoryEntries: 2, hits: 2, misses: 1 });
+});
+
+test('有効期限を過ぎた結果は返さず、一覧からも削除する', async () => {
+    const cache = await createResponseCache({ driver: 'memory', ttlSeconds: 0 });
+
+    await cache.set(keyOf(1), entry('1'));
+    assert.equal(await cache.get(keyOf(1)), null);
+    await cache.set(keyOf(2), entry('2'));
+    assert.deepEqual(await cache.list(), []);
+});
+
+test('キーの形でない値は読まない', async () => {
+    const cache = await createResponseCache({ driver: 'memory' });
+    assert.equal(await cache.get('../etc/passwd'), null);
+    assert.equal(await cache.remove('../etc/passwd'), false);
+});
+
+test('disk は再起動後も読め、ファイルの件数の上限を超えると古いものから削除する', async () => {
+    await withTempDir(async (dir) => {
+        const cache = await createResponseCache({ driver: 'disk', path: dir, maxEntries: 1, maxFiles: 2 });
+        await cache.set(keyOf(1), entry('1'));
+        await cache.set(keyOf(2), entry('2'));
+        await cache.set(keyOf(3), entry('3'));
+
+        assert.deepEqual(await entryFiles(dir), [`${keyOf(2)}.json`, `${keyOf(3)}.json`]);
+
+        const restarted = await createResponseCache({ driver: 'disk', path: dir });
+        assert.equal((await restarted.get(keyOf(2))).response.parsedData.summary, '2');
+        assert.equal(await restarted.get(keyOf(1)), null);
+        assert.deepEqual((await restarted.list()).map(item => item.summary).sort(), ['2', '3']);
+        assert.equal(await restarted.clear(), 2);
+        assert.deepEqual(await entryFiles(dir), []);
+    });
+});
+
+test('disk の一覧は索引だけを使い、結果のファイルを読まない', async () => {
+    await withTempDir(async (dir) => {
+        const cache = await createResponseCache({ driver: 'disk', path: dir, maxEntries: 1 });
+        await cache.set(keyOf(1), entry('1'));
+        await cache.set(keyOf(2), entry('2'));
+        // 読めば壊れていると分かる内容にしても、一覧には索引の内容が出る
+        await fs.writeFile(join(dir, `${keyOf(1)}.json`), 'broken');
+
+        assert.deepEqual((await cache.list()).map(item => item.summary).sort(), ['1', '2']);
+        // ヒットしたときに本体を読み、壊れていればなかったものとする
+        assert.equal(await cache.get(keyOf(1)), null);
+        assert.deepEqual((await cache.list()).map(item => item.summary), ['2']);
+    });
+});
+
+test('disk は索引にないファイルを起動時に索引へ加え、ファイルのない索引を捨てる', async () => {
+    await withTempDir(async (dir) => {
+        const cache = await createResponseCache({ driver: 'disk', path: dir });
+        await cache.set(keyOf(1), entry('1'));
+        await cache.set(keyOf(2), entry('2'));
+        await fs.unlink(join(dir, '.index.json'));
+
+        const rebuilt = await createResponseCache({ driver: 'disk', path: dir });
+        assert.deepEqual((await rebuilt.list()).map(item => item.summary).sort(), ['1', '2']);
+        await fs.unlink(join(dir, `${keyOf(1)}.json`));
+
+        const reconciled = await createResponseCache({ driver: 'disk', path: dir });
+        assert.deepEqual((await reconciled.list()).map(item => item.summary), ['2']);
+        assert.equal(reconciled.stats().entries, 1);
+    });
+});
+
+test('owner を指定すると、その owner の結果だけを一覧・削除する', async () => {
+    const cache = await createResponseCache({ driver: 'memory' });
+    const owned = (summary, owner) => ({ ...entry(summary), meta: { mode: 'analyze', owner } });
+    await cache.set(keyOf(1), owned('1', 'token:a'));
+    await cache.set(keyOf(2), owned('2', 'token:b'));
+    await cache.set(keyOf(3), owned('3', 'token:a'));
+
+    assert.deepEqual((await cache.list('token:a')).map(item => item.summary).sort(), ['1', '3']);
+    assert.equal(await cache.remove(keyOf(2), 'token:a'), false);
+    assert.equal(await cache.clear('token:a'), 2);
+    assert.deepEqual((await cache.list()).map(item => item.summary), ['2']);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, validateResult, parseOutputSchema, buildRepairPrompt } from '../lib/result-schema.js';
+import { validateWithRepair } from '../lib/agentic.js';
+
+const VALID_ANALYZE = {
+    analysis: '赤い車が2台あります',
+    metadata: {
+        detections: [{ label: 'car', confidence: 0.9, bbox: [0, 0, 10, 10] }],
+        confidence: 0.8
+    },
+    summary: '車2台'
+};
+
+// validateWithRepair に渡す、決まった応答を順に返すチャット
+function fakeChat(texts) {
+    const sent = [];
+    return {
+        sent,
+        async sendMessage(message) {
+            sent.push(message);
+            return { response: { candidates: [{ content: { parts: [{ text: texts.shift() }] } }] } };
+        }
+    };
+}
+
+test('extractJson はコードフェンスや文章に囲まれたJSONを取り出す', () => {
+    assert.deepEqual(extractJson('```json\n{"a":1}\n```'), { a: 1 });
+    assert.deepEqual(extractJson('結果は {"a":{"b":"}"}} です'), { a: { b: '}' } });
+    // 後ろの候補を優先する
+    assert.deepEqual(extractJson('{"a":1} 修正後: {"a":2}'), { a: 2 });
+    assert.equal(extractJson('JSONはありません'), null);
+    assert.equal(extractJson('[1, 2]'), null);
+});
+
+test('validateResult は必須項目・型・範囲の違反を返す', () => {
+    assert.deepEqual(validateResult(VALID_ANALYZE), []);
+
+    const errors = validateResult({
+        analysis: 1,
+        metadata: { detections: [{ label: 'x', confidence: 1.5, bbox: [0, 0, 1] }], confidence: 0.5 }
+    });
+    assert.deepEqual(errors, [
+        '$.summary: 必須項目がありません',
+        '$.analysis: string である必要があります',
+        '$.metadata.detections[0].confidence: 1 以下である必要があります',
+        '$.metadata.detections[0].bbox: 要素数は 4 以上である必要があります'
+    ]);
+});
+
+test('validateResult はモードごとのスキーマと独自のスキーマで検証する', () => {
+    assert.ok(validateResult({ images: [], match: 'yes', changes: [], summary: '' }, 'compare')
+        .includes('$.match: boolean である必要があります'));
+
+    const outputSchema = { type: 'object', required: ['count'], properties: { count: { type: 'integer' } } };
+    assert.deepEqual(validateResult({ count: 3 }, 'analyze', outputSchema), []);
+    assert.deepEqual(validateResult({ count: 1.5 }, 'analyze', outputSchema), ['$.count: integer である必要があります']);
+});
+
+test('parseOutputSchema は JSON 文字列を受け付け、扱えないスキーマを拒否する', () => {
+    assert.deepEqual(parseOutputSchema(''), { outputSchema: null });
+    assert.deepEqual(parseOutputSchema('{"type":"object"}'), { outputSchema: { type: 'object' } });
+    assert.match(parseOutputSchema('{').error, /JSONオブジェクト/);
+    assert.match(parseOutputSchema({ type: 'array' }).error, /type が "object"/);
+    assert.match(parseOutputSchema({ type: 'object', properties: { a: { type: 'date' } } }).error, /\$\.properties\.a\.type/);
+});
+
+test('buildRepairPrompt は検証エラーと直前の応答を含める', () => {
+    const prompt = buildRepairPrompt(['$.summary: 必須項目がありません'], '前の応答');
+    assert.match(prompt, /- \$\.summary: 必須項目がありません/);
+    assert.match(prompt, /前の応答/);
+    assert.match(buildRepairPrompt([], ''), /取り出せませんでした/);
+});
+
+test('validateWithRepair はスキーマを満たすまで修復を再プロンプトする', async () => {
+    const chat = fakeChat([JSON.stringify(VALID_ANALYZE)]);
+    const response = { text: '{"analysis":"a"}', parsedData: { analysis: 'a' } };
+
+    await validateWithRepair(chat, response);
+
+    assert.equal(chat.sent.length, 1);
+    assert.equal(response.repairAttempts, 1);
+    assert.equal(response.schemaValid, true);
+    assert.deepEqual(response.parsedData, VALID_ANALYZE);
+    assert.deepEqual(response.validationErrors, []);
+});
+
+test('validateWithRepair は上限回数で修復をやめ、エラーを残す', async () => {
+    const chat = fakeChat(['まだJSONではありません']);
+    const response = { text: 'JSONなし', parsedData: null };
+
+    await validateWithRepair(chat, response);
+
+    assert.equal(response.repairAttempts, 1);
+    assert.equal(response.schemaValid, false);
+    assert.deepEqual(response.validationErrors, ['応答からJSONオブジェクトを取り出せませんでした']);
+});
+
+test('validateWithRepair は有効な結果では再プロンプトしない', async () => {
+    const chat = fakeChat([]);
+    const response = { text: '', parsedData: structuredClone(VALID_ANALYZE) };
+
+    await validateWithRepair(chat, response);
+
+    assert.equal(chat.sent.length, 0);
+    assert.equal(response.repairAttempts, 0);
+    assert.equal(response.schemaValid, true);
+});
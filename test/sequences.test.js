@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_DOCUMENT_PAGES,
+    parseDocumentPages,
+    parseVideoFrames,
+    parseTimelineFrames,
+    validateSequenceNumbers,
+    formatTimestamp
+} from '../lib/sequences.js';
+
+test('parseDocumentPages は画像と同じ数の、重複しないページ番号を受け付ける', () => {
+    assert.deepEqual(parseDocumentPages(undefined, 1), { pages: null, error: undefined });
+    assert.deepEqual(parseDocumentPages('[3, 1]', 2), { pages: [3, 1] });
+    assert.deepEqual(parseDocumentPages([1, 2], 2), { pages: [1, 2] });
+
+    assert.match(parseDocumentPages('[1,', 1).error, /JSON配列/);
+    assert.match(parseDocumentPages({ 0: 1 }, 1).error, /配列で指定/);
+    assert.match(parseDocumentPages([0], 1).error, /1以上の整数/);
+    assert.match(parseDocumentPages([1.5], 1).error, /1以上の整数/);
+    assert.match(parseDocumentPages([1, 2], 3).error, /画像の数（3）と一致しません/);
+    assert.match(parseDocumentPages([2, 2], 2).error, /同じページ番号/);
+
+    const tooMany = Array.from({ length: MAX_DOCUMENT_PAGES + 1 }, (_, i) => i + 1);
+    assert.match(parseDocumentPages(tooMany, tooMany.length).error, /ページまでです/);
+});
+
+test('parseVideoFrames は早い順で重複しない時刻を受け付ける', () => {
+    assert.deepEqual(parseVideoFrames('[0, 1.5, 3]', 3), { frames: [0, 1.5, 3] });
+    assert.equal(parseVideoFrames('', 0).frames, null);
+
+    assert.match(parseVideoFrames([-1], 1).error, /0以上の秒数/);
+    assert.match(parseVideoFrames(['1'], 1).error, /0以上の秒数/);
+    assert.match(parseVideoFrames([0, 1], 1).error, /一致しません/);
+    assert.match(parseVideoFrames([2, 1], 2).error, /早い順/);
+    assert.match(parseVideoFrames([1, 1], 2).error, /重複なく/);
+});
+
+test('parseTimelineFrames は時刻順に並べ、テキストの前後の空白を除く', () => {
+    assert.deepEqual(parseTimelineFrames([{ time: 5, text: ' b ' }, { time: 1, text: 'a' }]), {
+        frames: [{ time: 1, text: 'a' }, { time: 5, text: 'b' }]
+    });
+    assert.match(parseTimelineFrames([]).error, /配列で指定/);
+    assert.match(parseTimelineFrames([{ time: 1 }]).error, /frames\[0\]/);
+});
+
+test('validateSequenceNumbers は送信していないページ番号を指摘する', () => {
+    const data = {
+        metadata: { detections: [{ label: 'a', page: 1 }, { label: 'b', page: 4 }, { label: 'c' }] }
+    };
+    assert.deepEqual(validateSequenceNumbers(data, [1, 2], { key: 'page', label: 'ページ' }), [
+        '$.metadata.detections[1].page: 送信したページの番号（1, 2）のいずれかである必要があります',
+        '$.metadata.detections[2].page: 送信したページの番号（1, 2）のいずれかである必要があります'
+    ]);
+});
+
+test('validateSequenceNumbers は単語・セルの番号を省略すると行・表の番号を引き継ぐ', () => {
+    const ocr = { lines: [{ frame: 2, words: [{ text: 'a' }, { text: 'b', frame: 3 }] }] };
+    assert.deepEqual(validateSequenceNumbers(ocr, [1, 2], { key: 'frame', label: 'フレーム' }), [
+        '$.lines[0].words[1].frame: 送信したフレームの番号（1, 2）のいずれかである必要があります'
+    ]);
+
+    const table = { tables: [{ page: 1, rows: [[{ text: 'a' }, { text: 'b', page: 2 }]] }] };
+    assert.deepEqual(validateSequenceNumbers(table, [1, 2], { key: 'page', label: 'ページ' }), []);
+});
+
+test('formatTimestamp は分・時間の表記にする', () => {
+    assert.equal(formatTimestamp(0), '0:00.0');
+    assert.equal(formatTimestamp(65.5), '1:05.5');
+    assert.equal(formatTimestamp(3723), '1:02:03.0');
+    assert.equal(formatTimestamp(59.96), '1:00.0');
+});